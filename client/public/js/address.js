@@ -0,0 +1,274 @@
+/**
+ * Address Module
+ * Parses manufacturer/bottler addresses into locality and state (USPS abbreviations and full names are equivalent)
+ * and checks the name and address statement ("Bottled by ABC Distillery, Frederick, MD") on the label
+ */
+
+import { alignPhrase } from './match-scoring.js';
+
+// USPS state and territory abbreviations
+export const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii',
+    ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+    ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+    MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+    NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+    OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington',
+    WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', AS: 'American Samoa', GU: 'Guam',
+    MP: 'Northern Mariana Islands', PR: 'Puerto Rico', VI: 'U.S. Virgin Islands'
+};
+
+// Operations named in qualifying phrases (27 CFR 5.66, 4.35, 7.66), joined by "and", "&" or commas
+const OPERATIONS = [
+    'bottled', 'distilled', 'produced', 'brewed', 'packaged', 'packed', 'canned', 'kegged', 'made', 'manufactured',
+    'vinted', 'cellared', 'blended', 'rectified', 'prepared', 'aged', 'crafted', 'fermented', 'imported', 'grown'
+];
+
+class AddressParser {
+    constructor() {
+        const operations = OPERATIONS.join('|');
+        const operation = `(?:estate\\s+)?(?:${operations})`;
+
+        // The phrase must end right before the name: "Bottled by", "Distilled and bottled by:", "Brewed & packaged for"
+        this.qualifyingPattern = new RegExp(`\\b(${operation}(?:\\s*(?:,|&|and)\\s*${operation})*\\s+(?:by|for))\\s*[:\\-]?\\s*$`, 'i');
+
+        // Same phrase anywhere in the text, for finding statements without a form value
+        this.statementPattern = new RegExp(`\\b${operation}(?:\\s*(?:,|&|and)\\s*${operation})*\\s+(?:by|for)\\b\\s*[:\\-]?\\s*`, 'gi');
+
+        // Full names before abbreviations, longest first, so "West Virginia" wins over "Virginia".
+        // Each has patterns for a state that leads a text (after an OCR'd locality) and one that ends it.
+        // Many abbreviations are also words ("in", "or", "me"), so one only counts when it is set off as a state:
+        // after a comma and ending the address ("Frederick, MD", "Frederick, MD 21701"), or right before a ZIP code
+        const names = Object.entries(US_STATES)
+            .map(([code, name]) => ({ code, pattern: name.toLowerCase().replace(/\./g, '\\.?').replace(/\s+/g, '\\s*') }))
+            .sort((a, b) => b.pattern.length - a.pattern.length);
+        const nameStates = names.map(({ code, pattern }) => ({
+            code,
+            start: [new RegExp(`^[\\s,.;:]*(${pattern})\\.?(?![a-z])`, 'i')],
+            end: [new RegExp(`(?:^|[\\s,.])(${pattern})\\.?$`, 'i')],
+            looseEnd: []
+        }));
+        const codeStates = Object.keys(US_STATES).map(code => {
+            const pattern = code.split('').join('\\.?');
+            return {
+                code,
+                start: [
+                    new RegExp(`^\\s*,\\s*(${pattern})\\.?(?=[ \\t]*(?:\\d{5}(?:-\\d{4})?)?[ \\t]*(?:$|[\\r\\n,.;:)]))`, 'i'),
+                    new RegExp(`^[\\s,.;:]*(${pattern})\\.?[ \\t]*\\d{5}(?!\\d)`, 'i')
+                ],
+                end: [new RegExp(`,\\s*(${pattern})\\.?$`, 'i')],
+                // Only where the text is known to end with a state (a form value, or an address that had a ZIP code)
+                looseEnd: [new RegExp(`(?:^|[\\s.])(${pattern})\\.?$`, 'i')]
+            };
+        });
+        this.statePatterns = [...nameStates, ...codeStates];
+
+        this.maxNameGap = 40;         // Characters allowed between the name and the address (", Inc.", line breaks)
+        this.localityWindow = 200;    // How far after the name to look for the address first
+    }
+
+    /**
+     * Match a state name or abbreviation
+     * @param {string} text - Text to look in
+     * @param {string} position - 'start' (the state leads the text) or 'end' (it ends the text)
+     * @param {Object} options - Optional settings
+     * @param {boolean} options.loose - The text is known to end with a state, so an abbreviation after a space
+     *   counts too ("Frederick MD" typed in the form, or followed by a ZIP code that was cut off)
+     * @returns {{code: string, index: number, length: number}|null} USPS code and where the state was written
+     */
+    findState(text, position, { loose = false } = {}) {
+        for (const { code, start, end, looseEnd } of this.statePatterns) {
+            const patterns = position === 'start' ? start : [...end, ...(loose ? looseEnd : [])];
+            for (const pattern of patterns) {
+                const match = text.match(pattern);
+                if (match) return { code, index: match.index + match[0].indexOf(match[1]), length: match[1].length };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse a form value (e.g., "Dripping Springs, TX", "Frederick MD 21701")
+     * @param {string} value - Form value
+     * @returns {Object|null} { locality, state, stateName, text }, or null if no state is named at the end
+     */
+    parseInput(value) {
+        const text = String(value).trim().replace(/\s+/g, ' ');
+        const withoutZip = text.replace(/[\s,]*\d{5}(?:-\d{4})?$/, '');
+        const state = this.findState(withoutZip, 'end', { loose: true });
+        if (!state) return null;
+
+        const locality = withoutZip.slice(0, state.index).replace(/[\s,.;:]+$/, '');
+        if (!locality) return null;
+
+        return { locality, state: state.code, stateName: US_STATES[state.code], text };
+    }
+
+    /**
+     * Qualifying phrase written right before a position in OCR text
+     * @param {string} text - OCR text
+     * @param {number} index - Where the name (or address) starts
+     * @returns {string|null} Phrase as written (e.g., "bottled by"), or null if there is none
+     */
+    findQualifyingPhrase(text, index) {
+        const match = text.slice(Math.max(0, index - 60), index).match(this.qualifyingPattern);
+        return match ? match[1].replace(/\s+/g, ' ') : null;
+    }
+
+    /**
+     * Compare a manufacturer/bottler name against OCR text and report the qualifying phrase before it
+     * @param {string} value - Form value
+     * @param {string} text - OCR text
+     * @returns {Object|null} Match with confidence, word and parsed values, or null if the text has nothing to align
+     */
+    matchName(value, text) {
+        const alignment = alignPhrase(value, text);
+        if (!alignment || alignment.end === 0) return null;
+
+        const qualifyingPhrase = this.findQualifyingPhrase(text, alignment.start);
+        return {
+            ...alignment,
+            word: text.slice(alignment.start, alignment.end),
+            parsed: {
+                qualifyingPhrase,
+                summary: qualifyingPhrase
+                    ? `Preceded by "${AddressParser.capitalize(qualifyingPhrase)}"`
+                    : 'No qualifying phrase (e.g., "Bottled by") found before the name'
+            }
+        };
+    }
+
+    /**
+     * Compare an address against OCR text: the locality is aligned as a phrase and the state that follows it
+     * must be the same state, written either way ("TX" or "Texas"). With a name, the address is looked for
+     * right after it first, and name and address must read as one statement
+     * @param {string} value - Form value
+     * @param {string} text - OCR text
+     * @param {string} name - Manufacturer/bottler name from the form (optional)
+     * @returns {Object|null} Match with confidence, word and parsed values, plus `review` (why a reviewer should
+     *   check it) when name and address are apart; null if the value has no recognizable state
+     */
+    match(value, text, name = '') {
+        const expected = this.parseInput(value);
+        if (!expected) return null;
+
+        // Only used to find where the statement is, so a rough name match is enough
+        const nameSpan = name ? alignPhrase(name, text) : null;
+        const located = nameSpan && nameSpan.end > 0 && nameSpan.confidence >= 0.5 ? nameSpan : null;
+
+        let locality = alignPhrase(expected.locality, text);
+        if (located) {
+            const window = text.slice(located.end, located.end + this.localityWindow);
+            const afterName = alignPhrase(expected.locality, window);
+            if (afterName && afterName.end > 0 && (!locality || afterName.confidence >= locality.confidence)) {
+                locality = { ...afterName, start: afterName.start + located.end, end: afterName.end + located.end };
+            }
+        }
+        if (!locality || locality.end === 0) return null;
+
+        const stateFound = this.findState(text.slice(locality.end, locality.end + 40), 'start');
+        const stateMatches = stateFound?.code === expected.state;
+        const end = stateFound ? locality.end + stateFound.index + stateFound.length : locality.end;
+
+        // Without the expected state the locality alone is weak evidence (many states share town names)
+        const confidence = stateMatches ? locality.confidence : locality.confidence * 0.5;
+
+        const gap = located ? text.slice(located.end, locality.start) : null;
+        const coherent = Boolean(located) && locality.start >= located.end && gap.length <= this.maxNameGap;
+        const qualifyingPhrase = this.findQualifyingPhrase(text, located ? located.start : locality.start);
+
+        const stateSummary = !stateFound
+            ? `state ${expected.stateName} (${expected.state}) not found after it`
+            : stateMatches
+                ? `state ${expected.stateName} (${expected.state}) matches`
+                : `state ${US_STATES[stateFound.code]} (${stateFound.code}) found, expected ${expected.stateName} (${expected.state})`;
+
+        return {
+            distance: locality.distance + (stateMatches ? 0 : 1),
+            word: text.slice(locality.start, end),
+            start: locality.start,
+            end,
+            confidence,
+            parsed: {
+                expected,
+                found: {
+                    locality: text.slice(locality.start, locality.end),
+                    state: stateFound?.code || null
+                },
+                statement: {
+                    qualifyingPhrase,
+                    name: located ? text.slice(located.start, located.end) : null,
+                    coherent
+                },
+                summary: `Locality "${text.slice(locality.start, locality.end)}" (${Math.round(locality.confidence * 100)}%), ${stateSummary}`
+                    + (qualifyingPhrase ? `; statement starts "${AddressParser.capitalize(qualifyingPhrase)}"` : '')
+            },
+            ...(name && !coherent && {
+                review: located
+                    ? 'The address is not next to the manufacturer/bottler name on the label'
+                    : 'The manufacturer/bottler name was not found with the address'
+            })
+        };
+    }
+
+    /**
+     * Find name and address statements in OCR text without a form value to look for
+     * ("Distilled and bottled by ABC Distillery, Inc.\nFrederick, MD 21701"): the name runs from the qualifying
+     * phrase to the first comma or line break, and the address is the first later part naming a state
+     * @param {string} text - OCR text (line breaks help separate the name from the locality)
+     * @returns {Array<Object>} { qualifyingPhrase, name, address, locality, state }, as written on the label
+     */
+    findStatements(text) {
+        const statements = [];
+        const corporateSuffix = /^(?:inc|llc|l\.l\.c|co|corp|corporation|company|ltd|lp|llp)\.?$/i;
+        const trim = part => part.replace(/^[\s,.;:]+|[\s,;:]+$/g, '');
+
+        for (const match of text.matchAll(this.statementPattern)) {
+            const rest = text.slice(match.index + match[0].length, match.index + match[0].length + this.localityWindow);
+            // Separators are kept, since an abbreviation in its own part only counts after a comma
+            const pieces = rest.split(/([,;\n])/);
+            const parts = pieces.filter((_, index) => index % 2 === 0).map(trim);
+            const separators = pieces.filter((_, index) => index % 2 === 1);
+
+            let name = parts[0];
+            let next = 1;
+            while (next < parts.length && corporateSuffix.test(parts[next])) name += `, ${parts[next++]}`;
+            if (!/[a-z]{2}/i.test(name)) continue;
+
+            for (let i = next; i < parts.length && i < next + 3; i++) {
+                const part = parts[i].replace(/[\s,]*\d{5}(?:-\d{4})?.*$/, '');
+                // "Frederick MD 21701" in one part, or "Frederick" followed by ", MD" in the next
+                const ending = this.findState(part, 'end', { loose: part !== parts[i] });
+                const leadingText = `${separators[i - 1]}${parts[i]}`;
+                const state = ending?.index ? ending : i > next && this.findState(leadingText, 'start');
+                if (!state) continue;
+                const locality = state === ending ? trim(part.slice(0, ending.index)) : parts[i - 1];
+                if (!/[a-z]{2}/i.test(locality)) continue;
+
+                const written = (state === ending ? part : leadingText).substr(state.index, state.length);
+                statements.push({
+                    qualifyingPhrase: match[0].trim().replace(/\s*[:\-]$/, '').replace(/\s+/g, ' '),
+                    name,
+                    address: `${locality}, ${written}`,
+                    locality,
+                    state: state.code
+                });
+                break;
+            }
+        }
+
+        return statements;
+    }
+
+    /**
+     * @param {string} text - Lowercase OCR text
+     * @returns {string} Text with its first letter capitalized
+     */
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+export const addressParser = new AddressParser();
@@ -0,0 +1,174 @@
+/**
+ * Alcohol Content Module
+ * Parses alcohol statements (percent, proof, alc/vol, ranges) into ABV
+ * and compares them within TTB tolerances
+ */
+
+import { toleranceConfidence } from './match-scoring.js';
+
+// Beverage types with their own alcohol-statement tolerances
+export const BEVERAGE_TYPES = {
+    distilledSpirits: 'distilledSpirits',
+    wine: 'wine',
+    maltBeverage: 'maltBeverage'
+};
+
+class AlcoholContentParser {
+    constructor() {
+        // Same vocabulary as FormValidator.validationRules.alcoholContent
+        this.inputPattern = /^([0-9]+(?:\.[0-9]+)?)\s*(%|proof)?$/i;
+
+        // Label statements, most specific first (OCR text is lowercased)
+        this.statementPatterns = [
+            // Ranges: "4.5-5.5% alc/vol", "11 to 13% by vol"
+            { unit: '%', range: true, pattern: /(\d+(?:[.,]\d+)?)\s*%?\s*(?:-|–|to)\s*(\d+(?:[.,]\d+)?)\s*%/g },
+            // Percent: "45%", "alc. 45% by vol.", "13.68% alc/vol"
+            { unit: '%', pattern: /(\d+(?:[.,]\d+)?)\s*%/g },
+            // Percent sign lost by OCR: "45 alc/vol", "5.2 abv"
+            { unit: '%', pattern: /(\d+(?:[.,]\d+)?)\s*(?:alc\.?\s*\/?\s*vol|abv)/g },
+            // Proof: "80 proof", "90° proof"
+            { unit: 'proof', pattern: /(\d+(?:[.,]\d+)?)\s*°?\s*proof/g }
+        ];
+
+        // Keywords used to guess the beverage type from the class/type field
+        this.typeKeywords = {
+            [BEVERAGE_TYPES.wine]: /\b(wine|vineyards?|winery|muscat|chardonnay|cabernet|merlot|pinot|riesling|sauvignon|zinfandel|syrah|ros[eé]|champagne|sparkling|sherry|port|vermouth|cider|mead)\b/i,
+            [BEVERAGE_TYPES.maltBeverage]: /\b(ale|lager|beer|stout|porter|pilsner|ipa|malt|hefeweizen|bock|saison|seltzer)\b/i
+        };
+    }
+
+    /**
+     * Parse a form value into candidate ABV readings
+     * A bare number may be either a percentage or a proof, so both are returned
+     * @param {string} value - Form value (e.g., "40%", "80 proof", "45")
+     * @returns {Array<Object>|null} Candidate readings with abv and interpretation, or null if unparseable
+     */
+    parseInput(value) {
+        const match = String(value).trim().match(this.inputPattern);
+        if (!match) return null;
+
+        const number = parseFloat(match[1]);
+        const unit = match[2]?.toLowerCase();
+
+        if (unit === '%') return [{ abv: number, interpretation: 'percent' }];
+        if (unit === 'proof') return [{ abv: number / 2, interpretation: 'proof' }];
+
+        return [
+            { abv: number, interpretation: 'percent' },
+            { abv: number / 2, interpretation: 'proof' }
+        ];
+    }
+
+    /**
+     * Find every alcohol statement in OCR text
+     * @param {string} text - OCR text
+     * @returns {Array<Object>} Statements with matched text and ABV range
+     */
+    findStatements(text) {
+        const statements = [];
+        const covered = [];
+
+        this.statementPatterns.forEach(({ unit, range, pattern }) => {
+            for (const match of text.matchAll(pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+
+                // Skip text already claimed by a more specific pattern
+                if (covered.some(([s, e]) => start < e && end > s)) continue;
+
+                const toAbv = raw => {
+                    const number = parseFloat(raw.replace(',', '.'));
+                    return unit === 'proof' ? number / 2 : number;
+                };
+                const low = toAbv(match[1]);
+                const high = range ? toAbv(match[2]) : low;
+
+                // Years, prices and the like are not alcohol statements
+                if (low > 100 || high > 100) continue;
+                covered.push([start, end]);
+
+                statements.push({
+                    text: match[0].trim(),
+                    unit,
+                    abvMin: Math.min(low, high),
+                    abvMax: Math.max(low, high)
+                });
+            }
+        });
+
+        return statements;
+    }
+
+    /**
+     * Guess the beverage type from the product class/type
+     * @param {string} productClass - Class/type designation (e.g., "PALE ALE")
+     * @returns {string} One of BEVERAGE_TYPES (defaults to distilled spirits)
+     */
+    inferBeverageType(productClass = '') {
+        const type = Object.keys(this.typeKeywords).find(key => this.typeKeywords[key].test(productClass));
+        return type || BEVERAGE_TYPES.distilledSpirits;
+    }
+
+    /**
+     * TTB labeling tolerance in percentage points of ABV
+     * 27 CFR 5.65 (spirits), 4.36 (wine), 7.65 (malt beverages)
+     * @param {string} beverageType - One of BEVERAGE_TYPES
+     * @param {number} abv - Stated alcohol by volume
+     * @returns {number} Allowed deviation
+     */
+    tolerance(beverageType, abv) {
+        if (beverageType === BEVERAGE_TYPES.wine) {
+            return abv > 14 ? 1.0 : 1.5;
+        }
+        return 0.3;
+    }
+
+    /**
+     * Compare a form value against the alcohol statements in OCR text
+     * @param {string} value - Form value
+     * @param {string} text - OCR text
+     * @param {string} beverageType - One of BEVERAGE_TYPES
+     * @returns {Object|null} Match with confidence, word and parsed values, or null if nothing parseable
+     */
+    match(value, text, beverageType) {
+        const candidates = this.parseInput(value);
+        const statements = this.findStatements(text);
+        if (!candidates || statements.length === 0) return null;
+
+        let best = null;
+        candidates.forEach(candidate => {
+            statements.forEach(statement => {
+                // Distance from the expected ABV to the statement (0 inside a range)
+                const difference = Math.max(0, statement.abvMin - candidate.abv, candidate.abv - statement.abvMax);
+                if (!best || difference < best.difference) {
+                    best = { candidate, statement, difference };
+                }
+            });
+        });
+
+        const { candidate, statement, difference } = best;
+        const tolerance = this.tolerance(beverageType, candidate.abv);
+        const proof = Math.round(candidate.abv * 200) / 100;
+
+        const confidence = toleranceConfidence(difference, tolerance);
+
+        const labelAbv = statement.abvMin === statement.abvMax
+            ? `${statement.abvMin}%`
+            : `${statement.abvMin}-${statement.abvMax}%`;
+
+        return {
+            distance: difference,
+            word: statement.text,
+            confidence,
+            parsed: {
+                expected: { abv: candidate.abv, proof, interpretation: candidate.interpretation },
+                found: { abvMin: statement.abvMin, abvMax: statement.abvMax, text: statement.text },
+                tolerance,
+                beverageType,
+                summary: `Label ${labelAbv} ABV vs expected ${candidate.abv}% ABV (${proof} proof), tolerance ±${tolerance}%`
+            }
+        };
+    }
+}
+
+export const alcoholContentParser = new AlcoholContentParser();
@@ -6,18 +6,32 @@
 import { imageProcessor } from './image-processor.js';
 import { ocrProcessor } from './ocr.js';
 import { formValidator } from './form-validator.js';
-import { textVerifier } from './text-verifier.js';
+import { labelHighlighter } from './label-highlighter.js';
+import { labelImages, loadImage } from './label-images.js';
+import { reviewOverrides } from './review-overrides.js';
+import { verificationRunner } from './verification-runner.js';
+import { batchVerifier } from './batch-verifier.js';
+import { colaImport } from './cola-import.js';
+import { timeBudgets } from './time-budgets.js';
+import { matchThresholds } from './match-thresholds.js';
+import { valueSuggester } from './value-suggester.js';
+import { cancelledError } from './cancellation.js';
+import { session } from './session.js';
 
 class App {
     constructor() {
         this.state = { systemReady: false };
         this.submitButton = document.querySelector('button[type="submit"]');
+        this.cancelButton = document.getElementById('cancelVerification');
+        this.suggestButton = document.getElementById('suggestValues');
+        this.runController = null;
     }
 
     /**
-     * Initialize application
+     * Initialize application (visitors without a session are sent to sign in first)
      */
-    initialize() {
+    async initialize() {
+        if (!await session.initialize()) return;
         this.initializeEventListeners();
         this.initializeSystems();
     }
@@ -27,6 +41,20 @@ class App {
      */
     initializeEventListeners() {
         formValidator.initialize();
+        // Before the highlighter, so a result found on another image switches the preview first
+        labelImages.initialize();
+        labelHighlighter.initialize();
+        reviewOverrides.initialize();
+        batchVerifier.initialize();
+        colaImport.initialize();
+        timeBudgets.initialize();
+        matchThresholds.initialize();
+        valueSuggester.initialize();
+
+        this.cancelButton?.addEventListener('click', () => {
+            this.runController?.abort(cancelledError());
+            this.updateButtonState('Cancelling...', true);
+        });
 
         const imageUpload = document.getElementById('imageUpload');
         const uploadForm = document.getElementById('uploadForm');
@@ -38,6 +66,8 @@ class App {
         if (uploadForm) {
             uploadForm.addEventListener('submit', this.handleFormSubmit.bind(this));
         }
+
+        this.suggestButton?.addEventListener('click', this.handleSuggest.bind(this));
     }
 
     /**
@@ -73,31 +103,12 @@ class App {
 
     /**
      * Handle image upload and preview
+     * Several images (front, back, neck labels) can be selected for one product
      * @param {Event} e - Change event from file input
      */
-    handleImageUpload(e) {
-        const file = e.target.files[0];
-        const imageInfo = document.getElementById('imageInfo');
-        const preview = document.getElementById('imagePreview');
-        const previewText = document.getElementById('previewText');
-        
-        if (imageInfo) {
-            imageInfo.textContent = file?.name || 'No file selected';
-        }
-        
-        if (file && file.type.startsWith('image/')) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                preview.src = e.target.result;
-                preview.style.display = 'block';
-                previewText.style.display = 'none';
-            };
-            reader.readAsDataURL(file);
-        } else {
-            preview.style.display = 'none';
-            previewText.textContent = 'No image selected';
-            previewText.style.display = 'block';
-        }
+    async handleImageUpload(e) {
+        // Highlights and corrected views belong to the previous images
+        await labelImages.setFiles(Array.from(e.target.files));
     }
 
     /**
@@ -115,66 +126,135 @@ class App {
             }
 
             const fields = formValidator.getFormData();
-            const imageFile = document.getElementById('imageUpload').files[0];
-            
-            if (!imageFile) {
-                throw new Error('Please select an image to verify');
-            }
+            const beverageType = formValidator.getBeverageType();
+            const images = labelImages.getImages();
+            const loaded = await this.startRun(images);
 
-            // Ensure systems are initialized
-            if (!this.state.systemReady) {
-                this.updateButtonState('System initializing...', true);
-                await this.initializeSystems();
-            }
-
-            if (!this.checkSystemReady()) {
-                throw new Error('System initialization failed. Please refresh the page.');
-            }
-
-            // Start processing
-            this.updateButtonState('Processing...', true);
-            this.showProgress(10, 'Processing image...');
-
-            // Step 1: Process image with OpenCV
-            const preview = document.getElementById('imagePreview');
-            const processedImage = await imageProcessor.processImage(preview);
-
-            // Step 2: Perform OCR
-            this.showProgress(40, 'Running OCR... 0%');
-            const ocrResult = await ocrProcessor.processImage(processedImage, (progress) => {
-                this.showProgress(40 + Math.round(progress * 0.3), `Running OCR... ${progress}%`);
-            });
-
-            // Step 3: Verify text
-            this.showProgress(70, 'Verifying text...');
-            const verificationResults = await textVerifier.verifyText(
-                ocrResult.text, 
-                fields, 
-                (progress) => {
-                    this.showProgress(70 + Math.round(progress * 0.3), `Verifying... ${progress}%`);
-                }
+            const { ocrResult, results, timings, incomplete, images: processed } = await verificationRunner.run(
+                loaded,
+                fields,
+                beverageType,
+                (percent, text) => this.showProgress(percent, text),
+                { signal: this.runController.signal }
             );
-            
-            // Complete
-            this.showProgress(100, 'Done!');
+            this.runController = null;
+            this.setCancelVisible(false);
             setTimeout(() => this.hideProgress(), 1200);
 
-            // Display results
-            textVerifier.displayResults(verificationResults);
-            
-            // Log to server
-            await this.logVerificationResults(imageFile.name, fields, ocrResult.text, verificationResults);
+            // Display results (partial if the run stopped early) and where each field was found on the labels
+            verificationRunner.display(results, { timings, incomplete, fields, images: processed });
+
+            // When fields fail, show what the label actually says for them
+            const failed = results.filter(result => !result.found).map(result => result.field);
+            if (failed.length && ocrResult) {
+                valueSuggester.show(valueSuggester.suggest(ocrResult.variants), { title: 'What the label says', selectFields: failed });
+            } else {
+                valueSuggester.close();
+            }
+
+            // Log to server; the log id is what reviewer overrides and reports attach to.
+            // Cancelled runs are not logged: the reviewer chose to abandon them
+            const logId = incomplete?.reason === 'cancelled'
+                ? null
+                : await verificationRunner.log(
+                    images.map(image => image.name).join(', '),
+                    beverageType,
+                    fields,
+                    ocrResult,
+                    results,
+                    images.map((image, index) => ({ ...image, geometry: processed[index].geometry, quality: processed[index].quality })),
+                    timings,
+                    incomplete
+                );
+            verificationRunner.attachLog(logId, results);
             
             this.updateButtonState('Verify Label', false);
 
         } catch (error) {
             console.error('Verification error:', error);
+            this.runController = null;
+            this.setCancelVisible(false);
             this.updateButtonState('Verify Label', false);
             this.hideProgress();
             alert('Error: ' + error.message);
         }
     }
 
+    /**
+     * Read the label images without a form and propose values for the form fields
+     */
+    async handleSuggest() {
+        try {
+            const images = labelImages.getImages();
+            const loaded = await this.startRun(images);
+
+            const { ocrResult, incomplete } = await verificationRunner.run(
+                loaded,
+                null,
+                formValidator.getBeverageType(),
+                (percent, text) => this.showProgress(percent, text),
+                { signal: this.runController.signal }
+            );
+            this.runController = null;
+            this.setCancelVisible(false);
+            this.updateButtonState('Verify Label', false);
+            setTimeout(() => this.hideProgress(), 1200);
+
+            if (!ocrResult) {
+                if (incomplete?.reason !== 'cancelled') alert(`Could not read the label: ${incomplete?.message || 'no text found'}`);
+                return;
+            }
+            valueSuggester.show(valueSuggester.suggest(ocrResult.variants));
+            document.getElementById('suggestionPanel')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        } catch (error) {
+            console.error('Suggestion error:', error);
+            this.runController = null;
+            this.setCancelVisible(false);
+            this.updateButtonState('Verify Label', false);
+            this.hideProgress();
+            alert('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Make sure there are images and the systems are ready, then start a cancellable run
+     * @param {Array<{name: string, tag: string, dataUrl: string}>} images - Label images as submitted
+     * @returns {Promise<Array>} Images loaded for processing ({ name, tag, dataUrl, element })
+     */
+    async startRun(images) {
+        if (images.length === 0) {
+            throw new Error('Please select an image to verify');
+        }
+
+        // Ensure systems are initialized
+        if (!this.state.systemReady) {
+            this.updateButtonState('System initializing...', true);
+            await this.initializeSystems();
+        }
+
+        if (!this.checkSystemReady()) {
+            throw new Error('System initialization failed. Please refresh the page.');
+        }
+
+        // Start processing
+        this.updateButtonState('Processing...', true);
+        this.runController = new AbortController();
+        this.setCancelVisible(true);
+
+        // Always start from the uploaded images, never the corrected ones the preview may be showing
+        const elements = await Promise.all(images.map(image => loadImage(image.dataUrl)));
+        return images.map((image, index) => ({ ...image, element: elements[index] }));
+    }
+
+    /**
+     * Show the Cancel button while a verification is running
+     * @param {boolean} visible - Whether a run is in progress
+     */
+    setCancelVisible(visible) {
+        if (this.cancelButton) this.cancelButton.style.display = visible ? 'block' : 'none';
+    }
+
     /**
      * Check if both systems are ready
      * @returns {boolean} True if ready
@@ -199,6 +279,7 @@ class App {
             this.submitButton.textContent = text;
             this.submitButton.disabled = disabled;
         }
+        if (this.suggestButton) this.suggestButton.disabled = disabled;
     }
 
     /**
@@ -223,28 +304,6 @@ class App {
         const progressWrap = document.getElementById('verificationProgress');
         if (progressWrap) progressWrap.style.display = 'none';
     }
-
-    /**
-     * Log results to server
-     */
-    async logVerificationResults(imageName, fields, ocrText, results) {
-        try {
-            await fetch('/api/log-verification', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    imageName,
-                    fields,
-                    ocrText,
-                    results,
-                    timestamp: new Date().toISOString()
-                })
-            });
-        } catch (error) {
-            console.error('Logging failed:', error);
-            // Don't throw - logging failure shouldn't break the app
-        }
-    }
 }
 
 // Initialize app when DOM is ready
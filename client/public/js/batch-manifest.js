@@ -0,0 +1,85 @@
+/**
+ * Batch Manifest Module
+ * Reads the expected field values for a batch of label images from CSV or JSON
+ *
+ * JSON uses the same shape as testImages in playwright.spec.js:
+ *   [{ "file": "label.jpg", "beverageType": "wine", "good": { "brandName": "ABC", ... } }]
+ * CSV has a header row with a `file` column, an optional `beverageType` column and one column per field id.
+ */
+
+import { parseCsvRecords } from './csv.js';
+import { formValidator } from './form-validator.js';
+import { DEFAULT_BEVERAGE_TYPE, getBeverageProfile } from './beverage-profiles.js';
+
+class BatchManifest {
+    /**
+     * Parse a manifest file
+     * @param {string} text - File content
+     * @param {string} fileName - File name (its extension picks the format)
+     * @returns {Object} { items, errors } where each item is { file, beverageType, fields, errors }
+     */
+    parse(text, fileName = '') {
+        let records;
+        try {
+            records = /\.csv$/i.test(fileName) ? parseCsvRecords(text) : this.parseJson(text);
+        } catch (error) {
+            return { items: [], errors: [`Could not read ${fileName || 'manifest'}: ${error.message}`] };
+        }
+
+        const errors = [];
+        const seen = new Set();
+        const items = records.map((record, index) => {
+            const item = this.toItem(record, index);
+            if (item.file && seen.has(item.file)) {
+                errors.push(`"${item.file}" is listed more than once; only the first entry is used`);
+                item.errors.push('Duplicate entry');
+            }
+            seen.add(item.file);
+            return item;
+        });
+
+        if (items.length === 0) errors.push('The manifest does not list any labels');
+        return { items, errors };
+    }
+
+    /**
+     * Read JSON records (an array, or an object with an `items` array)
+     * @param {string} text - JSON content
+     * @returns {Array<Object>} Records
+     */
+    parseJson(text) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data?.items;
+        if (!Array.isArray(records)) throw new Error('expected an array of { file, good } entries');
+
+        // Flatten { file, good: {...} } into one record like a CSV row
+        return records.map(record => ({ ...(record.good || record.fields || {}), file: record.file, beverageType: record.beverageType }));
+    }
+
+    /**
+     * Build a batch item from one record and validate it against its beverage profile
+     * @param {Object} record - Flat record with file, beverageType and field values
+     * @param {number} index - Position in the manifest (for messages)
+     * @returns {Object} Batch item
+     */
+    toItem(record, index) {
+        const file = String(record.file ?? '').trim().split(/[\\/]/).pop();
+        const beverageType = String(record.beverageType ?? '').trim() || DEFAULT_BEVERAGE_TYPE;
+        const profile = getBeverageProfile(beverageType);
+        const errors = [];
+
+        if (!file) errors.push(`Entry ${index + 1} has no file name`);
+        if (!profile) {
+            errors.push(`Unknown beverage type "${beverageType}"`);
+            return { file, beverageType, fields: {}, errors };
+        }
+
+        const fields = Object.fromEntries(profile.fields.map(({ id }) => [id, String(record[id] ?? '').trim()]));
+        const invalid = Object.keys(fields).filter(id => !formValidator.validateValue(id, fields[id], beverageType));
+        if (invalid.length > 0) errors.push(`Missing or invalid: ${invalid.join(', ')}`);
+
+        return { file, beverageType, fields, errors };
+    }
+}
+
+export const batchManifest = new BatchManifest();
@@ -0,0 +1,326 @@
+/**
+ * Batch Verifier Module
+ * Verifies a folder of label images against a manifest, one at a time, with a pass/fail summary
+ */
+
+import { imageProcessor } from './image-processor.js';
+import { ocrProcessor } from './ocr.js';
+import { formValidator } from './form-validator.js';
+import { batchManifest } from './batch-manifest.js';
+import { verificationRunner } from './verification-runner.js';
+import { labelImages, readDataUrl, loadImage } from './label-images.js';
+import { escapeHtml } from './html.js';
+import { cancelledError } from './cancellation.js';
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    done: 'Done',
+    error: 'Error',
+    skipped: 'Skipped'
+};
+
+class BatchVerifier {
+    constructor() {
+        this.images = new Map();
+        this.manifest = null;
+        this.items = [];
+        this.running = false;
+        this.stopRequested = false;
+        this.runController = null;
+    }
+
+    /**
+     * Wire up the batch inputs and the summary table
+     */
+    initialize() {
+        document.getElementById('batchImages')?.addEventListener('change', (e) => {
+            this.images = new Map(Array.from(e.target.files)
+                .filter(file => file.type.startsWith('image/'))
+                .map(file => [file.name, file]));
+            this.prepare();
+        });
+
+        document.getElementById('batchManifest')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            this.manifest = file ? batchManifest.parse(await file.text(), file.name) : null;
+            this.prepare();
+        });
+
+        document.getElementById('batchRun')?.addEventListener('click', () => this.run());
+        document.getElementById('batchStop')?.addEventListener('click', () => {
+            this.stopRequested = true;
+            this.setMessage('Stopping after the current label...');
+        });
+        // Stop now: the current label's run is abandoned and it goes back in the queue
+        document.getElementById('batchCancel')?.addEventListener('click', () => {
+            this.stopRequested = true;
+            this.runController?.abort(cancelledError());
+            this.setMessage('Cancelling the current label...');
+        });
+
+        document.getElementById('batchSummary')?.addEventListener('click', (e) => {
+            const link = e.target.closest('.batch-view');
+            if (link) {
+                e.preventDefault();
+                this.showDetail(Number(link.dataset.index));
+            }
+        });
+    }
+
+    /**
+     * Pair manifest entries with the selected images and show the queue
+     */
+    prepare() {
+        if (this.running) return;
+
+        const entries = this.manifest?.items || [];
+        this.items = entries.map(entry => {
+            const image = this.images.get(entry.file) || null;
+            const errors = [...entry.errors];
+            if (!image && entry.file) errors.push('Image not found in the selected folder');
+
+            return {
+                ...entry,
+                image,
+                errors,
+                status: errors.length ? 'skipped' : 'queued',
+                message: errors.join('; '),
+                results: null,
+                timings: null,
+                incomplete: null,
+                processed: null,
+                logId: null
+            };
+        });
+
+        const listed = new Set(entries.map(entry => entry.file));
+        const unlisted = [...this.images.keys()].filter(name => !listed.has(name));
+        const notes = [...(this.manifest?.errors || [])];
+        if (unlisted.length) notes.push(`${unlisted.length} image(s) not in the manifest will be ignored`);
+
+        const runnable = this.items.filter(item => item.status === 'queued').length;
+        this.setMessage([`${runnable} of ${this.items.length} label(s) ready`, ...notes].join('. '));
+        document.getElementById('batchRun').disabled = runnable === 0;
+        this.renderSummary();
+    }
+
+    /**
+     * Process the queue one label at a time
+     */
+    async run() {
+        if (this.running) return;
+
+        if (!imageProcessor.isReady() || !ocrProcessor.isReady()) {
+            this.setMessage('OpenCV and OCR are still initializing, try again in a moment');
+            return;
+        }
+
+        this.running = true;
+        this.stopRequested = false;
+        this.runController = new AbortController();
+        document.getElementById('batchRun').disabled = true;
+        document.getElementById('batchStop').disabled = false;
+        document.getElementById('batchCancel').disabled = false;
+
+        const queue = this.items.filter(item => item.status === 'queued');
+        for (let i = 0; i < queue.length && !this.stopRequested; i++) {
+            this.setMessage(`Verifying ${i + 1} of ${queue.length}: ${queue[i].file}`);
+            await this.verifyItem(queue[i]);
+            this.renderSummary();
+        }
+
+        const cancelled = this.runController.signal.aborted;
+        this.running = false;
+        this.runController = null;
+        document.getElementById('batchStop').disabled = true;
+        document.getElementById('batchCancel').disabled = true;
+        document.getElementById('batchRun').disabled = !this.items.some(item => item.status === 'queued');
+
+        const done = this.items.filter(item => item.status === 'done').length;
+        const outcome = cancelled ? 'Cancelled' : (this.stopRequested ? 'Stopped' : 'Finished');
+        this.setMessage(`${outcome}: ${done} of ${this.items.length} label(s) verified`);
+    }
+
+    /**
+     * Verify and log one batch item (errors are recorded on the item, never thrown)
+     * @param {Object} item - Batch item
+     */
+    async verifyItem(item) {
+        item.status = 'running';
+        this.updateRowStatus(item, 'Loading image...');
+
+        try {
+            const dataUrl = await readDataUrl(item.image);
+            const imageElement = await loadImage(dataUrl);
+
+            // Manifest rows name one image, shown as the front label
+            const { ocrResult, results, timings, incomplete, images } = await verificationRunner.run(
+                [{ element: imageElement, name: item.file, tag: 'front' }],
+                item.fields,
+                item.beverageType,
+                (percent, text) => this.updateRowStatus(item, `${text} (${percent}%)`),
+                { signal: this.runController.signal }
+            );
+
+            // Cancelled runs are not logged; the label is queued again for the next run
+            if (incomplete?.reason === 'cancelled') {
+                item.status = 'queued';
+                item.message = 'Cancelled';
+                return;
+            }
+
+            item.results = results;
+            item.timings = timings;
+            item.incomplete = incomplete;
+            item.processed = images;
+            item.logId = await verificationRunner.log(
+                item.file,
+                item.beverageType,
+                item.fields,
+                ocrResult,
+                results,
+                [{ name: item.file, tag: 'front', dataUrl, geometry: images[0].geometry, quality: images[0].quality }],
+                timings,
+                incomplete
+            );
+            item.status = 'done';
+            item.message = incomplete?.message || '';
+        } catch (error) {
+            console.error(`Batch verification failed for ${item.file}:`, error);
+            item.status = 'error';
+            item.message = error.message;
+        }
+    }
+
+    /**
+     * Show a finished item in the main results panel, with its image and form values
+     * @param {number} index - Item index
+     */
+    async showDetail(index) {
+        const item = this.items[index];
+        if (!item?.results) return;
+
+        labelImages.setImages([{ name: item.file, tag: 'front', dataUrl: await readDataUrl(item.image) }]);
+
+        // Put the manifest values in the form so the reviewer sees what was expected
+        const select = document.getElementById('beverageType');
+        if (select) select.value = item.beverageType;
+        formValidator.applyProfile(item.beverageType);
+        Object.entries(item.fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+
+        verificationRunner.display(item.results, {
+            timings: item.timings,
+            incomplete: item.incomplete,
+            fields: item.fields,
+            images: item.processed
+        });
+        verificationRunner.attachLog(item.logId, item.results);
+        document.getElementById('verificationResults')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Field columns for the summary, in the order results report them
+     * @returns {Array<string>} Field names
+     */
+    getColumns() {
+        const columns = [];
+        this.items.forEach(item => {
+            (item.results || []).forEach(result => {
+                if (!columns.includes(result.field)) columns.push(result.field);
+            });
+        });
+        return columns;
+    }
+
+    /**
+     * Draw the queue/summary table
+     */
+    renderSummary() {
+        const container = document.getElementById('batchSummary');
+        if (!container) return;
+
+        if (this.items.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const columns = this.getColumns();
+        const label = field => field.replace(/([A-Z])/g, ' $1').trim();
+
+        const rows = this.items.map((item, index) => {
+            const byField = new Map((item.results || []).map(result => [result.field, result]));
+            const passed = item.results?.every(result => result.found);
+            const cells = columns.map(field => {
+                const result = byField.get(field);
+                if (!result) return '<td></td>';
+                const confidence = `${(result.confidence * 100).toFixed(0)}%`;
+                if (result.status === 'review') return `<td class="batch-cell batch-review" title="${confidence}, needs review">?</td>`;
+                return `<td class="batch-cell batch-${result.found ? 'pass' : 'fail'}" title="${confidence}">${result.found ? '✓' : '✗'}</td>`;
+            }).join('');
+
+            return `
+                <tr data-index="${index}">
+                    <td>${item.results ? `<a href="#" class="batch-view" data-index="${index}">${escapeHtml(item.file)}</a>` : escapeHtml(item.file)}</td>
+                    <td class="batch-status batch-status-${item.status}">${STATUS_LABELS[item.status]}${item.message ? `: ${escapeHtml(item.message)}` : ''}</td>
+                    <td>${item.results ? (item.incomplete ? 'Timed out' : (passed ? 'Pass' : 'Fail')) : ''}</td>
+                    ${cells}
+                </tr>
+            `;
+        }).join('');
+
+        // Per-field pass counts over the finished items
+        const finished = this.items.filter(item => item.results);
+        const totals = columns.map(field => {
+            const withField = finished.filter(item => item.results.some(result => result.field === field));
+            const passed = withField.filter(item => item.results.find(result => result.field === field).found);
+            return `<td>${passed.length}/${withField.length}</td>`;
+        }).join('');
+        const passedCount = finished.filter(item => !item.incomplete && item.results.every(result => result.found)).length;
+
+        container.innerHTML = `
+            <table class="batch-table">
+                <thead>
+                    <tr>
+                        <th>File</th><th>Status</th><th>Overall</th>
+                        ${columns.map(field => `<th>${label(field)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                ${finished.length ? `
+                    <tfoot>
+                        <tr><td>Passed</td><td></td><td>${passedCount}/${finished.length}</td>${totals}</tr>
+                    </tfoot>
+                ` : ''}
+            </table>
+        `;
+    }
+
+    /**
+     * Update one row's status text without redrawing the table
+     * @param {Object} item - Batch item
+     * @param {string} text - Status detail
+     */
+    updateRowStatus(item, text) {
+        const index = this.items.indexOf(item);
+        const cell = document.querySelector(`#batchSummary tr[data-index="${index}"] .batch-status`);
+        if (!cell) return;
+
+        cell.className = `batch-status batch-status-${item.status}`;
+        cell.textContent = `${STATUS_LABELS[item.status]}: ${text}`;
+    }
+
+    /**
+     * Show a batch-level message
+     * @param {string} text - Message
+     */
+    setMessage(text) {
+        const message = document.getElementById('batchMessage');
+        if (message) message.textContent = text;
+    }
+}
+
+export const batchVerifier = new BatchVerifier();
@@ -0,0 +1,71 @@
+/**
+ * Beverage Profiles Module
+ * Per-beverage-type rules: which inputs are shown and required, extra validation, and label checks
+ */
+
+import { BEVERAGE_TYPES } from './alcohol-content.js';
+
+export const DEFAULT_BEVERAGE_TYPE = BEVERAGE_TYPES.distilledSpirits;
+
+// Fields every profile starts from (ids match the inputs in index.html)
+const BASE_FIELDS = [
+    { id: 'brandName', required: true },
+    { id: 'productClass', required: true },
+    { id: 'alcoholContent', required: true },
+    { id: 'netContents', required: true },
+    { id: 'manufacturerName', required: true },
+    { id: 'manufacturerAddress', required: true }
+];
+
+export const BEVERAGE_PROFILES = {
+    [BEVERAGE_TYPES.distilledSpirits]: {
+        label: 'Distilled Spirits',
+        fields: [
+            ...BASE_FIELDS,
+            { id: 'proof', required: false }
+        ],
+        validationRules: {
+            proof: {
+                pattern: /^[0-9]+(\.[0-9]+)?\s*(proof)?$/i,
+                message: 'Enter a proof (e.g., 80 or 80 proof)'
+            }
+        },
+        checks: ['governmentWarning']
+    },
+    [BEVERAGE_TYPES.wine]: {
+        label: 'Wine',
+        fields: [
+            ...BASE_FIELDS,
+            { id: 'appellation', required: false },
+            { id: 'vintage', required: false }
+        ],
+        validationRules: {
+            vintage: {
+                pattern: /^(19|20)[0-9]{2}$/,
+                message: 'Enter a four-digit vintage year (e.g., 2019)'
+            }
+        },
+        checks: ['governmentWarning', 'sulfiteDeclaration']
+    },
+    [BEVERAGE_TYPES.maltBeverage]: {
+        label: 'Malt Beverage',
+        // Alcohol content is only mandatory on some malt beverage labels (27 CFR 7.65)
+        fields: BASE_FIELDS.map(field => (field.id === 'alcoholContent' ? { ...field, required: false } : field)),
+        validationRules: {
+            alcoholContent: {
+                pattern: /^[0-9]+(\.[0-9]+)?\s*%?$/,
+                message: 'Malt beverages state alcohol content as a percentage (proof is not allowed)'
+            }
+        },
+        checks: ['governmentWarning']
+    }
+};
+
+/**
+ * Look up a profile by beverage type
+ * @param {string} beverageType - One of BEVERAGE_TYPES
+ * @returns {Object|null} Profile, or null if the type is unknown
+ */
+export function getBeverageProfile(beverageType) {
+    return BEVERAGE_PROFILES[beverageType] || null;
+}
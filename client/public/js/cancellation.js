@@ -0,0 +1,85 @@
+/**
+ * Cancellation Module
+ * Abort signals with per-stage time budgets, and the errors a stopped verification run rejects with
+ */
+
+/**
+ * Error for a stage that ran past its time budget
+ * @param {string} stage - Stage name shown to the user
+ * @param {number} ms - Budget that was exceeded
+ * @returns {Error} Error with reason 'timeout'
+ */
+export function timeoutError(stage, ms) {
+    return Object.assign(new Error(`${stage} timed out after ${Math.round(ms / 1000)}s`), { reason: 'timeout', stage });
+}
+
+/**
+ * Error for a run the user cancelled
+ * @returns {Error} Error with reason 'cancelled'
+ */
+export function cancelledError() {
+    return Object.assign(new Error('Verification cancelled'), { reason: 'cancelled' });
+}
+
+/**
+ * Whether an error means the run was stopped (timed out or cancelled) rather than failed
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for timeouts and cancellations
+ */
+export function isStopped(error) {
+    return error?.reason === 'timeout' || error?.reason === 'cancelled';
+}
+
+/**
+ * Signal for one stage: aborts when the parent signal does or when the budget runs out
+ * @param {AbortSignal} parent - Run signal (optional)
+ * @param {number} ms - Time budget (0 or less for none)
+ * @param {string} stage - Stage name for the timeout error
+ * @returns {{signal: AbortSignal, dispose: Function}} Call dispose when the stage finishes
+ */
+export function stageSignal(parent, ms, stage) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(parent.reason);
+
+    if (parent?.aborted) {
+        abort();
+    } else {
+        parent?.addEventListener('abort', abort, { once: true });
+    }
+    const timer = ms > 0 ? setTimeout(() => controller.abort(timeoutError(stage, ms)), ms) : null;
+
+    return {
+        signal: controller.signal,
+        dispose: () => {
+            clearTimeout(timer);
+            parent?.removeEventListener('abort', abort);
+        }
+    };
+}
+
+/**
+ * Settle with a promise, or reject with the signal's reason as soon as it aborts
+ * @param {Promise} promise - Work in progress
+ * @param {AbortSignal} signal - Signal to watch (optional)
+ * @param {Function} onAbort - Cleanup for the abandoned work (terminate a worker, etc.)
+ * @returns {Promise} The promise's result
+ */
+export function abortable(promise, signal, onAbort) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            onAbort?.();
+            reject(signal.reason);
+        };
+
+        if (signal.aborted) {
+            // The abandoned work may still reject; nobody is waiting for it any more
+            promise.catch(() => {});
+            abort();
+            return;
+        }
+        signal.addEventListener('abort', abort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+    });
+}
@@ -0,0 +1,355 @@
+/**
+ * COLA Import Module
+ * Prefills the form from a COLA application export (CSV, JSON or XML) after a mapping preview
+ */
+
+import { parseCsvRecords } from './csv.js';
+import { formValidator } from './form-validator.js';
+import { BEVERAGE_TYPES } from './alcohol-content.js';
+import { DEFAULT_BEVERAGE_TYPE, getBeverageProfile } from './beverage-profiles.js';
+import { escapeHtml } from './html.js';
+
+// Source column names (lowercased, letters and digits only) recognised for each form input
+const FIELD_SYNONYMS = {
+    brandName: ['brandname', 'brand'],
+    productClass: ['classtypedescription', 'classtypedesc', 'classtype', 'productclass', 'productclasstype', 'class'],
+    alcoholContent: ['alcoholcontent', 'alcohol', 'abv', 'alcoholbyvolume'],
+    proof: ['proof'],
+    netContents: ['netcontents', 'netcontent', 'containersize', 'bottlesize', 'volume'],
+    manufacturerName: ['applicantname', 'nameofapplicant', 'bottlername', 'manufacturername', 'permitteename', 'companyname', 'bottler', 'applicant'],
+    manufacturerAddress: ['applicantaddress', 'addressofapplicant', 'bottleraddress', 'manufactureraddress', 'address'],
+    appellation: ['appellation', 'wineappellation', 'appellationoforigin'],
+    vintage: ['vintage', 'vintagedate', 'vintageyear']
+};
+
+const BEVERAGE_TYPE_SYNONYMS = ['typeofproduct', 'producttype', 'beveragetype'];
+const NAME_AND_ADDRESS_SYNONYMS = ['nameandaddressofapplicant', 'nameandaddress', 'applicantnameandaddress'];
+const LABEL_SYNONYMS = ['ttbid', 'colaid', 'serialnumber', 'id'];
+
+class ColaImport {
+    constructor() {
+        this.applications = [];
+        this.selected = 0;
+        this.mapping = {};
+    }
+
+    /**
+     * Wire up the import file input and the preview panel
+     */
+    initialize() {
+        document.getElementById('colaFile')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            this.load(await file.text(), file.name);
+        });
+
+        const preview = document.getElementById('colaPreview');
+        preview?.addEventListener('change', (e) => {
+            if (e.target.id === 'colaApplication') {
+                this.selected = Number(e.target.value);
+                this.mapping = this.autoMap(this.applications[this.selected]);
+                this.renderPreview();
+            } else if (e.target.dataset.mapField) {
+                this.mapping[e.target.dataset.mapField] = e.target.value;
+                this.renderPreview();
+            }
+        });
+        preview?.addEventListener('click', (e) => {
+            if (e.target.id === 'colaFill') this.fill();
+            if (e.target.id === 'colaCancel') this.close();
+        });
+    }
+
+    /**
+     * Parse an export and show the preview for its first application
+     * @param {string} text - File content
+     * @param {string} fileName - File name (its extension picks the format)
+     */
+    load(text, fileName) {
+        try {
+            this.applications = this.parse(text, fileName);
+        } catch (error) {
+            this.showMessage(`Could not read ${fileName}: ${error.message}`);
+            return;
+        }
+
+        if (this.applications.length === 0) {
+            this.showMessage(`No applications found in ${fileName}`);
+            return;
+        }
+
+        this.selected = 0;
+        this.mapping = this.autoMap(this.applications[0]);
+        this.renderPreview();
+    }
+
+    /**
+     * Parse an export into flat records (one per application)
+     * @param {string} text - File content
+     * @param {string} fileName - File name
+     * @returns {Array<Object>} Records keyed by source column (nested keys joined with ".")
+     */
+    parse(text, fileName) {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        if (extension === 'csv') return parseCsvRecords(text);
+        if (extension === 'xml') return this.parseXml(text);
+
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : (data.applications || data.colas || [data]);
+        return records.map(record => ColaImport.flatten(record));
+    }
+
+    /**
+     * Parse XML: every element whose children are all leaves is one application
+     * @param {string} text - XML content
+     * @returns {Array<Object>} Flat records
+     */
+    parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) throw new Error('invalid XML');
+
+        const isLeaf = element => element.children.length === 0;
+        const records = Array.from(doc.querySelectorAll('*'))
+            .filter(element => element.children.length > 0 && Array.from(element.children).every(isLeaf));
+
+        return records.map(element => {
+            const record = {};
+            Array.from(element.attributes).forEach(attribute => { record[attribute.name] = attribute.value.trim(); });
+            Array.from(element.children).forEach(child => { record[child.tagName] = child.textContent.trim(); });
+            return record;
+        });
+    }
+
+    /**
+     * Flatten nested objects ({ applicant: { name } } -> { "applicant.name" })
+     * @param {Object} value - JSON object
+     * @param {string} prefix - Key prefix
+     * @returns {Object} Flat record
+     */
+    static flatten(value, prefix = '') {
+        const record = {};
+        Object.entries(value || {}).forEach(([key, child]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (child && typeof child === 'object' && !Array.isArray(child)) {
+                Object.assign(record, ColaImport.flatten(child, path));
+            } else {
+                record[path] = Array.isArray(child) ? child.join(', ') : String(child ?? '').trim();
+            }
+        });
+        return record;
+    }
+
+    /**
+     * Normalise a column name for synonym lookup
+     * @param {string} key - Column name
+     * @returns {string} Lowercase letters and digits
+     */
+    static normalizeKey(key) {
+        return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Find the first column matching any synonym (exact match first, then suffix, e.g. "applicant.name")
+     * @param {Object} record - Flat record
+     * @param {Array<string>} synonyms - Normalised names
+     * @returns {string} Column name, or '' if none
+     */
+    static findColumn(record, synonyms) {
+        const keys = Object.keys(record);
+        for (const synonym of synonyms) {
+            const exact = keys.find(key => ColaImport.normalizeKey(key) === synonym);
+            if (exact) return exact;
+        }
+        for (const synonym of synonyms) {
+            const suffix = keys.find(key => ColaImport.normalizeKey(key).endsWith(synonym));
+            if (suffix) return suffix;
+        }
+        return '';
+    }
+
+    /**
+     * Guess the column for each form input
+     * @param {Object} record - Flat record
+     * @returns {Object} Map of field id -> column name ('' for unmapped)
+     */
+    autoMap(record) {
+        const mapping = { beverageType: ColaImport.findColumn(record, BEVERAGE_TYPE_SYNONYMS) };
+        Object.entries(FIELD_SYNONYMS).forEach(([field, synonyms]) => {
+            mapping[field] = ColaImport.findColumn(record, synonyms);
+        });
+
+        // A combined "name and address" column fills whichever half has no column of its own
+        const combined = ColaImport.findColumn(record, NAME_AND_ADDRESS_SYNONYMS);
+        if (combined) {
+            if (!mapping.manufacturerName || mapping.manufacturerName === combined) mapping.manufacturerName = combined;
+            if (!mapping.manufacturerAddress || mapping.manufacturerAddress === combined) mapping.manufacturerAddress = combined;
+        }
+        return mapping;
+    }
+
+    /**
+     * Map a product type description onto a beverage profile
+     * @param {string} value - e.g., "Distilled Spirits", "WINE", "Malt Beverage"
+     * @returns {string|null} One of BEVERAGE_TYPES, or null if unrecognised
+     */
+    static toBeverageType(value) {
+        const text = String(value || '').toLowerCase();
+        if (getBeverageProfile(value)) return value;
+        if (/wine/.test(text)) return BEVERAGE_TYPES.wine;
+        if (/malt|beer|ale\b/.test(text)) return BEVERAGE_TYPES.maltBeverage;
+        if (/spirit|liquor/.test(text)) return BEVERAGE_TYPES.distilledSpirits;
+        return null;
+    }
+
+    /**
+     * Value for a field under the current mapping
+     * A combined name-and-address value is split at the first line break, or else the first comma
+     * @param {Object} record - Flat record
+     * @param {string} field - Field id
+     * @returns {string} Value
+     */
+    valueFor(record, field) {
+        const column = this.mapping[field];
+        const value = column ? String(record[column] ?? '').trim() : '';
+        const combined = column && NAME_AND_ADDRESS_SYNONYMS.includes(ColaImport.normalizeKey(column.split('.').pop()));
+        if (!combined || !['manufacturerName', 'manufacturerAddress'].includes(field)) return value;
+
+        const split = value.includes('\n') ? value.indexOf('\n') : value.indexOf(',');
+        if (split < 0) return field === 'manufacturerName' ? value : '';
+        return (field === 'manufacturerName' ? value.slice(0, split) : value.slice(split + 1)).trim();
+    }
+
+    /**
+     * Mapped values and their validation for the selected application
+     * @returns {Object} { beverageType, rows: [{ field, column, value, valid, message }] }
+     */
+    buildPreview() {
+        const record = this.applications[this.selected];
+        const sourceType = this.mapping.beverageType ? record[this.mapping.beverageType] : '';
+        const beverageType = ColaImport.toBeverageType(sourceType) || formValidator.getBeverageType() || DEFAULT_BEVERAGE_TYPE;
+        const profile = getBeverageProfile(beverageType);
+        const rules = formValidator.rulesFor(profile);
+
+        const rows = profile.fields.map(({ id, required }) => {
+            const value = this.valueFor(record, id);
+            const valid = formValidator.validateValue(id, value, beverageType);
+            let message = '';
+            if (!valid) message = value ? (rules[id]?.message || 'Invalid value') : 'Required';
+            return { field: id, required, column: this.mapping[id] || '', value, valid, message };
+        });
+
+        return { beverageType, sourceType, rows };
+    }
+
+    /**
+     * Short description of an application for the selector
+     * @param {Object} record - Flat record
+     * @param {number} index - Position in the file
+     * @returns {string} Label
+     */
+    describe(record, index) {
+        const idColumn = ColaImport.findColumn(record, LABEL_SYNONYMS);
+        const brandColumn = ColaImport.findColumn(record, FIELD_SYNONYMS.brandName);
+        return [`#${index + 1}`, idColumn && record[idColumn], brandColumn && record[brandColumn]].filter(Boolean).join(' - ');
+    }
+
+    /**
+     * Draw the application selector and mapping table
+     */
+    renderPreview() {
+        const preview = document.getElementById('colaPreview');
+        if (!preview) return;
+
+        const record = this.applications[this.selected];
+        const columns = Object.keys(record);
+        const { beverageType, sourceType, rows } = this.buildPreview();
+        const invalidCount = rows.filter(row => !row.valid).length;
+        const label = field => field.replace(/([A-Z])/g, ' $1').trim();
+
+        preview.innerHTML = `
+            ${this.applications.length > 1 ? `
+                <label>Application
+                    <select id="colaApplication">
+                        ${this.applications.map((application, index) => `
+                            <option value="${index}"${index === this.selected ? ' selected' : ''}>${escapeHtml(this.describe(application, index))}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            ` : ''}
+            <div class="cola-type">
+                Beverage type: <strong>${escapeHtml(getBeverageProfile(beverageType).label)}</strong>
+                ${sourceType ? `(from "${escapeHtml(sourceType)}")` : '(not in file; using the selected type)'}
+            </div>
+            <table class="cola-mapping">
+                <thead><tr><th>Form field</th><th>Source column</th><th>Value</th><th></th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.valid ? '' : 'cola-invalid'}">
+                            <td>${label(row.field)}${row.required ? ' *' : ''}</td>
+                            <td>
+                                <select data-map-field="${row.field}">
+                                    <option value="">(none)</option>
+                                    ${columns.map(column => `
+                                        <option value="${escapeHtml(column)}"${column === row.column ? ' selected' : ''}>${escapeHtml(column)}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td>${escapeHtml(row.value)}</td>
+                            <td>${row.valid ? '✓' : `✗ ${escapeHtml(row.message)}`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${invalidCount ? `<div class="cola-warning">${invalidCount} field(s) need attention; invalid values are filled in but the form will not submit until they are fixed.</div>` : ''}
+            <div class="cola-actions">
+                <button type="button" id="colaFill" class="button">Fill Form</button>
+                <button type="button" id="colaCancel" class="button button-secondary">Cancel</button>
+            </div>
+        `;
+        preview.style.display = 'block';
+    }
+
+    /**
+     * Copy the mapped values into the form
+     */
+    fill() {
+        const { beverageType, rows } = this.buildPreview();
+
+        const select = document.getElementById('beverageType');
+        if (select) select.value = beverageType;
+        formValidator.applyProfile(beverageType);
+
+        rows.forEach(row => {
+            const input = document.getElementById(row.field);
+            if (input) input.value = row.value;
+        });
+        this.close();
+    }
+
+    /**
+     * Hide the preview and reset the file input
+     */
+    close() {
+        const preview = document.getElementById('colaPreview');
+        if (preview) {
+            preview.style.display = 'none';
+            preview.innerHTML = '';
+        }
+        const input = document.getElementById('colaFile');
+        if (input) input.value = '';
+    }
+
+    /**
+     * Show a message in place of the preview
+     * @param {string} text - Message
+     */
+    showMessage(text) {
+        const preview = document.getElementById('colaPreview');
+        if (!preview) return;
+        preview.innerHTML = `<div class="cola-warning">${escapeHtml(text)}</div>`;
+        preview.style.display = 'block';
+    }
+
+}
+
+export const colaImport = new ColaImport();
@@ -0,0 +1,66 @@
+/**
+ * CSV Module
+ * Minimal RFC 4180 parsing for manifests and imports (quoted fields, embedded commas/quotes/newlines)
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows (blank lines are skipped)
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    // Strip a UTF-8 byte order mark (Excel adds one)
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} One object per data row (header names trimmed)
+ */
+export function parseCsvRecords(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(name => name.trim());
+
+    return rows.map(cells => Object.fromEntries(
+        columns.map((column, index) => [column, (cells[index] ?? '').trim()])
+    ));
+}
@@ -0,0 +1,367 @@
+/**
+ * Dashboard Module
+ * Analytics over the verification log (/api/analytics): pass rates per field over time, confidence
+ * distributions, most-failed images, OCR variant/config usage and processing time
+ */
+
+import { escapeHtml } from './html.js';
+import { session } from './session.js';
+
+class Dashboard {
+    constructor() {
+        this.reports = null;
+    }
+
+    /**
+     * Wire up the filters and load the reports for all time (visitors without a session are sent to sign in first)
+     */
+    async initialize() {
+        if (!await session.initialize()) return;
+        document.getElementById('dashboardFilters')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.load();
+        });
+        this.load();
+    }
+
+    /**
+     * Filters as query parameters (blank inputs are left out)
+     * @returns {URLSearchParams} Query
+     */
+    getFilters() {
+        const params = new URLSearchParams();
+        const form = document.getElementById('dashboardFilters');
+        if (!form) return params;
+        new FormData(form).forEach((value, name) => {
+            if (String(value).trim()) params.set(name, value);
+        });
+        return params;
+    }
+
+    /**
+     * Fetch every report and draw it
+     */
+    async load() {
+        this.setMessage('Loading...');
+        try {
+            const response = await fetch(`/api/analytics?${this.getFilters()}`);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+
+            this.reports = body;
+            this.render();
+            this.setMessage(body.summary.runs ? '' : 'No verification runs match these filters');
+        } catch (error) {
+            this.setMessage(`Could not load analytics: ${error.message}`);
+        }
+    }
+
+    /**
+     * Draw every section
+     */
+    render() {
+        const { summary, 'pass-rates': passRates, confidence, failures, 'ocr-configs': ocrConfigs, timings } = this.reports;
+        this.renderSection('dashboardSummary', this.renderSummary(summary));
+        this.renderSection('dashboardPassRates', this.renderPassRates(passRates, summary.fields));
+        this.renderSection('dashboardConfidence', this.renderConfidence(confidence));
+        this.renderSection('dashboardFailures', this.renderFailures(failures));
+        this.renderSection('dashboardOcrConfigs', this.renderOcrConfigs(ocrConfigs));
+        this.renderSection('dashboardTimings', this.renderTimings(timings));
+    }
+
+    /**
+     * @param {string} id - Container id
+     * @param {string} html - Section markup
+     */
+    renderSection(id, html) {
+        const container = document.getElementById(id);
+        if (container) container.innerHTML = html;
+    }
+
+    /**
+     * Run totals and per-field counts
+     * @param {Object} summary - Summary report
+     * @returns {string} Markup
+     */
+    renderSummary(summary) {
+        const cards = [
+            ['Runs', summary.runs],
+            ['Passed', `${summary.passed} (${Dashboard.percent(summary.passRate)})`],
+            ['Needs review', summary.review],
+            ['Failed', summary.failed],
+            ['Timed out', summary.incomplete],
+            ['Average time', Dashboard.seconds(summary.timings.totalMs)]
+        ];
+
+        return `
+            <div class="dashboard-cards">
+                ${cards.map(([label, value]) => `
+                    <div class="dashboard-card"><span>${label}</span><strong>${escapeHtml(String(value))}</strong></div>
+                `).join('')}
+            </div>
+            ${summary.fields.length ? `
+                <table class="dashboard-table">
+                    <thead><tr><th>Field</th><th>Results</th><th>Match</th><th>Needs Review</th><th>Not Found</th><th>Pass rate</th><th>Avg confidence</th></tr></thead>
+                    <tbody>
+                        ${summary.fields.map(field => `
+                            <tr>
+                                <td>${Dashboard.label(field.field)}</td>
+                                <td>${field.results}</td>
+                                <td>${field.match}</td>
+                                <td>${field.review}</td>
+                                <td>${field.mismatch}</td>
+                                <td style="${Dashboard.rateStyle(field.passRate)}">${Dashboard.percent(field.passRate)}</td>
+                                <td>${Dashboard.percent(field.averageConfidence)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Overall pass rate as a line, then each field's pass rate per period
+     * @param {Object} passRates - Pass-rates report
+     * @param {Array<Object>} fields - Fields from the summary, for the column order
+     * @returns {string} Markup
+     */
+    renderPassRates({ periods }, fields) {
+        if (periods.length === 0) return '';
+        const columns = fields.map(field => field.field);
+
+        return `
+            ${Dashboard.lineChart(periods.map(period => ({ label: period.period, value: period.passRate })))}
+            <div class="dashboard-scroll">
+                <table class="dashboard-table">
+                    <thead>
+                        <tr><th>Period</th><th>Runs</th><th>All fields</th>${columns.map(field => `<th>${Dashboard.label(field)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${periods.map(period => `
+                            <tr>
+                                <td>${escapeHtml(period.period)}</td>
+                                <td>${period.runs}</td>
+                                <td style="${Dashboard.rateStyle(period.passRate)}">${Dashboard.percent(period.passRate)}</td>
+                                ${columns.map(field => {
+                                    const counts = period.fields[field];
+                                    return counts
+                                        ? `<td style="${Dashboard.rateStyle(counts.passRate)}" title="${counts.results} result(s)">${Dashboard.percent(counts.passRate)}</td>`
+                                        : '<td></td>';
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * One histogram per field
+     * @param {Object} confidence - Confidence report
+     * @returns {string} Markup
+     */
+    renderConfidence({ buckets, fields }) {
+        if (fields.length === 0) return '';
+        const width = 100 / buckets;
+
+        return `
+            <table class="dashboard-table">
+                <thead><tr><th>Field</th><th>Results</th><th>Average</th><th>Median</th><th>0% → 100%</th></tr></thead>
+                <tbody>
+                    ${fields.map(field => {
+                        const highest = Math.max(...field.histogram, 1);
+                        return `
+                            <tr>
+                                <td>${Dashboard.label(field.field)}</td>
+                                <td>${field.count}</td>
+                                <td>${Dashboard.percent(field.average)}</td>
+                                <td>${Dashboard.percent(field.median)}</td>
+                                <td>
+                                    <div class="dashboard-histogram">
+                                        ${field.histogram.map((count, index) => `
+                                            <div class="dashboard-histogram-bar" style="width:${width}%;height:${(count / highest) * 100}%"
+                                                title="${index * width}-${(index + 1) * width}%: ${count}"></div>
+                                        `).join('')}
+                                    </div>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Images ranked by failed runs
+     * @param {Object} failures - Failures report
+     * @returns {string} Markup
+     */
+    renderFailures({ images }) {
+        if (images.length === 0) return '<div class="dashboard-empty">No failed runs</div>';
+
+        return `
+            <table class="dashboard-table">
+                <thead><tr><th>Image</th><th>Failed runs</th><th>Fail rate</th><th>Fields not found</th><th>Last run</th></tr></thead>
+                <tbody>
+                    ${images.map(image => `
+                        <tr>
+                            <td>${escapeHtml(image.imageName)}</td>
+                            <td>${image.failedRuns} of ${image.runs}</td>
+                            <td>${Dashboard.percent(image.failRate)}</td>
+                            <td>${Object.entries(image.fields)
+                                .sort(([, a], [, b]) => b - a)
+                                .map(([field, count]) => `${Dashboard.label(field)} ×${count}`)
+                                .join(', ')}</td>
+                            <td>${image.lastRun ? new Date(image.lastRun).toLocaleString() : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Usage of preprocessing variants and OCR configs
+     * @param {Object} ocrConfigs - OCR configs report
+     * @returns {string} Markup
+     */
+    renderOcrConfigs({ variants, configs }) {
+        const table = (title, rows) => {
+            if (rows.length === 0) return '';
+            const mostBest = Math.max(...rows.map(row => row.bestMatches), 1);
+            return `
+                <table class="dashboard-table">
+                    <thead><tr><th>${title}</th><th>Times used</th><th>Best match for a field</th><th>Avg OCR confidence</th><th>Avg time</th></tr></thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${escapeHtml(row.name)}</td>
+                                <td>${row.runs}</td>
+                                <td>
+                                    <div class="dashboard-bar"><div style="width:${(row.bestMatches / mostBest) * 100}%"></div></div>
+                                    ${row.bestMatches}
+                                </td>
+                                <td>${row.averageConfidence ?? ''}</td>
+                                <td>${Dashboard.seconds(row.averageDurationMs)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        };
+        return table('Preprocessing variant', variants) + table('OCR config', configs);
+    }
+
+    /**
+     * Average stage durations overall and per period
+     * @param {Object} timings - Timings report
+     * @returns {string} Markup
+     */
+    renderTimings({ average, periods }) {
+        if (!average.runs) return '<div class="dashboard-empty">No runs recorded timings</div>';
+        const stages = [['preprocessingMs', 'Preprocessing'], ['ocrMs', 'OCR'], ['verificationMs', 'Matching']];
+        const longest = Math.max(...periods.map(period => period.totalMs || 0), 1);
+        const row = (label, timing) => `
+            <tr>
+                <td>${escapeHtml(label)}</td>
+                <td>${timing.runs}</td>
+                ${stages.map(([stage]) => `<td>${Dashboard.seconds(timing[stage])}</td>`).join('')}
+                <td>${Dashboard.seconds(timing.totalMs)}</td>
+                <td>
+                    <div class="dashboard-stack" style="width:${((timing.totalMs || 0) / longest) * 100}%">
+                        ${stages.map(([stage, stageLabel]) => `
+                            <div class="dashboard-stack-${stage}" style="flex:${timing[stage] || 0}" title="${stageLabel} ${Dashboard.seconds(timing[stage])}"></div>
+                        `).join('')}
+                    </div>
+                </td>
+            </tr>
+        `;
+
+        return `
+            <table class="dashboard-table">
+                <thead>
+                    <tr><th>Period</th><th>Runs</th>${stages.map(([, label]) => `<th>${label}</th>`).join('')}<th>Total</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${periods.filter(period => period.runs).map(period => row(period.period, period)).join('')}
+                </tbody>
+                <tfoot>${row('All', average)}</tfoot>
+            </table>
+        `;
+    }
+
+    /**
+     * Show a message above the reports
+     * @param {string} text - Message
+     */
+    setMessage(text) {
+        const message = document.getElementById('dashboardMessage');
+        if (message) message.textContent = text;
+    }
+
+    /**
+     * Line chart of rates (0-1) as inline SVG, one point per period
+     * @param {Array<{label: string, value: number|null}>} points - Points, oldest first
+     * @returns {string} Markup
+     */
+    static lineChart(points) {
+        const plotted = points.map((point, index) => ({ ...point, index })).filter(point => point.value !== null);
+        if (plotted.length === 0) return '';
+
+        const width = 600;
+        const height = 120;
+        const x = index => (points.length > 1 ? (index / (points.length - 1)) * (width - 20) + 10 : width / 2);
+        const y = value => height - 10 - value * (height - 20);
+
+        return `
+            <svg class="dashboard-line" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Pass rate per period">
+                <line x1="0" x2="${width}" y1="${y(0.5)}" y2="${y(0.5)}" class="dashboard-line-grid"></line>
+                <polyline points="${plotted.map(point => `${x(point.index)},${y(point.value)}`).join(' ')}"></polyline>
+                ${plotted.map(point => `
+                    <circle cx="${x(point.index)}" cy="${y(point.value)}" r="4"><title>${escapeHtml(point.label)}: ${Dashboard.percent(point.value)}</title></circle>
+                `).join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * @param {number|null} value - Rate (0-1)
+     * @returns {string} e.g. "87%", or "–" without data
+     */
+    static percent(value) {
+        return value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
+    }
+
+    /**
+     * @param {number|null} ms - Duration in milliseconds
+     * @returns {string} e.g. "6.4s", or "–" without data
+     */
+    static seconds(ms) {
+        return ms === null || ms === undefined ? '–' : `${(ms / 1000).toFixed(1)}s`;
+    }
+
+    /**
+     * Background from red (0%) to green (100%) for a pass rate cell
+     * @param {number|null} rate - Pass rate (0-1)
+     * @returns {string} Inline style
+     */
+    static rateStyle(rate) {
+        return rate === null ? '' : `background-color: hsl(${Math.round(rate * 120)}, 60%, 85%)`;
+    }
+
+    /**
+     * @param {string} field - Field id
+     * @returns {string} Readable label
+     */
+    static label(field) {
+        const spaced = field.replace(/([A-Z])/g, ' $1').trim();
+        return escapeHtml(spaced.charAt(0).toUpperCase() + spaced.slice(1));
+    }
+}
+
+// Initialize dashboard when DOM is ready
+const dashboard = new Dashboard();
+document.addEventListener('DOMContentLoaded', () => dashboard.initialize());
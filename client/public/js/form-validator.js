@@ -3,6 +3,8 @@
  * Validates TTB label form fields before submission
  */
 
+import { DEFAULT_BEVERAGE_TYPE, getBeverageProfile } from './beverage-profiles.js';
+
 class FormValidator {
     constructor() {
         // Field-specific validation patterns
@@ -13,30 +15,83 @@ class FormValidator {
             },
             netContents: {
                 // Flexible pattern for OCR errors (e.g., "2 1 PINTL" or "7 50 ML")
-                pattern: /[0-9]+.*?(ml|mL|ML|l|L|liter|liters|oz|fl oz|fl\. oz\.|ounce|ounces|gal|gallon|gallons|pt|pint|pints|qt|quart|quarts|pintl)/i,
-                message: 'Enter a valid volume (e.g., 750 mL, 25.4 oz)'
+                pattern: /[0-9]+.*?(ml|mL|ML|cl|cL|l|L|liter|liters|oz|fl oz|fl\. oz\.|ounce|ounces|gal|gallon|gallons|pt|pint|pints|qt|quart|quarts|pintl)/i,
+                message: 'Enter a valid volume (e.g., 750 mL, 75 cl, 25.4 oz)'
             }
         };
+        this.beverageType = DEFAULT_BEVERAGE_TYPE;
         this.initialized = false;
     }
 
     initialize() {
+        const select = document.getElementById('beverageType');
+        if (select) {
+            select.addEventListener('change', () => this.applyProfile(select.value));
+            this.applyProfile(select.value);
+        }
         this.initialized = true;
     }
 
+    /**
+     * Show, hide and require inputs for a beverage type
+     * @param {string} beverageType - One of BEVERAGE_TYPES
+     */
+    applyProfile(beverageType) {
+        const profile = getBeverageProfile(beverageType);
+        if (!profile) return;
+
+        this.beverageType = beverageType;
+        const profileFields = new Map(profile.fields.map(field => [field.id, field]));
+
+        document.querySelectorAll('#uploadForm [data-profile-field]').forEach(input => {
+            const field = profileFields.get(input.id);
+            const label = input.closest('label');
+
+            input.required = Boolean(field?.required);
+            if (label) {
+                label.style.display = field ? '' : 'none';
+                label.classList.toggle('required', Boolean(field?.required));
+            }
+        });
+    }
+
+    /**
+     * Validation rules for a profile (profile rules override the shared ones)
+     * @param {Object} profile - Beverage profile
+     * @returns {Object} Rules keyed by field id
+     */
+    rulesFor(profile) {
+        return { ...this.validationRules, ...profile.validationRules };
+    }
+
     /**
      * Validate a single field
      * @param {HTMLElement} field - Input field to validate
      * @returns {boolean} True if valid
      */
     validateField(field) {
-        const value = field.value.trim();
+        return this.validateValue(field.id, field.value);
+    }
+
+    /**
+     * Validate a raw value against the rules for a field
+     * @param {string} fieldId - Field identifier (e.g., alcoholContent)
+     * @param {string} rawValue - Value to validate
+     * @param {string} beverageType - Profile to validate against (defaults to the selected one)
+     * @returns {boolean} True if valid
+     */
+    validateValue(fieldId, rawValue, beverageType = this.beverageType) {
+        const profile = getBeverageProfile(beverageType);
+        const value = String(rawValue ?? '').trim();
         
-        // Check required fields
-        if (!value) return false;
+        // Check required fields (fields outside the profile are treated as required)
+        if (!value) {
+            const field = profile.fields.find(f => f.id === fieldId);
+            return field ? !field.required : false;
+        }
         
         // Apply field-specific rules if defined
-        const rule = this.validationRules[field.id];
+        const rule = this.rulesFor(profile)[fieldId];
         if (rule && !rule.pattern.test(value)) {
             return false;
         }
@@ -45,15 +100,16 @@ class FormValidator {
     }
 
     /**
-     * Validate all required fields
+     * Validate all fields of the selected profile
      * @returns {boolean} True if all fields are valid
      */
     validateAllFields() {
-        const fields = document.querySelectorAll('input[required]');
+        const profile = getBeverageProfile(this.beverageType);
         let isValid = true;
         
-        fields.forEach(field => {
-            if (!this.validateField(field)) {
+        profile.fields.forEach(({ id }) => {
+            const field = document.getElementById(id);
+            if (field && !this.validateField(field)) {
                 isValid = false;
             }
         });
@@ -62,18 +118,23 @@ class FormValidator {
     }
 
     /**
-     * Get all form field values
+     * Selected beverage type
+     * @returns {string} One of BEVERAGE_TYPES
+     */
+    getBeverageType() {
+        return this.beverageType;
+    }
+
+    /**
+     * Get form field values for the selected profile
      * @returns {Object} Form data object
      */
     getFormData() {
-        return {
-            brandName: document.getElementById('brandName')?.value || '',
-            productClass: document.getElementById('productClass')?.value || '',
-            alcoholContent: document.getElementById('alcoholContent')?.value || '',
-            netContents: document.getElementById('netContents')?.value || '',
-            manufacturerName: document.getElementById('manufacturerName')?.value || '',
-            manufacturerAddress: document.getElementById('manufacturerAddress')?.value || ''
-        };
+        const profile = getBeverageProfile(this.beverageType);
+        return Object.fromEntries(profile.fields.map(({ id }) => [
+            id,
+            document.getElementById(id)?.value || ''
+        ]));
     }
 }
 
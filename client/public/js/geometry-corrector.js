@@ -0,0 +1,268 @@
+/**
+ * Geometry Corrector Module
+ * Straightens a label photo before the filter bank: quarter-turn rotation (from Tesseract OSD),
+ * perspective warp of the label quadrilateral to a flat rectangle, and text-line deskew.
+ * Only uses OpenCV, so it runs in the preprocessing worker, on the main thread and under Node
+ */
+
+class GeometryCorrector {
+    constructor() {
+        this.workingSize = 1000;          // Longest side used for detection (px)
+        this.minLabelArea = 0.5;          // Share of the image a label quadrilateral must cover
+        this.minPerspectiveOffset = 0.02; // Corner offset (share of the diagonal) worth warping for
+        this.minSkewAngle = 0.5;          // Degrees
+        this.maxSkewAngle = 30;           // Steeper lines are not text baselines
+        this.minSkewLines = 3;
+    }
+
+    /**
+     * Rotate, flatten and deskew an image
+     * @param {cv.Mat} img - RGBA input image
+     * @param {Object} options - Correction options
+     * @param {number} options.rotation - Clockwise quarter turn that makes the text upright (0, 90, 180, 270)
+     * @returns {{mat: cv.Mat, geometry: Object}} Corrected RGBA image (caller must delete) and the corrections applied
+     */
+    correct(img, { rotation = 0 } = {}) {
+        const geometry = { rotation: 0, perspective: null, skewAngle: 0 };
+        let current = img.clone();
+        const replace = (next) => {
+            current.delete();
+            current = next;
+        };
+
+        try {
+            if ([90, 180, 270].includes(rotation)) {
+                replace(this.rotate(current, rotation));
+                geometry.rotation = rotation;
+            }
+
+            const quad = this.findLabelQuad(current);
+            if (quad) {
+                replace(this.warpQuad(current, quad));
+                geometry.perspective = quad;
+            }
+
+            const angle = this.estimateSkew(current);
+            if (Math.abs(angle) >= this.minSkewAngle) {
+                replace(this.deskew(current, angle));
+                geometry.skewAngle = Math.round(angle * 100) / 100;
+            }
+
+            geometry.width = current.cols;
+            geometry.height = current.rows;
+            return { mat: current, geometry };
+        } catch (error) {
+            current.delete();
+            throw error;
+        }
+    }
+
+    /**
+     * Rotate by a quarter turn
+     * @param {cv.Mat} img - Input image
+     * @param {number} degrees - Clockwise rotation (90, 180 or 270)
+     * @returns {cv.Mat} Rotated image (caller must delete)
+     */
+    rotate(img, degrees) {
+        const codes = { 90: cv.ROTATE_90_CLOCKWISE, 180: cv.ROTATE_180, 270: cv.ROTATE_90_COUNTERCLOCKWISE };
+        const rotated = new cv.Mat();
+        cv.rotate(img, rotated, codes[degrees]);
+        return rotated;
+    }
+
+    /**
+     * Grayscale copy scaled down to the working size, for detection
+     * @param {cv.Mat} img - RGBA input image
+     * @returns {{gray: cv.Mat, scale: number}} Small grayscale image (caller must delete) and its scale
+     */
+    toWorkingGray(img) {
+        const scale = Math.min(1, this.workingSize / Math.max(img.cols, img.rows));
+        const gray = new cv.Mat();
+        cv.cvtColor(img, gray, cv.COLOR_RGBA2GRAY);
+        if (scale < 1) {
+            cv.resize(gray, gray, new cv.Size(Math.round(img.cols * scale), Math.round(img.rows * scale)), 0, 0, cv.INTER_AREA);
+        }
+        return { gray, scale };
+    }
+
+    /**
+     * Find the label's outline: the largest convex four-sided contour covering enough of the image
+     * @param {cv.Mat} img - RGBA input image
+     * @returns {Array<{x: number, y: number}>|null} Corners (top-left, top-right, bottom-right, bottom-left)
+     *   in image pixels, or null if there is no label outline or it is already a straight rectangle
+     */
+    findLabelQuad(img) {
+        const { gray, scale } = this.toWorkingGray(img);
+        const edges = new cv.Mat();
+        const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+
+        try {
+            cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+            cv.Canny(gray, edges, 50, 150);
+            cv.dilate(edges, edges, kernel);
+            cv.findContours(edges, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+            const minArea = this.minLabelArea * gray.cols * gray.rows;
+            let best = null;
+            let bestArea = 0;
+
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const area = cv.contourArea(contour);
+
+                if (area >= minArea && area > bestArea) {
+                    const approx = new cv.Mat();
+                    cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true);
+                    if (approx.rows === 4 && cv.isContourConvex(approx)) {
+                        best = Array.from({ length: 4 }, (_, corner) => ({
+                            x: approx.data32S[corner * 2] / scale,
+                            y: approx.data32S[corner * 2 + 1] / scale
+                        }));
+                        bestArea = area;
+                    }
+                    approx.delete();
+                }
+                contour.delete();
+            }
+
+            if (!best) return null;
+
+            const quad = GeometryCorrector.orderCorners(best);
+            return this.needsWarp(quad) ? quad : null;
+        } finally {
+            gray.delete();
+            edges.delete();
+            kernel.delete();
+            contours.delete();
+            hierarchy.delete();
+        }
+    }
+
+    /**
+     * Whether a quadrilateral is far enough from an upright rectangle to be worth warping
+     * (warping an upright rectangle would only crop, which risks losing text outside the outline)
+     * @param {Array<{x: number, y: number}>} quad - Ordered corners
+     * @returns {boolean} True if the corners are tilted or in perspective
+     */
+    needsWarp([topLeft, topRight, bottomRight, bottomLeft]) {
+        const left = Math.min(topLeft.x, bottomLeft.x);
+        const right = Math.max(topRight.x, bottomRight.x);
+        const top = Math.min(topLeft.y, topRight.y);
+        const bottom = Math.max(bottomLeft.y, bottomRight.y);
+        const diagonal = Math.hypot(right - left, bottom - top);
+
+        const offsets = [
+            Math.hypot(topLeft.x - left, topLeft.y - top),
+            Math.hypot(topRight.x - right, topRight.y - top),
+            Math.hypot(bottomRight.x - right, bottomRight.y - bottom),
+            Math.hypot(bottomLeft.x - left, bottomLeft.y - bottom)
+        ];
+        return Math.max(...offsets) / diagonal >= this.minPerspectiveOffset;
+    }
+
+    /**
+     * Map a quadrilateral onto a flat rectangle the size of its longest sides
+     * @param {cv.Mat} img - Input image
+     * @param {Array<{x: number, y: number}>} quad - Ordered corners
+     * @returns {cv.Mat} Warped image (caller must delete)
+     */
+    warpQuad(img, quad) {
+        const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const width = Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight)));
+        const height = Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight)));
+
+        const source = cv.matFromArray(4, 1, cv.CV_32FC2, quad.flatMap(point => [point.x, point.y]));
+        const target = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, width - 1, 0, width - 1, height - 1, 0, height - 1]);
+        const transform = cv.getPerspectiveTransform(source, target);
+        const warped = new cv.Mat();
+
+        try {
+            cv.warpPerspective(img, warped, transform, new cv.Size(width, height), cv.INTER_LINEAR, cv.BORDER_REPLICATE, new cv.Scalar());
+            return warped;
+        } finally {
+            source.delete();
+            target.delete();
+            transform.delete();
+        }
+    }
+
+    /**
+     * Estimate how far text lines are tilted
+     * Characters are smeared into line-shaped blobs and the median angle of their long edges is taken
+     * @param {cv.Mat} img - RGBA input image
+     * @returns {number} Tilt in degrees (positive when lines fall to the right), 0 if unclear
+     */
+    estimateSkew(img) {
+        const { gray } = this.toWorkingGray(img);
+        const binary = new cv.Mat();
+        const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(15, 3));
+        const edges = new cv.Mat();
+        const lines = new cv.Mat();
+
+        try {
+            cv.threshold(gray, binary, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+            cv.morphologyEx(binary, binary, cv.MORPH_CLOSE, kernel);
+            cv.Canny(binary, edges, 50, 150);
+            cv.HoughLinesP(edges, lines, 1, Math.PI / 180, 80, gray.cols / 4, 10);
+
+            const angles = [];
+            for (let i = 0; i < lines.rows; i++) {
+                const [x1, y1, x2, y2] = lines.data32S.slice(i * 4, i * 4 + 4);
+                const angle = Math.atan2(y2 - y1, x2 - x1) * 180 / Math.PI;
+                const normalized = angle > 90 ? angle - 180 : angle < -90 ? angle + 180 : angle;
+                if (Math.abs(normalized) <= this.maxSkewAngle) angles.push(normalized);
+            }
+
+            if (angles.length < this.minSkewLines) return 0;
+            angles.sort((a, b) => a - b);
+            return angles[Math.floor(angles.length / 2)];
+        } finally {
+            gray.delete();
+            binary.delete();
+            kernel.delete();
+            edges.delete();
+            lines.delete();
+        }
+    }
+
+    /**
+     * Rotate by a small angle, growing the canvas so no corner is cut off
+     * @param {cv.Mat} img - Input image
+     * @param {number} angle - Tilt from estimateSkew (degrees)
+     * @returns {cv.Mat} Deskewed image (caller must delete)
+     */
+    deskew(img, angle) {
+        const radians = angle * Math.PI / 180;
+        const width = Math.round(img.cols * Math.abs(Math.cos(radians)) + img.rows * Math.abs(Math.sin(radians)));
+        const height = Math.round(img.cols * Math.abs(Math.sin(radians)) + img.rows * Math.abs(Math.cos(radians)));
+
+        // Positive angles rotate counter-clockwise in OpenCV, which levels lines that fall to the right
+        const transform = cv.getRotationMatrix2D(new cv.Point(img.cols / 2, img.rows / 2), angle, 1);
+        transform.doublePtr(0, 2)[0] += (width - img.cols) / 2;
+        transform.doublePtr(1, 2)[0] += (height - img.rows) / 2;
+
+        const rotated = new cv.Mat();
+        try {
+            cv.warpAffine(img, rotated, transform, new cv.Size(width, height), cv.INTER_LINEAR, cv.BORDER_REPLICATE, new cv.Scalar());
+            return rotated;
+        } finally {
+            transform.delete();
+        }
+    }
+
+    /**
+     * Sort four corners into top-left, top-right, bottom-right, bottom-left
+     * @param {Array<{x: number, y: number}>} points - Corners in any order
+     * @returns {Array<{x: number, y: number}>} Ordered corners
+     */
+    static orderCorners(points) {
+        const bySum = [...points].sort((a, b) => (a.x + a.y) - (b.x + b.y));
+        const byDifference = [...points].sort((a, b) => (a.y - a.x) - (b.y - b.x));
+        return [bySum[0], byDifference[0], bySum[3], byDifference[3]];
+    }
+}
+
+export const geometryCorrector = new GeometryCorrector();
@@ -0,0 +1,188 @@
+/**
+ * Government Warning Module
+ * Checks the mandatory health warning statement (27 CFR 16.21) word-for-word
+ */
+
+import { levenshteinDistance } from './match-scoring.js';
+
+// Statutory wording, split into the parts reported individually
+export const GOVERNMENT_WARNING_CLAUSES = [
+    {
+        id: 'header',
+        label: 'GOVERNMENT WARNING',
+        text: 'GOVERNMENT WARNING:'
+    },
+    {
+        id: 'clause1',
+        label: 'Clause (1)',
+        text: '(1) According to the Surgeon General, women should not drink alcoholic beverages during pregnancy because of the risk of birth defects.'
+    },
+    {
+        id: 'clause2',
+        label: 'Clause (2)',
+        text: '(2) Consumption of alcoholic beverages impairs your ability to drive a car or operate machinery, and may cause health problems.'
+    }
+];
+
+// Single characters OCR commonly confuses in the clause markers "(1)" and "(2)"
+const MARKER_LOOKALIKES = { 1: ['1', 'l', 'i'], 2: ['2', 'z'] };
+
+class GovernmentWarningChecker {
+    /**
+     * Split text into comparable word tokens, keeping each token's position in the source
+     * @param {string} text - Text to tokenize
+     * @returns {Array<{word: string, raw: string, start: number, end: number}>} Tokens
+     */
+    tokenize(text) {
+        return Array.from(text.matchAll(/[A-Za-z0-9']+/g), match => ({
+            word: match[0].toLowerCase().replace(/'/g, ''),
+            raw: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    /**
+     * Whether an OCR word should count as the statutory word
+     * Allows one OCR slip in longer words; short words must match exactly
+     * @param {string} expected - Statutory word
+     * @param {string} actual - OCR word
+     * @returns {boolean} True if equivalent
+     */
+    wordsMatch(expected, actual) {
+        if (expected === actual) return true;
+        if (MARKER_LOOKALIKES[expected]) return MARKER_LOOKALIKES[expected].includes(actual);
+        return expected.length >= 5 && levenshteinDistance(expected, actual) <= 1;
+    }
+
+    /**
+     * Align statutory words against the best-matching span of OCR words
+     * Word-level edit distance with free start/end in the OCR text
+     * @param {Array<Object>} expected - Statutory tokens
+     * @param {Array<Object>} actual - OCR tokens
+     * @returns {Object} Edit operations and the matched OCR span
+     */
+    align(expected, actual) {
+        const m = expected.length;
+        const n = actual.length;
+        const cost = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+
+        for (let i = 1; i <= m; i++) cost[i][0] = i;
+
+        for (let i = 1; i <= m; i++) {
+            for (let j = 1; j <= n; j++) {
+                const substitution = this.wordsMatch(expected[i - 1].word, actual[j - 1].word) ? 0 : 1;
+                cost[i][j] = Math.min(
+                    cost[i - 1][j - 1] + substitution,
+                    cost[i - 1][j] + 1, // Statutory word missing
+                    cost[i][j - 1] + 1  // Extra OCR word
+                );
+            }
+        }
+
+        // Best end position anywhere in the OCR text
+        let end = 0;
+        for (let j = 1; j <= n; j++) {
+            if (cost[m][j] < cost[m][end]) end = j;
+        }
+
+        // Trace back to recover the word-level differences
+        const operations = [];
+        let i = m;
+        let j = end;
+        while (i > 0) {
+            const same = j > 0 && this.wordsMatch(expected[i - 1].word, actual[j - 1].word);
+            if (j > 0 && cost[i][j] === cost[i - 1][j - 1] + (same ? 0 : 1)) {
+                operations.unshift({ type: same ? 'match' : 'altered', expected: expected[i - 1].raw, found: actual[j - 1].raw, index: j - 1 });
+                i--;
+                j--;
+            } else if (cost[i][j] === cost[i - 1][j] + 1) {
+                operations.unshift({ type: 'missing', expected: expected[i - 1].raw });
+                i--;
+            } else {
+                operations.unshift({ type: 'extra', found: actual[j - 1].raw, index: j - 1 });
+                j--;
+            }
+        }
+
+        const matchedIndexes = operations.filter(op => op.index !== undefined).map(op => op.index);
+        return {
+            operations,
+            start: matchedIndexes.length ? Math.min(...matchedIndexes) : -1,
+            end: matchedIndexes.length ? Math.max(...matchedIndexes) : -1
+        };
+    }
+
+    /**
+     * Check one statutory clause against OCR tokens
+     * @param {Object} clause - Entry from GOVERNMENT_WARNING_CLAUSES
+     * @param {Array<Object>} tokens - OCR tokens
+     * @param {string} text - OCR text the tokens came from
+     * @returns {Object} Clause result with status and word-level differences
+     */
+    checkClause(clause, tokens, text) {
+        const expected = this.tokenize(clause.text);
+        const { operations, start, end } = this.align(expected, tokens);
+
+        const matched = operations.filter(op => op.type === 'match').length;
+        const missing = operations.filter(op => op.type === 'missing').map(op => op.expected);
+        const altered = operations.filter(op => op.type === 'altered').map(({ expected, found }) => ({ expected, found }));
+        const extra = operations.filter(op => op.type === 'extra').map(op => op.found);
+
+        let status = 'ok';
+        if (matched / expected.length < 0.5) status = 'missing';
+        else if (missing.length || altered.length || extra.length) status = 'altered';
+
+        return {
+            id: clause.id,
+            label: clause.label,
+            status,
+            words: expected.length,
+            matched,
+            found: status !== 'missing' ? text.slice(tokens[start].start, tokens[end].end) : null,
+            missing: status === 'missing' ? [] : missing,
+            altered: status === 'missing' ? [] : altered,
+            extra: status === 'missing' ? [] : extra
+        };
+    }
+
+    /**
+     * Whether OCR'd words are in capital letters, allowing the same one-character slip per word as wordsMatch
+     * ("WARNlNG" is a misread capital I, not lowercase wording)
+     * @param {string} text - OCR text of the words
+     * @returns {boolean} True if capitalized
+     */
+    isCapitalized(text) {
+        return this.tokenize(text).every(({ raw }) => {
+            const lowercase = raw.replace(/[^a-z]/g, '').length;
+            return lowercase <= (raw.length >= 5 ? 1 : 0);
+        });
+    }
+
+    /**
+     * Locate and check the full warning statement
+     * @param {string} text - OCR text with original capitalization
+     * @returns {Object} Overall result, capitalization check and per-clause findings
+     */
+    check(text) {
+        const tokens = this.tokenize(text || '');
+        const clauses = GOVERNMENT_WARNING_CLAUSES.map(clause => this.checkClause(clause, tokens, text));
+        const header = clauses.find(clause => clause.id === 'header');
+
+        // "GOVERNMENT WARNING" must appear in capital letters
+        const headerCapitalized = header.status !== 'missing' && this.isCapitalized(header.found);
+
+        const words = clauses.reduce((sum, clause) => sum + clause.words, 0);
+        const matched = clauses.reduce((sum, clause) => sum + clause.matched, 0);
+
+        return {
+            found: clauses.every(clause => clause.status === 'ok') && headerCapitalized,
+            confidence: matched / words,
+            headerCapitalized,
+            clauses,
+            bestMatch: clauses.filter(clause => clause.found).map(clause => clause.found).join(' ') || null
+        };
+    }
+}
+
+export const governmentWarningChecker = new GovernmentWarningChecker();
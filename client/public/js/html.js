@@ -0,0 +1,13 @@
+/**
+ * HTML Module
+ * Helpers for building results markup from untrusted text (OCR output, file contents, reviewer input)
+ */
+
+/**
+ * Escape text before inserting it as HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
@@ -3,75 +3,491 @@
  * Handles image preprocessing using OpenCV for optimal OCR results
  */
 
+import { geometryCorrector } from './geometry-corrector.js';
+
+export const OPENCV_URL = 'https://docs.opencv.org/4.10.0/opencv.js';
+
 class ImageProcessor {
     constructor() {
         this.ready = false;
         this.initPromise = null;
+        this.worker = null;
+        this.workerRestart = null;
+        this.jobId = 0;
+        this.pending = new Map();
+        this.quality = {
+            workingSize: 1000,     // Longest side the sharpness, glare and contrast measures are taken at (px)
+            minSharpness: 50,      // Variance of the Laplacian (sharp photos score in the thousands)
+            minTextHeight: 7,      // Median character height (px)
+            minImageSide: 300,     // px
+            maxGlare: 0.04,        // Share of blown-out pixels on a label that isn't white
+            whiteLevel: 200,       // Background this light counts as a white label, where blown-out pixels are expected
+            maxDarkLevel: 140,     // Text class lighter than this means the image is washed out
+            minContrast: 60        // Gray levels between text and background
+        };
     }
 
     /**
-     * Initialize OpenCV (verifies it's loaded)
+     * Initialize OpenCV
+     * In the browser preprocessing runs in a Web Worker so the page stays responsive;
+     * if the worker cannot start, OpenCV is loaded on the main thread instead.
+     * Under Node (and inside the worker) `cv` is already a global.
      * @returns {Promise} Resolves when OpenCV is ready
      */
     async initialize() {
         if (this.initPromise) return this.initPromise;
 
-        this.initPromise = new Promise((resolve, reject) => {
-            if (window.cv) {
-                this.ready = true;
-                console.log('OpenCV initialized successfully');
-                resolve();
-            } else {
-                reject(new Error('OpenCV not loaded. Ensure opencv.js is included in HTML.'));
+        this.initPromise = (async () => {
+            if (!globalThis.cv && typeof document !== 'undefined') {
+                try {
+                    await this.startWorker();
+                } catch (error) {
+                    console.warn('Preprocessing worker unavailable, using the main thread:', error);
+                    await ImageProcessor.loadScript(OPENCV_URL);
+                }
             }
-        });
+
+            if (!this.worker) {
+                if (!globalThis.cv) throw new Error('OpenCV not loaded. Ensure opencv.js is included in HTML.');
+                await ImageProcessor.waitForRuntime();
+            }
+
+            this.ready = true;
+            console.log(`OpenCV initialized successfully (${this.worker ? 'web worker' : 'main thread'})`);
+        })();
+        this.initPromise.catch(() => { this.initPromise = null; });
         return this.initPromise;
     }
 
     /**
-     * Process image with multiple preprocessing techniques
-     * @param {HTMLImageElement} imageElement - Image element to process
-     * @returns {Promise<HTMLCanvasElement>} Processed image canvas
+     * Start the preprocessing worker and wait until its OpenCV runtime is ready
+     * @returns {Promise} Resolves when the worker reports ready
      */
-    processImage(imageElement) {
+    startWorker() {
         return new Promise((resolve, reject) => {
-            try {
-                if (!cv) throw new Error('OpenCV is not initialized');
-
-                const img = cv.imread(imageElement);
-                const processedVersions = [];
-
-                // Apply all preprocessing techniques
-                const processors = [
-                    { fn: this.basicThreshold, name: 'Basic OTSU' },
-                    { fn: this.adaptiveThreshold, name: 'Adaptive Gaussian' },
-                    { fn: this.highContrast, name: 'CLAHE + Adaptive' },
-                    { fn: this.sharpen, name: 'Sharpening' },
-                    { fn: this.denoise, name: 'Median Denoise' },
-                    { fn: this.bilateralFilter, name: 'Bilateral Filter' },
-                    { fn: this.morphologicalTextEnhancement, name: 'Morphological Enhancement' },
-                    { fn: this.contrastStretching, name: 'Contrast Stretching' }
-                ];
-
-                processors.forEach(({ fn, name }, index) => {
-                    console.log(`Processing version ${index + 1}: ${name}`);
-                    processedVersions.push(fn.call(this, img));
+            if (typeof Worker === 'undefined') {
+                reject(new Error('Web Workers are not supported'));
+                return;
+            }
+
+            const worker = new Worker(new URL('./preprocess-worker.js', import.meta.url));
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    this.worker = worker;
+                    worker.onmessage = ({ data: message }) => this.handleWorkerMessage(message);
+                    worker.onerror = (event) => this.failPending(new Error(event.message || 'Preprocessing worker error'));
+                    resolve();
+                } else if (data.type === 'error') {
+                    worker.terminate();
+                    reject(new Error(data.message));
+                }
+            };
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || 'Preprocessing worker failed to start'));
+            };
+        });
+    }
+
+    /**
+     * Abandon the preprocessing in progress
+     * The worker is terminated, which frees every Mat it holds, and a fresh one is started;
+     * main-thread processing is synchronous and cleans up after itself
+     */
+    cancel() {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.failPending(new Error('Preprocessing cancelled'));
+
+        this.workerRestart = this.startWorker()
+            .catch(async (error) => {
+                console.warn('Preprocessing worker could not restart, using the main thread:', error);
+                await ImageProcessor.loadScript(OPENCV_URL);
+                await ImageProcessor.waitForRuntime();
+            })
+            .finally(() => { this.workerRestart = null; });
+    }
+
+    /**
+     * Settle the job a worker reply belongs to
+     * @param {Object} message - { type: 'result' | 'error', id, ... }
+     */
+    handleWorkerMessage(message) {
+        const job = this.pending.get(message.id);
+        if (!job) return;
+
+        this.pending.delete(message.id);
+        if (message.type === 'result') {
+            job.resolve(message);
+        } else {
+            job.reject(new Error(message.message));
+        }
+    }
+
+    /**
+     * Reject every job still waiting on the worker
+     * @param {Error} error - Reason
+     */
+    failPending(error) {
+        this.pending.forEach(job => job.reject(error));
+        this.pending.clear();
+    }
+
+    /**
+     * Wait for the OpenCV WebAssembly runtime
+     * Depending on the build, `cv` is a Promise or a module that calls onRuntimeInitialized
+     */
+    static async waitForRuntime() {
+        if (globalThis.cv instanceof Promise) {
+            globalThis.cv = await globalThis.cv;
+        } else if (!globalThis.cv.Mat) {
+            await new Promise(resolve => { globalThis.cv.onRuntimeInitialized = resolve; });
+        }
+    }
+
+    /**
+     * Load a classic script on the page
+     * @param {string} src - Script URL
+     * @returns {Promise} Resolves once the script has run
+     */
+    static loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Check an image's quality on its own, e.g. as soon as it is chosen, so problems show before any OCR
+     * @param {HTMLImageElement} imageElement - Image element to check
+     * @returns {Promise<Object>} { metrics, warnings } from assessQuality
+     */
+    async checkQuality(imageElement) {
+        await this.initialize();
+        if (this.workerRestart) await this.workerRestart;
+
+        if (this.worker) {
+            const imageData = ImageProcessor.readPixels(imageElement);
+            const id = ++this.jobId;
+            const { quality } = await new Promise((resolve, reject) => {
+                this.pending.set(id, { resolve, reject });
+                this.worker.postMessage({ type: 'quality', id, imageData }, [imageData.data.buffer]);
+            });
+            return quality;
+        }
+
+        const img = cv.imread(imageElement);
+        try {
+            return this.assessQuality(img);
+        } finally {
+            img.delete();
+        }
+    }
+
+    /**
+     * Straighten the image, then process it with multiple preprocessing techniques
+     * Each variant is rendered to its own canvas so it can be OCR'd separately
+     * @param {HTMLImageElement} imageElement - Image element to process
+     * @param {Object} options - { rotation }: clockwise quarter turn from orientation detection
+     * @returns {Promise<Object>} { variants: [{name, image: HTMLCanvasElement, width, height}],
+     *   corrected: HTMLCanvasElement of the straightened image, geometry: corrections applied,
+     *   quality: assessQuality of the image as given }
+     */
+    async processImage(imageElement, { rotation = 0 } = {}) {
+        if (this.workerRestart) await this.workerRestart;
+        if (this.worker) return this.processInWorker(imageElement, rotation);
+
+        let img = null;
+        let corrected = null;
+        let processedVersions = [];
+        try {
+            if (!cv) throw new Error('OpenCV is not initialized');
+
+            img = cv.imread(imageElement);
+            const quality = this.assessQuality(img);
+            const { mat, geometry } = geometryCorrector.correct(img, { rotation });
+            corrected = mat;
+            processedVersions = this.createVariants(corrected);
+
+            // Render each variant to a standalone canvas for OCR
+            const variants = processedVersions.map(({ name, mat: version }) => {
+                const canvas = document.createElement('canvas');
+                cv.imshow(canvas, version);
+                return { name, image: canvas, width: canvas.width, height: canvas.height };
+            });
+
+            const correctedCanvas = document.createElement('canvas');
+            cv.imshow(correctedCanvas, corrected);
+
+            // Create and display combined result for reviewers
+            this.displayCombinedImages(corrected, processedVersions.map(version => version.mat));
+
+            console.log('Image processing complete');
+            return { variants, corrected: correctedCanvas, geometry, quality };
+        } catch (error) {
+            console.error('Image processing error:', error);
+            throw error;
+        } finally {
+            // Mats live in WebAssembly memory and are never garbage collected
+            processedVersions.forEach(version => version.mat.delete());
+            corrected?.delete();
+            img?.delete();
+        }
+    }
+
+    /**
+     * Same as processImage, with the OpenCV work done in the preprocessing worker
+     * @param {HTMLImageElement} imageElement - Image element to process
+     * @param {number} rotation - Clockwise quarter turn from orientation detection
+     * @returns {Promise<Object>} { variants, corrected, geometry, quality } as from processImage
+     */
+    async processInWorker(imageElement, rotation) {
+        const imageData = ImageProcessor.readPixels(imageElement);
+
+        const id = ++this.jobId;
+        const { variants, combined, corrected, geometry, quality } = await new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'process', id, imageData, rotation }, [imageData.data.buffer]);
+        });
+
+        const processedImage = document.getElementById('processedImage');
+        if (processedImage) {
+            ImageProcessor.drawPixels(combined, processedImage);
+            processedImage.style.display = 'block';
+        }
+
+        console.log('Image processing complete');
+        return {
+            variants: variants.map(({ name, width, height, ...pixels }) => ({
+                name,
+                image: ImageProcessor.drawPixels({ width, height, ...pixels }),
+                width,
+                height
+            })),
+            corrected: ImageProcessor.drawPixels(corrected),
+            geometry,
+            quality
+        };
+    }
+
+    /**
+     * Read an image's pixels the way cv.imread does, at the element's width/height
+     * @param {HTMLImageElement} imageElement - Loaded image
+     * @returns {ImageData} RGBA pixels
+     */
+    static readPixels(imageElement) {
+        const source = document.createElement('canvas');
+        source.width = imageElement.width;
+        source.height = imageElement.height;
+        const context = source.getContext('2d');
+        context.drawImage(imageElement, 0, 0, source.width, source.height);
+        return context.getImageData(0, 0, source.width, source.height);
+    }
+
+    /**
+     * Draw RGBA pixels from the worker onto a canvas
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} pixels - RGBA pixels
+     * @param {HTMLCanvasElement} canvas - Target canvas (a new one if omitted)
+     * @returns {HTMLCanvasElement} The canvas
+     */
+    static drawPixels({ width, height, data }, canvas = document.createElement('canvas')) {
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Copy a cv.Mat out of OpenCV memory as RGBA pixels
+     * @param {cv.Mat} mat - Single-channel or RGBA image
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels
+     */
+    toPixels(mat) {
+        if (mat.channels() === 4) {
+            return { width: mat.cols, height: mat.rows, data: new Uint8ClampedArray(mat.data) };
+        }
+
+        const rgba = new cv.Mat();
+        try {
+            cv.cvtColor(mat, rgba, cv.COLOR_GRAY2RGBA);
+            return { width: rgba.cols, height: rgba.rows, data: new Uint8ClampedArray(rgba.data) };
+        } finally {
+            rgba.delete();
+        }
+    }
+
+    /**
+     * Apply all preprocessing techniques to an image
+     * Does not touch the DOM, so it can also run under Node
+     * @param {cv.Mat} img - RGBA input image
+     * @returns {Array<{name: string, mat: cv.Mat}>} Binarized versions (caller must delete)
+     */
+    createVariants(img) {
+        const processors = [
+            { fn: this.basicThreshold, name: 'Basic OTSU' },
+            { fn: this.adaptiveThreshold, name: 'Adaptive Gaussian' },
+            { fn: this.highContrast, name: 'CLAHE + Adaptive' },
+            { fn: this.sharpen, name: 'Sharpening' },
+            { fn: this.denoise, name: 'Median Denoise' },
+            { fn: this.bilateralFilter, name: 'Bilateral Filter' },
+            { fn: this.morphologicalTextEnhancement, name: 'Morphological Enhancement' },
+            { fn: this.contrastStretching, name: 'Contrast Stretching' }
+        ];
+
+        const versions = [];
+        try {
+            processors.forEach(({ fn, name }, index) => {
+                console.log(`Processing version ${index + 1}: ${name}`);
+                versions.push({ name, mat: fn.call(this, img) });
+            });
+        } catch (error) {
+            // Don't leak the versions made before the failure
+            versions.forEach(version => version.mat.delete());
+            throw error;
+        }
+        return versions;
+    }
+
+    /**
+     * Rate how well an image is likely to OCR, before spending time on it
+     * Does not touch the DOM, so it can also run under Node
+     * @param {cv.Mat} img - RGBA image as uploaded
+     * @returns {Object} { metrics: { sharpness, textHeight, glare, darkLevel, contrast, width, height },
+     *   warnings: [{ check: 'blur' | 'resolution' | 'glare' | 'contrast', message, advice }] }
+     */
+    assessQuality(img) {
+        const limits = this.quality;
+        const gray = this.toGrayscale(img);
+        const small = new cv.Mat();
+        const laplacian = new cv.Mat();
+        const binary = new cv.Mat();
+        const mean = new cv.Mat();
+        const stddev = new cv.Mat();
+
+        try {
+            // Sharpness and exposure are compared at one size, so they don't depend on the camera's resolution
+            const scale = Math.min(1, limits.workingSize / Math.max(gray.cols, gray.rows));
+            cv.resize(gray, small, new cv.Size(Math.round(gray.cols * scale), Math.round(gray.rows * scale)), 0, 0, cv.INTER_AREA);
+
+            cv.Laplacian(small, laplacian, cv.CV_64F);
+            cv.meanStdDev(laplacian, mean, stddev);
+            const sharpness = stddev.doubleAt(0, 0) ** 2;
+
+            // Otsu splits text from background; the two class means give contrast and exposure
+            const otsu = cv.threshold(small, binary, 0, 255, cv.THRESH_BINARY + cv.THRESH_OTSU);
+            const levels = { dark: [0, 0], light: [0, 0] };
+            let clipped = 0;
+            for (let i = 0; i < small.data.length; i++) {
+                const value = small.data[i];
+                const level = value > otsu ? levels.light : levels.dark;
+                level[0] += value;
+                level[1]++;
+                if (value >= 250) clipped++;
+            }
+            const darkLevel = levels.dark[1] ? levels.dark[0] / levels.dark[1] : 255;
+            const lightLevel = levels.light[1] ? levels.light[0] / levels.light[1] : 0;
+            const glare = clipped / small.data.length;
+
+            const metrics = {
+                sharpness: Math.round(sharpness),
+                textHeight: this.estimateTextHeight(gray),
+                glare: Math.round(glare * 1000) / 1000,
+                darkLevel: Math.round(darkLevel),
+                contrast: Math.round(lightLevel - darkLevel),
+                width: img.cols,
+                height: img.rows
+            };
+
+            const warnings = [];
+            if (metrics.sharpness < limits.minSharpness) {
+                warnings.push({
+                    check: 'blur',
+                    message: `The image looks blurry (sharpness ${metrics.sharpness}, at least ${limits.minSharpness} recommended)`,
+                    advice: 'Retake the photo with the camera steady and focused on the label text'
+                });
+            }
+            const smallText = metrics.textHeight !== null && metrics.textHeight < limits.minTextHeight;
+            if (smallText || Math.min(img.cols, img.rows) < limits.minImageSide) {
+                warnings.push({
+                    check: 'resolution',
+                    message: smallText
+                        ? `Text is only about ${metrics.textHeight}px tall (${limits.minTextHeight}px or more recommended)`
+                        : `The image is only ${img.cols}x${img.rows}px (${limits.minImageSide}px or more on each side recommended)`,
+                    advice: 'Upload a higher resolution image, or move closer so the label fills the frame'
+                });
+            }
+            // A white label is mostly blown out by design, so glare spots can only be told apart on colored labels.
+            // Blurred or tiny text also looks washed out, which the warnings above already explain
+            const glareSpots = glare > limits.maxGlare && lightLevel < limits.whiteLevel;
+            const overexposed = darkLevel > limits.maxDarkLevel && warnings.length === 0;
+            if (glareSpots || overexposed) {
+                warnings.push({
+                    check: 'glare',
+                    message: overexposed
+                        ? 'The image is overexposed: even the darkest areas are light'
+                        : `Glare or overexposure washes out ${Math.round(glare * 100)}% of the image`,
+                    advice: 'Avoid direct flash and reflections; tilt the bottle or use diffuse light'
+                });
+            }
+            if (metrics.contrast < limits.minContrast) {
+                warnings.push({
+                    check: 'contrast',
+                    message: `Low contrast between text and background (${metrics.contrast} gray levels, at least ${limits.minContrast} recommended)`,
+                    advice: 'Photograph the label in even, brighter light against a plain background'
                 });
+            }
 
-                // Create and display combined result
-                this.displayCombinedImages(img, processedVersions);
+            return { metrics, warnings };
+        } finally {
+            gray.delete();
+            small.delete();
+            laplacian.delete();
+            binary.delete();
+            mean.delete();
+            stddev.delete();
+        }
+    }
 
-                // Cleanup
-                processedVersions.forEach(mat => mat.delete());
-                img.delete();
+    /**
+     * Typical character height, from the connected components of the binarized image
+     * @param {cv.Mat} gray - Grayscale image at full resolution
+     * @returns {number|null} Median height in pixels, or null if too few character-like shapes were found
+     */
+    estimateTextHeight(gray) {
+        const binary = new cv.Mat();
+        const labels = new cv.Mat();
+        const stats = new cv.Mat();
+        const centroids = new cv.Mat();
+
+        try {
+            cv.threshold(gray, binary, 0, 255, cv.THRESH_BINARY + cv.THRESH_OTSU);
+            // Text is the minority class, whether dark on light or light on dark
+            if (cv.countNonZero(binary) > binary.rows * binary.cols / 2) cv.bitwise_not(binary, binary);
 
-                console.log('Image processing complete');
-                resolve(document.getElementById('processedImage'));
-            } catch (error) {
-                console.error('Image processing error:', error);
-                reject(error);
+            const count = cv.connectedComponentsWithStats(binary, labels, stats, centroids, 8, cv.CV_32S);
+            const heights = [];
+            for (let i = 1; i < count; i++) {
+                const width = stats.intAt(i, cv.CC_STAT_WIDTH);
+                const height = stats.intAt(i, cv.CC_STAT_HEIGHT);
+                const area = stats.intAt(i, cv.CC_STAT_AREA);
+                if (height >= 3 && height <= gray.rows / 5 && width <= height * 2.5 && area >= 8) heights.push(height);
             }
-        });
+
+            if (heights.length < 20) return null;
+            heights.sort((a, b) => a - b);
+            return heights[Math.floor(heights.length / 2)];
+        } finally {
+            binary.delete();
+            labels.delete();
+            stats.delete();
+            centroids.delete();
+        }
     }
 
     /**
@@ -219,11 +635,12 @@ class ImageProcessor {
     }
 
     /**
-     * Display all processed versions in a grid
+     * Combine all processed versions into a single grid image
      * @param {cv.Mat} img - Original image
      * @param {Array<cv.Mat>} versions - Array of processed images
+     * @returns {cv.Mat} Single-channel grid image (caller must delete)
      */
-    displayCombinedImages(img, versions) {
+    combineVersions(img, versions) {
         const cols = 2;
         const displayWidth = img.cols * cols;
         const displayHeight = Math.ceil(versions.length / cols) * img.rows;
@@ -234,8 +651,19 @@ class ImageProcessor {
             const y = Math.floor(index / cols) * img.rows;
             const roi = display.roi(new cv.Rect(x, y, img.cols, img.rows));
             version.copyTo(roi);
+            roi.delete();
         });
 
+        return display;
+    }
+
+    /**
+     * Display all processed versions in a grid
+     * @param {cv.Mat} img - Original image
+     * @param {Array<cv.Mat>} versions - Array of processed images
+     */
+    displayCombinedImages(img, versions) {
+        const display = this.combineVersions(img, versions);
         cv.imshow('processedImage', display);
         document.getElementById('processedImage').style.display = 'block';
         display.delete();
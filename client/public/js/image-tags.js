@@ -0,0 +1,29 @@
+/**
+ * Image Tags Module
+ * Which part of the package a label image shows, when a submission has several (front, back, neck...)
+ */
+
+export const IMAGE_TAGS = {
+    front: 'Front',
+    back: 'Back',
+    neck: 'Neck',
+    other: 'Other'
+};
+
+// Labels are usually photographed front first, then back, then neck
+const ORDER = ['front', 'back', 'neck'];
+
+/**
+ * Tag for a submitted image: the one given if valid, else a tag named in the file name, else by position
+ * @param {string} tag - Tag chosen by the submitter (optional)
+ * @param {string} name - File name
+ * @param {number} index - Position in the submission
+ * @returns {string} Key of IMAGE_TAGS
+ */
+export function resolveImageTag(tag, name, index) {
+    const chosen = String(tag ?? '').trim().toLowerCase();
+    if (IMAGE_TAGS[chosen]) return chosen;
+
+    const named = ORDER.find(key => new RegExp(`(^|[^a-z])${key}([^a-z]|$)`).test(String(name ?? '').toLowerCase()));
+    return named || ORDER[index] || 'other';
+}
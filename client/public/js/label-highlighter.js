@@ -0,0 +1,124 @@
+/**
+ * Label Highlighter Module
+ * Draws matched field locations over the label preview and zooms to them
+ */
+
+class LabelHighlighter {
+    constructor() {
+        this.maxZoom = 3;
+        this.activeField = null;
+    }
+
+    /**
+     * Wire up row clicks/hover in the results panel (delegated, so it survives re-renders)
+     */
+    initialize() {
+        const container = document.getElementById('verificationResults');
+        const stage = document.getElementById('previewStage');
+
+        container?.addEventListener('click', (e) => {
+            const row = e.target.closest('.verification-item.has-location');
+            if (row) this.focus(row.dataset.field);
+        });
+        container?.addEventListener('mouseover', (e) => {
+            const row = e.target.closest('.verification-item.has-location');
+            this.setHovered(row?.dataset.field || null);
+        });
+        container?.addEventListener('mouseleave', () => this.setHovered(null));
+
+        // Clicking the zoomed preview returns to the full label
+        stage?.addEventListener('click', () => this.resetZoom());
+    }
+
+    /**
+     * Draw one box per located result
+     * Boxes are positioned in percentages of the OCR'd image so they follow the preview's size
+     * @param {Array} results - Verification results with optional `location`
+     */
+    render(results) {
+        const layer = document.getElementById('highlightLayer');
+        if (!layer) return;
+
+        this.resetZoom();
+        layer.innerHTML = results
+            .filter(result => result.location)
+            .map(result => {
+                const { x0, y0, x1, y1, width, height } = result.location;
+                const status = result.status || (result.found ? 'match' : 'mismatch');
+                return `
+                    <div class="highlight-box highlight-${status}" data-field="${result.field}"
+                         style="left:${(x0 / width) * 100}%;top:${(y0 / height) * 100}%;width:${((x1 - x0) / width) * 100}%;height:${((y1 - y0) / height) * 100}%;">
+                    </div>
+                `;
+            })
+            .join('');
+    }
+
+    /**
+     * Remove all boxes (e.g., when a new image is selected)
+     */
+    clear() {
+        const layer = document.getElementById('highlightLayer');
+        if (layer) layer.innerHTML = '';
+        this.resetZoom();
+    }
+
+    /**
+     * Emphasize a field's box while its result row is hovered
+     * @param {string|null} field - Field name, or null to clear
+     */
+    setHovered(field) {
+        document.querySelectorAll('.highlight-box').forEach(box => {
+            box.classList.toggle('highlight-hover', box.dataset.field === field);
+        });
+    }
+
+    /**
+     * Scroll to and zoom in on a field's location; clicking the same field again zooms out
+     * @param {string} field - Field name
+     */
+    focus(field) {
+        const box = document.querySelector(`.highlight-box[data-field="${field}"]`);
+        const zoom = document.getElementById('previewZoom');
+        if (!box || !zoom) return;
+
+        if (this.activeField === field) {
+            this.resetZoom();
+            return;
+        }
+
+        const left = parseFloat(box.style.left);
+        const top = parseFloat(box.style.top);
+        const width = parseFloat(box.style.width);
+        const height = parseFloat(box.style.height);
+
+        // Fit the box into roughly half of the preview, within limits
+        const scale = Math.max(1, Math.min(this.maxZoom, 50 / Math.max(width, height, 1)));
+        zoom.style.transformOrigin = `${left + width / 2}% ${top + height / 2}%`;
+        zoom.style.transform = `scale(${scale})`;
+
+        document.querySelectorAll('.highlight-box').forEach(other => {
+            other.classList.toggle('highlight-active', other === box);
+        });
+        document.querySelectorAll('.verification-item').forEach(row => {
+            row.classList.toggle('verification-item-active', row.dataset.field === field);
+        });
+
+        this.activeField = field;
+        document.getElementById('previewStage')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Return the preview to its unzoomed state
+     */
+    resetZoom() {
+        const zoom = document.getElementById('previewZoom');
+        if (zoom) zoom.style.transform = '';
+
+        document.querySelectorAll('.highlight-active').forEach(box => box.classList.remove('highlight-active'));
+        document.querySelectorAll('.verification-item-active').forEach(row => row.classList.remove('verification-item-active'));
+        this.activeField = null;
+    }
+}
+
+export const labelHighlighter = new LabelHighlighter();
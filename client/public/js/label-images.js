@@ -0,0 +1,245 @@
+/**
+ * Label Images Module
+ * The images submitted for one product (front, back, neck labels), their tags, and which one the preview shows
+ */
+
+import { imageProcessor } from './image-processor.js';
+import { labelHighlighter } from './label-highlighter.js';
+import { escapeHtml } from './html.js';
+import { IMAGE_TAGS, resolveImageTag } from './image-tags.js';
+
+class LabelImages {
+    constructor() {
+        this.images = [];      // { name, tag, dataUrl, corrected, correctedUrl, geometry, quality }
+        this.activeIndex = 0;
+        this.results = [];
+    }
+
+    /**
+     * Wire up the image list (tag changes, switching the preview) and result rows found on another image
+     */
+    initialize() {
+        const list = document.getElementById('imageList');
+
+        list?.addEventListener('change', (e) => {
+            const select = e.target.closest('.label-image-tag');
+            if (select) this.images[Number(select.dataset.index)].tag = select.value;
+        });
+        list?.addEventListener('click', (e) => {
+            const button = e.target.closest('.label-image-view');
+            if (button) this.show(Number(button.dataset.index));
+        });
+
+        // Registered before the highlighter's listener, so the right image is showing when it zooms in
+        document.getElementById('verificationResults')?.addEventListener('click', (e) => {
+            const row = e.target.closest('.verification-item.has-location');
+            const result = row && this.results.find(r => r.field === row.dataset.field);
+            if (result?.labelImage && result.labelImage.index !== this.activeIndex) {
+                this.show(result.labelImage.index);
+            }
+        });
+    }
+
+    /**
+     * Replace the submission with newly selected files
+     * @param {Array<File>} files - Selected files (non-images are ignored)
+     */
+    async setFiles(files) {
+        const images = files.filter(file => file.type.startsWith('image/'));
+        const dataUrls = await Promise.all(images.map(readDataUrl));
+        this.setImages(images.map((file, index) => ({ name: file.name, dataUrl: dataUrls[index] })));
+        await this.checkQuality();
+    }
+
+    /**
+     * Run the image quality check on every image as soon as it is chosen, so problems show before any OCR
+     */
+    async checkQuality() {
+        const images = this.images;
+        for (const image of images) {
+            try {
+                image.quality = await imageProcessor.checkQuality(await loadImage(image.dataUrl));
+            } catch (error) {
+                console.warn(`Quality check failed for ${image.name}:`, error);
+            }
+        }
+
+        // Other images may have been chosen meanwhile
+        if (images !== this.images) return;
+        this.render();
+        this.show(this.activeIndex);
+    }
+
+    /**
+     * Replace the submission (e.g. with a batch item) and show the first image
+     * @param {Array<{name: string, dataUrl: string, tag: string, quality: Object}>} images - Images; missing tags are guessed
+     */
+    setImages(images) {
+        this.images = images.map((image, index) => ({
+            name: image.name,
+            tag: resolveImageTag(image.tag, image.name, index),
+            dataUrl: image.dataUrl,
+            corrected: null,
+            correctedUrl: null,
+            geometry: null,
+            quality: image.quality || null
+        }));
+        this.results = [];
+        this.activeIndex = 0;
+        this.render();
+        this.show(0);
+    }
+
+    /**
+     * Images to verify, as submitted (never the corrected versions)
+     * @returns {Array<{name: string, tag: string, dataUrl: string}>} Images in upload order
+     */
+    getImages() {
+        return this.images.map(({ name, tag, dataUrl }) => ({ name, tag, dataUrl }));
+    }
+
+    /**
+     * Attach a run's outcome: straightened images to preview and which results to highlight on each
+     * @param {Array} results - Verification results (with labelImage)
+     * @param {Array<{corrected: HTMLCanvasElement, geometry: Object, quality: Object}>} processed - Per image, from VerificationRunner.run
+     */
+    showResults(results, processed = []) {
+        this.results = results;
+        processed.forEach((image, index) => {
+            const target = this.images[index];
+            if (!target || !image?.corrected) return;
+            target.corrected = image.corrected;
+            target.correctedUrl = null;
+            target.geometry = image.geometry;
+            target.quality = image.quality || target.quality;
+        });
+        this.show(this.activeIndex);
+    }
+
+    /**
+     * Preview one image (its corrected version after a run) with the highlights found on it
+     * @param {number} index - Image index
+     */
+    show(index) {
+        const preview = document.getElementById('imagePreview');
+        const previewText = document.getElementById('previewText');
+        const geometryInfo = document.getElementById('geometryInfo');
+        const image = this.images[index];
+
+        labelHighlighter.clear();
+        this.showQuality(image?.quality);
+        if (!image) {
+            preview.style.display = 'none';
+            previewText.textContent = 'No image selected';
+            previewText.style.display = 'block';
+            if (geometryInfo) geometryInfo.style.display = 'none';
+            return;
+        }
+
+        this.activeIndex = index;
+        if (image.corrected && !image.correctedUrl) image.correctedUrl = image.corrected.toDataURL('image/png');
+        preview.src = image.correctedUrl || image.dataUrl;
+        preview.style.display = 'block';
+        previewText.style.display = 'none';
+
+        if (geometryInfo) {
+            geometryInfo.textContent = image.geometry ? `Showing the corrected image: ${LabelImages.describeGeometry(image.geometry)}` : '';
+            geometryInfo.style.display = image.geometry ? 'block' : 'none';
+        }
+
+        labelHighlighter.render(this.results.filter(result => (result.labelImage?.index ?? 0) === index));
+        document.querySelectorAll('#imageList .label-image').forEach(item => {
+            item.classList.toggle('label-image-active', Number(item.dataset.index) === index);
+        });
+    }
+
+    /**
+     * List the previewed image's quality problems under the preview, with what to do about them
+     * @param {Object|null} quality - { metrics, warnings } from ImageProcessor.assessQuality
+     */
+    showQuality(quality) {
+        const box = document.getElementById('qualityWarnings');
+        if (!box) return;
+
+        const warnings = quality?.warnings || [];
+        box.innerHTML = warnings.length ? `
+            <strong>Image quality:</strong> OCR may miss text on this image
+            <ul>
+                ${warnings.map(warning => `<li>${escapeHtml(warning.message)}. ${escapeHtml(warning.advice)}</li>`).join('')}
+            </ul>
+        ` : '';
+        box.style.display = warnings.length ? 'block' : 'none';
+    }
+
+    /**
+     * Draw the file count and, for several images, one row per image with its tag
+     */
+    render() {
+        const info = document.getElementById('imageInfo');
+        if (info) {
+            info.textContent = this.images.length > 1
+                ? `${this.images.length} images selected`
+                : this.images[0]?.name || 'No file selected';
+        }
+
+        const list = document.getElementById('imageList');
+        if (!list) return;
+
+        list.innerHTML = this.images.length > 1 ? this.images.map((image, index) => `
+            <li class="label-image" data-index="${index}">
+                <button type="button" class="label-image-view" data-index="${index}" title="Show in preview">${escapeHtml(image.name)}</button>
+                ${image.quality?.warnings.length ? `
+                    <span class="label-image-warning" title="${escapeHtml(image.quality.warnings.map(warning => warning.message).join('\n'))}">⚠️</span>
+                ` : ''}
+                <select class="label-image-tag" data-index="${index}" aria-label="Label shown in ${escapeHtml(image.name)}">
+                    ${Object.entries(IMAGE_TAGS).map(([key, label]) => `
+                        <option value="${key}"${key === image.tag ? ' selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </li>
+        `).join('') : '';
+    }
+
+    /**
+     * Summarize geometry corrections for reviewers
+     * @param {Object} geometry - { rotation, perspective, skewAngle }
+     * @returns {string} e.g. "rotated 90°, perspective corrected, deskewed 2.4°"
+     */
+    static describeGeometry({ rotation, perspective, skewAngle } = {}) {
+        const parts = [];
+        if (rotation) parts.push(`rotated ${rotation}°`);
+        if (perspective) parts.push('perspective corrected');
+        if (skewAngle) parts.push(`deskewed ${Math.abs(skewAngle).toFixed(1)}°`);
+        return parts.length ? parts.join(', ') : 'no correction needed';
+    }
+}
+
+/**
+ * Read a file as a data URL
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Data URL
+ */
+export function readDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Decode an image for OpenCV
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+export function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Image could not be decoded'));
+        image.src = src;
+    });
+}
+
+export const labelImages = new LabelImages();
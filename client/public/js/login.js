@@ -0,0 +1,56 @@
+/**
+ * Login Module
+ * Signs in with a username and password, then returns to the page that asked for it
+ */
+
+class LoginPage {
+    /**
+     * Wire up the sign-in form
+     */
+    initialize() {
+        document.getElementById('loginForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(e.target);
+        });
+    }
+
+    /**
+     * Where to go after signing in: the "next" parameter if it is a path on this site
+     * @returns {string} Path
+     */
+    getNext() {
+        const next = new URLSearchParams(window.location.search).get('next') || '/';
+        return next.startsWith('/') && !next.startsWith('//') ? next : '/';
+    }
+
+    /**
+     * Send the credentials and follow the redirect on success
+     * @param {HTMLFormElement} form - Sign-in form
+     */
+    async submit(form) {
+        const message = document.getElementById('loginMessage');
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        message.textContent = '';
+
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: form.username.value.trim(), password: form.password.value })
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+
+            window.location.assign(this.getNext());
+        } catch (error) {
+            message.textContent = error.message;
+            form.password.value = '';
+            button.disabled = false;
+        }
+    }
+}
+
+// Initialize when DOM is ready
+const loginPage = new LoginPage();
+document.addEventListener('DOMContentLoaded', () => loginPage.initialize());
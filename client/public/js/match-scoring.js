@@ -0,0 +1,138 @@
+/**
+ * Match Scoring Module
+ * Shared edit distance and confidence scoring for field comparisons
+ */
+
+/**
+ * Calculate Levenshtein distance (edit distance) between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum edits needed to transform a into b
+ */
+export function levenshteinDistance(a, b) {
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    // Dynamic programming matrix
+    const matrix = Array(b.length + 1).fill(null).map(() => Array(a.length + 1).fill(0));
+    
+    // Initialize first row and column
+    for (let i = 0; i <= b.length; i++) matrix[i][0] = i;
+    for (let j = 0; j <= a.length; j++) matrix[0][j] = j;
+
+    // Calculate distances
+    for (let i = 1; i <= b.length; i++) {
+        for (let j = 1; j <= a.length; j++) {
+            const cost = b[i - 1] === a[j - 1] ? 0 : 1;
+            matrix[i][j] = Math.min(
+                matrix[i - 1][j - 1] + cost, // Substitution
+                matrix[i][j - 1] + 1,         // Insertion
+                matrix[i - 1][j] + 1          // Deletion
+            );
+        }
+    }
+    
+    return matrix[b.length][a.length];
+}
+
+/**
+ * Letters and digits of a string, lowercased, with their offsets in the original
+ * Spaces and punctuation are dropped so split or merged words ("ABC DISTILLERY" / "ABCDISTILLERY") and
+ * stray OCR punctuation cost nothing; a decimal point or comma between digits ("4.5", "1,000") is kept
+ * @param {string} text - Text to compare
+ * @returns {{chars: Array<string>, offsets: Array<number>}} Comparable characters and where each one sits in text
+ */
+function comparableChars(text) {
+    const chars = [];
+    const offsets = [];
+    const isDigit = char => char >= '0' && char <= '9';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i].toLowerCase();
+        const numeric = (char === '.' || char === ',') && isDigit(text[i - 1] || '') && isDigit(text[i + 1] || '');
+        if (numeric || /[\p{L}\p{N}]/u.test(char)) {
+            chars.push(char);
+            offsets.push(i);
+        }
+    }
+    return { chars, offsets };
+}
+
+/**
+ * Find the substring of a text, of any length, that is closest to a phrase (approximate substring matching)
+ * Edit distance in which skipping text before and after the match is free, computed one row at a time,
+ * so a phrase is aligned against a whole back label in O(phrase x text) time and O(text) memory
+ * @param {string} phrase - Phrase to look for
+ * @param {string} text - Text to search (e.g. OCR output)
+ * @returns {{distance: number, start: number, end: number, confidence: number}|null} Edits needed, the matched span
+ *   as offsets in text (end exclusive) and a 0-1 confidence, or null if either has no letters or digits
+ */
+export function alignPhrase(phrase, text) {
+    const pattern = comparableChars(phrase).chars;
+    const { chars, offsets } = comparableChars(text);
+    const m = pattern.length;
+    const n = chars.length;
+    if (m === 0 || n === 0) return null;
+
+    // Row i holds, for each text position j, the fewest edits aligning pattern[0, i) to a span ending at j,
+    // plus where that span starts
+    let previous = new Int32Array(n + 1);
+    let previousStart = Int32Array.from({ length: n + 1 }, (_, j) => j);
+    let current = new Int32Array(n + 1);
+    let currentStart = new Int32Array(n + 1);
+
+    for (let i = 1; i <= m; i++) {
+        current[0] = i;
+        currentStart[0] = 0;
+        for (let j = 1; j <= n; j++) {
+            // Ties go to the diagonal, which keeps spans as tight as the edits allow
+            let distance = previous[j - 1] + (pattern[i - 1] === chars[j - 1] ? 0 : 1);
+            let start = previousStart[j - 1];
+            if (previous[j] + 1 < distance) {
+                distance = previous[j] + 1;       // Phrase character missing from the text
+                start = previousStart[j];
+            }
+            if (current[j - 1] + 1 < distance) {
+                distance = current[j - 1] + 1;    // Extra character in the text
+                start = currentStart[j - 1];
+            }
+            current[j] = distance;
+            currentStart[j] = start;
+        }
+        [previous, current] = [current, previous];
+        [previousStart, currentStart] = [currentStart, previousStart];
+    }
+
+    // Best end position; among equally close spans, the one nearest the phrase's length
+    let best = null;
+    for (let j = 1; j <= n; j++) {
+        const length = j - previousStart[j];
+        if (length === 0) continue;
+        if (!best || previous[j] < best.distance
+            || (previous[j] === best.distance && Math.abs(length - m) < Math.abs(best.length - m))) {
+            best = { distance: previous[j], start: previousStart[j], end: j, length };
+        }
+    }
+    if (!best) return { distance: m, start: 0, end: 0, confidence: 0 };
+
+    return {
+        distance: best.distance,
+        start: offsets[best.start],
+        end: offsets[best.end - 1] + 1,
+        confidence: Math.max(0, 1 - best.distance / Math.max(m, best.length))
+    };
+}
+
+/**
+ * Convert a numeric deviation into a 0-1 confidence on the same scale as fuzzy matching
+ * Deviations inside the tolerance score 0.75-1.0; anything outside stays below the 0.7 match threshold
+ * @param {number} difference - Absolute deviation from the expected value
+ * @param {number} tolerance - Largest acceptable deviation
+ * @returns {number} Confidence (0-1)
+ */
+export function toleranceConfidence(difference, tolerance) {
+    if (difference <= tolerance) {
+        return 1 - 0.25 * (difference / tolerance);
+    }
+    return Math.min(0.69, 0.7 * (tolerance / difference));
+}
@@ -0,0 +1,321 @@
+/**
+ * Match Thresholds Module
+ * Confidence a field needs to count as a match, per field and per beverage profile, with an optional
+ * "needs review" band just below it. Stored on the server (/api/settings) and edited under "Match thresholds"
+ */
+
+import { BEVERAGE_PROFILES } from './beverage-profiles.js';
+import { session } from './session.js';
+
+export const DEFAULT_MATCH_THRESHOLDS = {
+    pass: 0.7,       // Any field without its own threshold
+    review: null,    // Lowest confidence that needs review instead of failing (null: no review band)
+    // Alcohol content, proof and net contents use the default: their parsers score any reading inside the
+    // legal tolerance from 0.75 up, and anything outside it below 0.7 (see toleranceConfidence)
+    fields: {
+        // Long addresses pick up more OCR errors
+        manufacturerAddress: { pass: 0.6 }
+    },
+    profiles: {}     // Beverage type -> { fields: { field: { pass, review } } }, over the field thresholds
+};
+
+export const MATCH_STATUS_LABELS = {
+    match: 'Match',
+    review: 'Needs Review',
+    mismatch: 'Not Found'
+};
+
+// Results whose thresholds can be tuned; the government warning is judged clause by clause instead
+const LABEL_CHECK_FIELDS = ['sulfiteDeclaration'];
+
+/**
+ * Fields that can have their own threshold, in form order
+ * @returns {Array<string>} Field ids from every beverage profile, then label checks
+ */
+export function thresholdFields() {
+    const fields = Object.values(BEVERAGE_PROFILES).flatMap(profile => profile.fields.map(field => field.id));
+    return [...new Set([...fields, ...LABEL_CHECK_FIELDS])];
+}
+
+/**
+ * Threshold that applies to one field: the profile's, else the field's, else the default
+ * @param {Object} thresholds - Match thresholds (DEFAULT_MATCH_THRESHOLDS shape)
+ * @param {string} field - Field id
+ * @param {string} beverageType - Beverage profile
+ * @returns {{pass: number, review: number|null, source: string}} Applied threshold and where it came from
+ *   ('default', 'field' or 'profile')
+ */
+export function resolveThreshold(thresholds, field, beverageType) {
+    const levels = [
+        ['field', thresholds.fields?.[field]],
+        ['profile', thresholds.profiles?.[beverageType]?.fields?.[field]]
+    ];
+
+    let threshold = { pass: thresholds.pass, review: thresholds.review ?? null, source: 'default' };
+    levels.forEach(([source, override]) => {
+        if (!override) return;
+        threshold = {
+            pass: override.pass ?? threshold.pass,
+            review: override.review !== undefined ? override.review : threshold.review,
+            source
+        };
+    });
+
+    // A band that starts at or above the pass mark is empty
+    if (threshold.review !== null && threshold.review >= threshold.pass) threshold.review = null;
+    return threshold;
+}
+
+/**
+ * Classify a confidence against a threshold
+ * @param {number} confidence - Match confidence (0-1)
+ * @param {{pass: number, review: number|null}} threshold - Applied threshold
+ * @returns {string} 'match', 'review' or 'mismatch'
+ */
+export function classifyMatch(confidence, { pass, review }) {
+    if (confidence >= pass) return 'match';
+    if (review !== null && confidence >= review) return 'review';
+    return 'mismatch';
+}
+
+/**
+ * Check thresholds submitted by the settings panel or PUT /api/settings and drop anything unknown
+ * @param {Object} input - Thresholds to check
+ * @returns {{thresholds: Object, problems: Array<string>}} Cleaned thresholds, and problems (empty if valid)
+ */
+export function normalizeThresholds(input) {
+    const problems = [];
+    const known = new Set(thresholdFields());
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const ratio = (value, name, optional) => {
+        if (value === undefined || (optional && value === null)) return value;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+            problems.push(`${name} must be a number from 0 to 1${optional ? ' or null' : ''}`);
+        }
+        return value;
+    };
+    const fieldMap = (fields, name) => {
+        if (fields === undefined) return {};
+        if (!isObject(fields)) {
+            problems.push(`${name} must be an object`);
+            return {};
+        }
+        const cleaned = {};
+        Object.entries(fields).forEach(([field, override]) => {
+            if (!known.has(field)) {
+                problems.push(`${name}.${field} is not a field with a threshold`);
+                return;
+            }
+            if (!isObject(override)) {
+                problems.push(`${name}.${field} must be an object`);
+                return;
+            }
+            const pass = ratio(override.pass, `${name}.${field}.pass`, false);
+            const review = ratio(override.review, `${name}.${field}.review`, true);
+            cleaned[field] = {
+                ...(pass !== undefined && { pass }),
+                ...(review !== undefined && { review })
+            };
+        });
+        return cleaned;
+    };
+
+    if (!isObject(input)) {
+        return { thresholds: null, problems: ['matchThresholds must be an object'] };
+    }
+
+    const thresholds = {
+        pass: ratio(input.pass, 'pass', false) ?? DEFAULT_MATCH_THRESHOLDS.pass,
+        review: ratio(input.review, 'review', true) ?? null,
+        fields: fieldMap(input.fields, 'fields'),
+        profiles: {}
+    };
+
+    if (input.profiles !== undefined && !isObject(input.profiles)) {
+        problems.push('profiles must be an object');
+    } else {
+        Object.entries(input.profiles || {}).forEach(([beverageType, profile]) => {
+            if (!BEVERAGE_PROFILES[beverageType]) {
+                problems.push(`profiles.${beverageType} is not a beverage type`);
+                return;
+            }
+            thresholds.profiles[beverageType] = { fields: fieldMap(profile?.fields, `profiles.${beverageType}.fields`) };
+        });
+    }
+
+    return { thresholds, problems };
+}
+
+class MatchThresholds {
+    constructor() {
+        this.thresholds = DEFAULT_MATCH_THRESHOLDS;
+        this.updatedAt = null;
+        this.updatedBy = null;
+        this.scope = '';    // '' edits the field thresholds, a beverage type edits that profile's
+    }
+
+    /**
+     * Load the saved thresholds and wire up the settings panel
+     */
+    async initialize() {
+        const panel = document.getElementById('matchThresholds');
+        panel?.querySelector('#thresholdScope')?.addEventListener('change', (e) => {
+            this.scope = e.target.value;
+            this.render();
+        });
+        panel?.querySelector('#thresholdSave')?.addEventListener('click', () => this.save());
+        panel?.querySelector('#thresholdReset')?.addEventListener('click', () => {
+            this.thresholds = DEFAULT_MATCH_THRESHOLDS;
+            this.render();
+            this.setMessage('Defaults restored; save to apply them');
+        });
+
+        await this.load();
+    }
+
+    /**
+     * Fetch the thresholds from the server (defaults are kept if it can't be reached)
+     */
+    async load() {
+        try {
+            const response = await fetch('/api/settings');
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+            this.thresholds = body.settings.matchThresholds;
+            this.updatedAt = body.settings.updatedAt || null;
+            this.updatedBy = body.settings.updatedBy || null;
+        } catch (error) {
+            console.warn('Using default match thresholds:', error);
+        }
+        this.render();
+    }
+
+    /**
+     * Thresholds for the next run
+     * @returns {Object} Match thresholds
+     */
+    get() {
+        return this.thresholds;
+    }
+
+    /**
+     * Read the panel's inputs into thresholds for the current scope
+     * @returns {Object} Thresholds with the edited values
+     */
+    readPanel() {
+        const percent = input => (input.value.trim() === '' ? undefined : Number(input.value) / 100);
+        const thresholds = structuredClone(this.thresholds);
+        const fields = {};
+
+        document.querySelectorAll('#thresholdRows tr[data-field]').forEach(row => {
+            const pass = percent(row.querySelector('.threshold-pass'));
+            const review = percent(row.querySelector('.threshold-review'));
+            if (row.dataset.field === '*') {
+                thresholds.pass = pass ?? DEFAULT_MATCH_THRESHOLDS.pass;
+                thresholds.review = review ?? null;
+            } else if (pass !== undefined || review !== undefined) {
+                fields[row.dataset.field] = { ...(pass !== undefined && { pass }), ...(review !== undefined && { review }) };
+            }
+        });
+
+        if (this.scope) {
+            thresholds.profiles = { ...thresholds.profiles, [this.scope]: { fields } };
+        } else {
+            thresholds.fields = fields;
+        }
+        return thresholds;
+    }
+
+    /**
+     * Save the panel's thresholds to the server
+     */
+    async save() {
+        const { thresholds, problems } = normalizeThresholds(this.readPanel());
+        if (problems.length) {
+            this.setMessage(problems.join('; '), true);
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ matchThresholds: thresholds })
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+
+            this.thresholds = body.settings.matchThresholds;
+            this.updatedAt = body.settings.updatedAt;
+            this.updatedBy = body.settings.updatedBy || null;
+            this.render();
+            this.setMessage('Saved; the next verification uses these thresholds');
+        } catch (error) {
+            this.setMessage(`Could not save: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Draw one row per field for the selected scope; blank inputs inherit (shown as placeholders)
+     */
+    render() {
+        const rows = document.getElementById('thresholdRows');
+        if (!rows) return;
+
+        const percent = value => (value === undefined || value === null ? '' : Math.round(value * 100));
+        const label = field => field.replace(/([A-Z])/g, ' $1').trim();
+        const overrides = this.scope ? this.thresholds.profiles?.[this.scope]?.fields || {} : this.thresholds.fields || {};
+        // What a blank input falls back to: the default for field thresholds, the field threshold for a profile
+        const inherited = field => (this.scope
+            ? resolveThreshold({ ...this.thresholds, profiles: {} }, field, this.scope)
+            : { pass: this.thresholds.pass, review: this.thresholds.review });
+        const input = (className, value, placeholder) => `
+            <input type="number" class="${className}" min="0" max="100" step="1" value="${percent(value)}" placeholder="${percent(placeholder)}">
+        `;
+
+        rows.innerHTML = `
+            ${this.scope ? '' : `
+                <tr data-field="*">
+                    <td>All other fields</td>
+                    <td>${input('threshold-pass', this.thresholds.pass, DEFAULT_MATCH_THRESHOLDS.pass)}</td>
+                    <td>${input('threshold-review', this.thresholds.review, null)}</td>
+                </tr>
+            `}
+            ${thresholdFields().map(field => `
+                <tr data-field="${field}">
+                    <td>${label(field)}</td>
+                    <td>${input('threshold-pass', overrides[field]?.pass, inherited(field).pass)}</td>
+                    <td>${input('threshold-review', overrides[field]?.review, inherited(field).review)}</td>
+                </tr>
+            `).join('')}
+        `;
+
+        const updated = document.getElementById('thresholdUpdated');
+        if (updated) {
+            updated.textContent = this.updatedAt
+                ? `Last saved ${new Date(this.updatedAt).toLocaleString()}${this.updatedBy ? ` by ${this.updatedBy}` : ''}`
+                : 'Using defaults';
+        }
+
+        // Thresholds apply to every reviewer, so only admins change them (the server enforces this too)
+        const readOnly = !session.isAdmin;
+        document.querySelectorAll('#thresholdSave, #thresholdReset, #thresholdRows input').forEach(control => {
+            control.disabled = readOnly;
+        });
+        if (readOnly) this.setMessage('Only admins can change match thresholds');
+    }
+
+    /**
+     * Show a message under the thresholds table
+     * @param {string} text - Message
+     * @param {boolean} isError - Show as an error
+     */
+    setMessage(text, isError = false) {
+        const message = document.getElementById('thresholdMessage');
+        if (!message) return;
+        message.textContent = text;
+        message.classList.toggle('threshold-error', isError);
+    }
+}
+
+export const matchThresholds = new MatchThresholds();
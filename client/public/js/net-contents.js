@@ -0,0 +1,158 @@
+/**
+ * Net Contents Module
+ * Parses net contents statements into a quantity and unit, normalized to millilitres
+ */
+
+import { toleranceConfidence } from './match-scoring.js';
+
+// US customary units are fluid measures (27 CFR 5.203, 7.70)
+const UNITS = {
+    ml: { label: 'mL', ml: 1 },
+    cl: { label: 'cL', ml: 10 },
+    l: { label: 'L', ml: 1000 },
+    floz: { label: 'fl oz', ml: 29.5735 },
+    pint: { label: 'pint', ml: 473.176 },
+    quart: { label: 'quart', ml: 946.353 },
+    gallon: { label: 'gallon', ml: 3785.41 }
+};
+
+class NetContentsParser {
+    constructor() {
+        // Unit spellings, including the OCR variants FormValidator.validationRules.netContents accepts
+        this.unitAliases = [
+            { unit: 'ml', pattern: 'milliliters?|millilitres?|ml' },
+            { unit: 'cl', pattern: 'centiliters?|centilitres?|cl' },
+            { unit: 'l', pattern: 'liters?|litres?|ltr|l' },
+            { unit: 'floz', pattern: 'fl\\.?\\s*oz\\.?|fluid\\s+ounces?|ounces?|oz\\.?' },
+            { unit: 'pint', pattern: 'pints?|pintl|pt\\.?' },
+            { unit: 'quart', pattern: 'quarts?|qt\\.?' },
+            { unit: 'gallon', pattern: 'gallons?|gal\\.?' }
+        ];
+
+        const units = this.unitAliases.map(alias => alias.pattern).join('|');
+
+        // Number may be split by OCR ("7 50 ml") or use a decimal comma ("0,75 l")
+        this.quantityPattern = new RegExp(`(\\d+(?:\\s\\d+)?(?:[.,]\\d+)?)\\s*(${units})(?![a-z])`, 'gi');
+        this.inputPattern = new RegExp(`^\\s*(\\d+(?:[.,]\\d+)?)\\s*(${units})\\s*$`, 'i');
+    }
+
+    /**
+     * Map a unit spelling to its canonical key
+     * @param {string} raw - Unit as written (e.g., "FL. OZ.")
+     * @returns {string|null} Key into UNITS
+     */
+    resolveUnit(raw) {
+        const alias = this.unitAliases.find(({ pattern }) => new RegExp(`^(?:${pattern})$`, 'i').test(raw.trim()));
+        return alias ? alias.unit : null;
+    }
+
+    /**
+     * Build a parsed quantity
+     * @param {number} quantity - Numeric amount
+     * @param {string} unit - Key into UNITS
+     * @param {string} text - Source text
+     * @returns {Object} Quantity, unit label, millilitres and source text
+     */
+    toQuantity(quantity, unit, text) {
+        return {
+            quantity,
+            unit: UNITS[unit].label,
+            ml: Math.round(quantity * UNITS[unit].ml * 100) / 100,
+            text
+        };
+    }
+
+    /**
+     * Parse a form value (e.g., "750 mL", "1 PINT", "25.4 oz")
+     * @param {string} value - Form value
+     * @returns {Object|null} Parsed quantity, or null if unparseable or not a positive volume
+     */
+    parseInput(value) {
+        const match = String(value).match(this.inputPattern);
+        if (!match) return null;
+
+        // match() compares relative to the expected volume, so "0 mL" has nothing to compare against
+        const unit = this.resolveUnit(match[2]);
+        const quantity = parseFloat(match[1].replace(',', '.'));
+        return unit && quantity > 0 ? this.toQuantity(quantity, unit, value.trim()) : null;
+    }
+
+    /**
+     * Find every net contents statement in OCR text
+     * Split numbers yield both the joined and the trailing reading ("7 50" → 750 or 50),
+     * and "1 pint 8 fl oz" style compound statements are summed, replacing their parts
+     * @param {string} text - OCR text
+     * @returns {Array<Object>} Candidate quantities
+     */
+    findStatements(text) {
+        const statements = [];
+        let previous = null;
+
+        for (const match of text.matchAll(this.quantityPattern)) {
+            const unit = this.resolveUnit(match[2]);
+            if (!unit) continue;
+
+            const raw = match[1].replace(',', '.');
+            const statement = this.toQuantity(parseFloat(raw.replace(/\s/g, '')), unit, match[0].trim());
+            const readings = [statement];
+            if (/\s/.test(raw)) {
+                readings.push(this.toQuantity(parseFloat(raw.split(/\s/).pop()), unit, match[0].trim()));
+            }
+
+            // Compound statement: larger US unit immediately followed by fluid ounces. Its parts are not
+            // statements of their own, or "1 pint" would match a label reading "1 pint 8 fl oz"
+            const between = previous ? text.slice(previous.end, match.index) : null;
+            if (previous && unit === 'floz' && ['pint', 'quart', 'gallon'].includes(previous.unit) && /^[\s,.]*$/.test(between)) {
+                const ml = previous.statement.ml + statement.ml;
+                statements.splice(statements.length - previous.readings.length);
+                statements.push({
+                    quantity: Math.round(ml * 100) / 100,
+                    unit: UNITS.ml.label,
+                    ml: Math.round(ml * 100) / 100,
+                    text: text.slice(previous.start, match.index + match[0].length).trim()
+                });
+                previous = null;
+                continue;
+            }
+
+            statements.push(...readings);
+            previous = { unit, statement, readings, start: match.index, end: match.index + match[0].length };
+        }
+
+        return statements;
+    }
+
+    /**
+     * Compare a form value against the net contents statements in OCR text
+     * @param {string} value - Form value
+     * @param {string} text - OCR text
+     * @returns {Object|null} Match with confidence, word and parsed values, or null if nothing parseable
+     */
+    match(value, text) {
+        const expected = this.parseInput(value);
+        const statements = this.findStatements(text);
+        if (!expected || statements.length === 0) return null;
+
+        const best = statements.reduce((a, b) => (
+            Math.abs(b.ml - expected.ml) < Math.abs(a.ml - expected.ml) ? b : a
+        ));
+
+        // Relative tolerance absorbs rounding in unit conversions (e.g., 25.4 fl oz ≈ 750 mL)
+        const tolerance = 0.01;
+        const difference = Math.abs(best.ml - expected.ml) / expected.ml;
+
+        return {
+            distance: difference,
+            word: best.text,
+            confidence: toleranceConfidence(difference, tolerance),
+            parsed: {
+                expected,
+                found: best,
+                tolerance,
+                summary: `Label ${best.quantity} ${best.unit} (${best.ml} mL) vs expected ${expected.quantity} ${expected.unit} (${expected.ml} mL)`
+            }
+        };
+    }
+}
+
+export const netContentsParser = new NetContentsParser();
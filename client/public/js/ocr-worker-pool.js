@@ -0,0 +1,216 @@
+/**
+ * OCR Worker Pool Module
+ * Long-lived Tesseract workers shared by every OCR config and every verification run,
+ * so language data is loaded once per worker instead of once per recognize call
+ */
+
+import { abortable, stageSignal } from './cancellation.js';
+
+/**
+ * Create a Tesseract worker, rejecting if it fails to start
+ * Tesseract.createWorker never settles when loading the language data fails (e.g. the download): it only
+ * calls errorHandler. Once the worker is up, a failed job rejects its own promise and the handler just logs
+ * @param {string} language - Tesseract language (or 'osd')
+ * @param {number} oem - Tesseract OCR engine mode
+ * @param {Object} options - Tesseract worker options (logger, legacyCore...)
+ * @returns {Promise<Object>} Tesseract worker
+ */
+export function createTesseractWorker(language, oem, options = {}) {
+    return new Promise((resolve, reject) => {
+        let started = false;
+        Tesseract.createWorker(language, oem, {
+            ...options,
+            errorHandler: (error) => {
+                console.warn(`Tesseract ${language} worker error:`, error);
+                if (!started) reject(error instanceof Error ? error : new Error(`Tesseract worker failed to start: ${error}`));
+            }
+        }).then((worker) => {
+            started = true;
+            resolve(worker);
+        }, reject);
+    });
+}
+
+export class OcrWorkerPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {number} options.size - Maximum number of workers
+     * @param {string} options.language - Tesseract language
+     */
+    constructor({ size = OcrWorkerPool.defaultSize(), language = 'eng' } = {}) {
+        this.size = size;
+        this.language = language;
+        this.workers = [];   // { worker, oem, busy, onProgress }
+        this.creating = 0;
+        this.waiting = [];   // { oem, resolve, reject }
+    }
+
+    /**
+     * Leave a core for the page itself; Tesseract workers are CPU-bound
+     * @returns {number} Default pool size (1-4)
+     */
+    static defaultSize() {
+        const cores = globalThis.navigator?.hardwareConcurrency || 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+
+    /**
+     * Create a worker for an OCR engine mode
+     * The engine mode is fixed when a worker loads its language data, so workers are keyed by it
+     * @param {number} oem - Tesseract OCR engine mode
+     * @returns {Promise<Object>} Pool entry
+     */
+    async createEntry(oem) {
+        this.creating++;
+        try {
+            const entry = { worker: null, oem, busy: true, onProgress: null };
+            // A worker that fails to start rejects the job waiting for it (see dispatch)
+            entry.worker = await createTesseractWorker(this.language, oem, {
+                logger: m => entry.onProgress?.(m)
+            });
+            this.workers.push(entry);
+            return entry;
+        } finally {
+            this.creating--;
+        }
+    }
+
+    /**
+     * Start workers ahead of the first run
+     * @param {number} oem - Tesseract OCR engine mode
+     * @param {number} count - Number of workers to have ready
+     */
+    async warmUp(oem, count = 1) {
+        const missing = Math.min(count, this.size) - this.workers.filter(entry => entry.oem === oem).length;
+        const entries = await Promise.all(Array.from({ length: Math.max(0, missing) }, () => this.createEntry(oem)));
+        entries.forEach(entry => this.release(entry));
+    }
+
+    /**
+     * Get a free worker for an engine mode, creating or repurposing one if allowed, otherwise wait
+     * @param {number} oem - Tesseract OCR engine mode
+     * @param {AbortSignal} signal - Stops waiting when aborted (optional)
+     * @returns {Promise<Object>} Pool entry (call release or discard when done)
+     */
+    acquire(oem, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const job = {
+                oem,
+                // A worker handed out after the job was aborted goes straight back to the pool
+                resolve: entry => (signal?.aborted ? this.release(entry) : resolve(entry)),
+                reject
+            };
+            signal?.addEventListener('abort', () => {
+                this.waiting = this.waiting.filter(other => other !== job);
+                reject(signal.reason);
+            }, { once: true });
+
+            this.waiting.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand free workers to waiting jobs in arrival order
+     */
+    dispatch() {
+        while (this.waiting.length > 0) {
+            const job = this.waiting[0];
+            const idle = this.workers.find(entry => !entry.busy && entry.oem === job.oem);
+
+            if (idle) {
+                idle.busy = true;
+                this.waiting.shift().resolve(idle);
+                continue;
+            }
+
+            // Make room by retiring an idle worker loaded for another engine mode
+            if (this.workers.length + this.creating >= this.size) {
+                const other = this.workers.find(entry => !entry.busy);
+                if (!other) return;
+                this.remove(other);
+            }
+
+            this.waiting.shift();
+            this.createEntry(job.oem).then(job.resolve, (error) => {
+                job.reject(error);
+                this.dispatch();
+            });
+        }
+    }
+
+    /**
+     * Return a worker to the pool
+     * @param {Object} entry - Pool entry
+     */
+    release(entry) {
+        entry.busy = false;
+        entry.onProgress = null;
+        this.dispatch();
+    }
+
+    /**
+     * Remove a worker (e.g. after it failed) and free its slot
+     * @param {Object} entry - Pool entry
+     */
+    discard(entry) {
+        this.remove(entry);
+        this.dispatch();
+    }
+
+    /**
+     * Terminate a worker and drop it from the pool
+     * @param {Object} entry - Pool entry
+     */
+    remove(entry) {
+        if (!this.workers.includes(entry)) return;
+        this.workers = this.workers.filter(other => other !== entry);
+        entry.worker.terminate().catch(() => {});
+    }
+
+    /**
+     * Recognize an image on a pooled worker
+     * @param {number} oem - Tesseract OCR engine mode
+     * @param {Object} params - Tesseract parameters (page segmentation mode, etc.)
+     * @param {*} image - Canvas, image or encoded buffer
+     * @param {Object} options - Job options
+     * @param {Function} options.onProgress - Called with Tesseract logger messages
+     * @param {AbortSignal} options.signal - Aborting terminates the worker mid-recognition
+     * @param {number} options.timeoutMs - Time budget once a worker is assigned (0 for none)
+     * @param {string} options.stage - Stage name for the timeout error
+     * @returns {Promise<Object>} Tesseract result
+     */
+    async recognize(oem, params, image, { onProgress, signal, timeoutMs = 0, stage = 'OCR' } = {}) {
+        const entry = await this.acquire(oem, signal);
+        // The budget starts when a worker is free, so time spent queued doesn't count
+        const budget = stageSignal(signal, timeoutMs, stage);
+        try {
+            entry.onProgress = onProgress;
+            const work = entry.worker.setParameters(params).then(() => entry.worker.recognize(image));
+            const result = await abortable(work, budget.signal, () => this.discard(entry));
+            this.release(entry);
+            return result;
+        } catch (error) {
+            // A failed or abandoned worker may be in a bad state; replace it on next use
+            this.discard(entry);
+            throw error;
+        } finally {
+            budget.dispose();
+        }
+    }
+
+    /**
+     * Stop all workers
+     */
+    async terminate() {
+        const workers = this.workers;
+        this.workers = [];
+        this.waiting.splice(0).forEach(job => job.reject(new Error('OCR worker pool terminated')));
+        await Promise.all(workers.map(entry => entry.worker.terminate().catch(() => {})));
+    }
+}
@@ -3,9 +3,17 @@
  * Handles text extraction using Tesseract.js with multiple PSM configurations
  */
 
+import { OcrWorkerPool, createTesseractWorker } from './ocr-worker-pool.js';
+import { timeoutError } from './cancellation.js';
+
 class OCRProcessor {
     constructor() {
-        this.ready = true; // Using global Tesseract API - always ready
+        this.ready = false;
+        this.initPromise = null;
+        this.pool = new OcrWorkerPool();
+        this.osdWorker = null;
+        // Tesseract's orientation confidence below which a quarter turn is not trusted
+        this.minOrientationConfidence = 2;
         
         // OCR configurations ordered by effectiveness for label text
         this.ocrConfigs = [
@@ -44,8 +52,19 @@ class OCRProcessor {
         ];
     }
 
+    /**
+     * Start the first pooled worker so language data is loaded before the first label
+     * @returns {Promise} Resolves when a worker is ready
+     */
     async initialize() {
-        return Promise.resolve(true);
+        if (this.initPromise) return this.initPromise;
+
+        const { tessedit_ocr_engine_mode: oem } = this.ocrConfigs[0].params;
+        this.initPromise = this.pool.warmUp(oem).then(() => {
+            this.ready = true;
+        });
+        this.initPromise.catch(() => { this.initPromise = null; });
+        return this.initPromise;
     }
 
     /**
@@ -106,52 +125,216 @@ class OCRProcessor {
         return normalized;
     }
 
+    /**
+     * Keep word-level text and bounding boxes from a Tesseract result
+     * Words are normalized the same way as the full text so matches can be mapped back to them
+     * @param {Object} data - Tesseract result data
+     * @returns {Array<{text: string, confidence: number, bbox: Object}>} Words in reading order
+     */
+    extractWords(data) {
+        return (data.words || [])
+            .map(({ text, confidence, bbox }) => ({
+                text: this.normalizeText(text),
+                confidence,
+                bbox: { x0: bbox.x0, y0: bbox.y0, x1: bbox.x1, y1: bbox.y1 }
+            }))
+            .filter(word => word.text);
+    }
+
+    /**
+     * OCR an image with one configuration
+     * @param {HTMLElement|Buffer} image - Image, canvas or encoded image to read
+     * @param {Object} config - One of this.ocrConfigs
+     * @param {Object} options - { onProgress (0-1), signal, timeoutMs }
+     * @returns {Promise<Object>} { text, confidence, words, config, rawText }, text and words normalized
+     *   and rawText as Tesseract read it
+     */
+    async recognizeWith(image, config, { onProgress, signal, timeoutMs = 0 } = {}) {
+        // The engine mode picks the worker; the rest is set per job
+        const { tessedit_ocr_engine_mode: oem, ...params } = config.params;
+        const result = await this.pool.recognize(oem, params, image, {
+            onProgress: m => {
+                if (onProgress && m.status === 'recognizing text') onProgress(m.progress);
+            },
+            signal,
+            timeoutMs,
+            stage: `OCR (${config.name})`
+        });
+
+        const { text, confidence } = result.data;
+        return {
+            text: this.normalizeText(text),
+            confidence,
+            words: this.extractWords(result.data),
+            config: config.name,
+            rawText: text
+        };
+    }
+
     /**
      * Process image with multiple OCR configurations
      * Returns the best result based on confidence and text length
      * @param {HTMLElement} image - Image or canvas element to process
      * @param {Function} progressCallback - Optional progress callback (0-100)
-     * @returns {Promise<Object>} Best OCR result with text and confidence
+     * @param {Object} options - { signal, configTimeoutMs }: cancellation and the time budget for each config
+     * @returns {Promise<Object>} Best OCR result with text, confidence, word boxes, the config that produced it
+     *   and the configs that timed out
      */
-    async processImage(image, progressCallback) {
+    async processImage(image, progressCallback, { signal, configTimeoutMs = 0 } = {}) {
         let bestResult = null;
+        const timedOut = [];
         const totalConfigs = this.ocrConfigs.length;
         
         for (let i = 0; i < totalConfigs; i++) {
             const config = this.ocrConfigs[i];
+            signal?.throwIfAborted();
             
             try {
-                const result = await Tesseract.recognize(image, 'eng', { 
-                    ...config.params,
-                    logger: m => {
-                        if (progressCallback && m.status === 'recognizing text') {
-                            const progress = ((i / totalConfigs) + (m.progress / totalConfigs)) * 100;
-                            progressCallback(Math.round(progress));
-                        }
-                    }
+                const result = await this.recognizeWith(image, config, {
+                    onProgress: progress => {
+                        if (progressCallback) progressCallback(Math.round(((i + progress) / totalConfigs) * 100));
+                    },
+                    signal,
+                    timeoutMs: configTimeoutMs
                 });
-
-                const { text, confidence } = result.data;
-                const normalizedText = this.normalizeText(text); // Apply normalization
-                const score = confidence * Math.log(normalizedText.length + 1); // Weighted score
+                const { rawText, ...normalized } = result;
+                const score = result.confidence * Math.log(result.text.length + 1); // Weighted score
 
                 if (!bestResult || score > (bestResult.confidence * Math.log(bestResult.text.length + 1))) {
-                    bestResult = { text: normalizedText, confidence };
+                    bestResult = normalized;
                 }
 
                 // Early exit if we have high confidence and sufficient text
-                if (confidence > 80 && normalizedText.length > 50) break;
+                if (result.confidence > 80 && result.text.length > 50) break;
                 
             } catch (error) {
+                // Cancelling stops every config; a timeout only skips this one
+                if (signal?.aborted) throw signal.reason;
+                if (error.reason === 'timeout') timedOut.push(config.name);
                 console.warn(`OCR failed with ${config.name}:`, error);
             }
         }
 
         if (!bestResult) {
-            throw new Error('All OCR attempts failed');
+            throw timedOut.length ? timeoutError('OCR', configTimeoutMs) : new Error('All OCR attempts failed');
         }
 
-        return bestResult;
+        return { ...bestResult, timedOut };
+    }
+
+    /**
+     * Run OCR on each preprocessing variant separately
+     * Variants run concurrently on the worker pool; each keeps its own text so fields can be matched per variant
+     * @param {Array<{name: string, image: *, width: number, height: number}>} variants - Preprocessed images (canvas or encoded buffer)
+     * @param {Function} progressCallback - Optional progress callback (0-100)
+     * @param {Object} options - { signal, configTimeoutMs }, passed to processImage
+     * @returns {Promise<Object>} Best overall text/confidence, per-variant results (each with durationMs)
+     *   and timedOut ("variant / config" runs that ran out of time)
+     */
+    async processVariants(variants, progressCallback, options = {}) {
+        const progress = variants.map(() => 0);
+        const reportProgress = () => {
+            if (progressCallback) {
+                progressCallback(Math.round(progress.reduce((sum, value) => sum + value, 0) / variants.length));
+            }
+        };
+
+        // Anything else on a variant (size, which label image it came from) is carried through to its result
+        const settled = await Promise.all(variants.map(async ({ image, ...variant }, i) => {
+            const started = performance.now();
+            try {
+                const result = await this.processImage(image, (value) => {
+                    progress[i] = value;
+                    reportProgress();
+                }, options);
+                return { ...variant, ...result, durationMs: Math.round(performance.now() - started) };
+            } catch (error) {
+                if (options.signal?.aborted) throw options.signal.reason;
+                console.warn(`OCR failed for variant ${variant.name}:`, error);
+                return error.reason === 'timeout' ? { name: variant.name, failed: true, timedOut: this.ocrConfigs.map(config => config.name) } : null;
+            } finally {
+                progress[i] = 100;
+                reportProgress();
+            }
+        }));
+        const timedOut = settled.flatMap(result => (result?.timedOut || []).map(config => `${result.name} / ${config}`));
+        const results = settled.filter(result => result && !result.failed);
+
+        if (results.length === 0) {
+            throw timedOut.length ? timeoutError('OCR', options.configTimeoutMs) : new Error('All OCR attempts failed');
+        }
+
+        // Best single variant is still reported as the overall text
+        const score = result => result.confidence * Math.log(result.text.length + 1);
+        const best = results.reduce((a, b) => (score(b) > score(a) ? b : a));
+
+        return { text: best.text, confidence: best.confidence, variant: best.name, variants: results, timedOut };
+    }
+
+    /**
+     * Merge the processVariants results of a submission's label images (front, back, neck...)
+     * Variants keep the labelImage they were tagged with, so matches can report which image they came from
+     * @param {Array<{labelImage: Object, result: Object}>} perImage - { index, tag, name } and processVariants result per image
+     * @returns {Object} Same shape as processVariants; text is each image's best text under its tag and file name
+     */
+    combineResults(perImage) {
+        if (perImage.length === 1) return perImage[0].result;
+
+        const results = perImage.map(({ result }) => result);
+        return {
+            text: perImage.map(({ labelImage, result }) => `[${labelImage.tag}: ${labelImage.name}]\n${result.text}`).join('\n\n'),
+            confidence: results.reduce((sum, result) => sum + result.confidence, 0) / results.length,
+            variant: null,
+            variants: results.flatMap(result => result.variants),
+            timedOut: perImage.flatMap(({ labelImage, result }) => result.timedOut.map(run => `${labelImage.tag} / ${run}`))
+        };
+    }
+
+    /**
+     * Detect whether the text is rotated by a quarter turn, using Tesseract OSD
+     * OSD needs the legacy engine, so it has its own worker, created on first use and again after a failure
+     * @param {*} image - Image, canvas or encoded buffer
+     * @returns {Promise<{degrees: number, confidence: number}>} Clockwise rotation that makes the text upright
+     *   (0 when detection fails or is not confident)
+     */
+    async detectOrientation(image) {
+        try {
+            this.osdWorker ??= createTesseractWorker('osd', 0, {
+                legacyCore: true,
+                legacyLang: true
+            });
+            const worker = await this.osdWorker;
+            const { data } = await worker.detect(image);
+            const confidence = data.orientation_confidence || 0;
+
+            return {
+                degrees: confidence >= this.minOrientationConfidence ? data.orientation_degrees || 0 : 0,
+                confidence
+            };
+        } catch (error) {
+            console.warn('Orientation detection failed:', error);
+            this.cancelOrientation();
+            return { degrees: 0, confidence: 0 };
+        }
+    }
+
+    /**
+     * Stop the orientation worker (e.g. when a run is cancelled mid-detection); it is recreated on next use
+     */
+    cancelOrientation() {
+        const worker = this.osdWorker;
+        this.osdWorker = null;
+        worker?.then(instance => instance.terminate()).catch(() => {});
+    }
+
+    /**
+     * Stop the pooled Tesseract workers (they are recreated on next use)
+     */
+    async terminate() {
+        this.cancelOrientation();
+        await this.pool.terminate();
+        this.ready = false;
+        this.initPromise = null;
     }
 
     isReady() {
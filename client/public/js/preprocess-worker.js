@@ -0,0 +1,79 @@
+/**
+ * Preprocess Worker
+ * Runs geometry correction and the OpenCV preprocessing variants off the main thread
+ * (classic worker started by ImageProcessor)
+ */
+
+const ready = (async () => {
+    const [{ imageProcessor, OPENCV_URL }, { geometryCorrector }] = await Promise.all([
+        import('./image-processor.js'),
+        import('./geometry-corrector.js')
+    ]);
+    importScripts(OPENCV_URL);
+    await imageProcessor.initialize();
+    return { imageProcessor, geometryCorrector };
+})();
+
+ready.then(
+    () => self.postMessage({ type: 'ready' }),
+    error => self.postMessage({ type: 'error', message: `OpenCV failed to load: ${error.message || error}` })
+);
+
+self.onmessage = async ({ data: message }) => {
+    if (message.type === 'quality') {
+        checkQuality(message);
+        return;
+    }
+    if (message.type !== 'process') return;
+
+    const { id, imageData, rotation } = message;
+    let img = null;
+    let corrected = null;
+    let versions = [];
+    let combined = null;
+
+    try {
+        const { imageProcessor, geometryCorrector } = await ready;
+        img = cv.matFromImageData(imageData);
+        const quality = imageProcessor.assessQuality(img);
+        const { mat, geometry } = geometryCorrector.correct(img, { rotation });
+        corrected = mat;
+        versions = imageProcessor.createVariants(corrected);
+        combined = imageProcessor.combineVersions(corrected, versions.map(version => version.mat));
+
+        const variants = versions.map(({ name, mat: version }) => ({ name, ...imageProcessor.toPixels(version) }));
+        const grid = imageProcessor.toPixels(combined);
+        const straightened = imageProcessor.toPixels(corrected);
+
+        self.postMessage(
+            { type: 'result', id, variants, combined: grid, corrected: straightened, geometry, quality },
+            [...variants.map(variant => variant.data.buffer), grid.data.buffer, straightened.data.buffer]
+        );
+    } catch (error) {
+        console.error('Image processing error:', error);
+        self.postMessage({ type: 'error', id, message: error.message || String(error) });
+    } finally {
+        versions.forEach(version => version.mat.delete());
+        combined?.delete();
+        corrected?.delete();
+        img?.delete();
+    }
+};
+
+/**
+ * Rate an image's quality without processing it
+ * @param {Object} message - { id, imageData }
+ */
+async function checkQuality({ id, imageData }) {
+    let img = null;
+    try {
+        const { imageProcessor } = await ready;
+        img = cv.matFromImageData(imageData);
+        self.postMessage({ type: 'result', id, quality: imageProcessor.assessQuality(img) });
+    } catch (error) {
+        console.error('Image quality check error:', error);
+        self.postMessage({ type: 'error', id, message: error.message || String(error) });
+    } finally {
+        img?.delete();
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Review Overrides Module
+ * Lets a reviewer accept or reject individual field results, with a reason, and shows the history
+ */
+
+import { escapeHtml } from './html.js';
+import { MATCH_STATUS_LABELS } from './match-thresholds.js';
+import { session } from './session.js';
+
+const DECISION_LABELS = { accept: 'Accepted', reject: 'Rejected' };
+
+class ReviewOverrides {
+    constructor() {
+        this.logId = null;
+        this.results = [];
+        this.decisions = {};
+        this.overrides = [];
+    }
+
+    /**
+     * Wire up the review controls in the results panel (delegated, so it survives re-renders)
+     */
+    initialize() {
+        const container = document.getElementById('verificationResults');
+
+        container?.addEventListener('click', (e) => {
+            const button = e.target.closest('.review-button');
+            if (button) {
+                this.openForm(button.closest('.verification-review'), button.dataset.decision);
+                return;
+            }
+            if (e.target.closest('.review-cancel')) {
+                this.closeForm(e.target.closest('.verification-review'));
+            }
+        });
+
+        container?.addEventListener('submit', (e) => {
+            if (!e.target.classList.contains('review-form')) return;
+            e.preventDefault();
+            this.submit(e.target.closest('.verification-review'));
+        });
+    }
+
+    /**
+     * Enable overrides for a logged verification run
+     * @param {string|null} logId - Id returned by the server when the run was logged
+     * @param {Array} results - Results as shown in the panel
+     */
+    attach(logId, results) {
+        this.logId = logId;
+        this.results = results;
+        this.overrides = [];
+        this.decisions = {};
+        this.render();
+    }
+
+    /**
+     * Draw who is reviewing (the signed-in account, which the server records) and each field's review controls
+     */
+    render() {
+        const list = document.getElementById('verificationList');
+        if (!list) return;
+
+        if (!document.getElementById('reviewerToolbar')) {
+            list.insertAdjacentHTML('beforebegin', `
+                <div id="reviewerToolbar" class="review-toolbar">
+                    Reviewing as <strong>${escapeHtml(session.user?.username || 'unknown')}</strong>
+                </div>
+            `);
+        }
+
+        document.querySelectorAll('.verification-review').forEach(slot => {
+            if (!this.logId) {
+                slot.innerHTML = '<span class="review-unavailable">Overrides unavailable: this run was not logged</span>';
+                return;
+            }
+            slot.innerHTML = this.renderField(slot.dataset.field);
+        });
+    }
+
+    /**
+     * Review controls for one field
+     * @param {string} field - Field name
+     * @returns {string} HTML
+     */
+    renderField(field) {
+        const result = this.results.find(r => r.field === field);
+        const decision = this.decisions[field];
+        const history = this.overrides.filter(override => override.field === field);
+
+        const summary = decision?.override
+            ? `<span class="review-final review-${decision.override.decision}">
+                   Final: ${DECISION_LABELS[decision.override.decision]} by ${escapeHtml(decision.override.reviewer)}
+               </span>
+               <span class="review-machine">Automatic: ${MATCH_STATUS_LABELS[result?.status] || (result?.found ? 'Match' : 'Not Found')}</span>`
+            : '';
+
+        return `
+            <div class="review-summary">
+                ${summary}
+                <button type="button" class="review-button" data-decision="accept">Accept</button>
+                <button type="button" class="review-button" data-decision="reject">Reject</button>
+            </div>
+            <form class="review-form" hidden>
+                <input type="text" class="review-reason" placeholder="Reason (required)" required>
+                <button type="submit">Save</button>
+                <button type="button" class="review-cancel">Cancel</button>
+                <span class="review-error"></span>
+            </form>
+            ${history.length ? `
+                <details class="review-history">
+                    <summary>History (${history.length})</summary>
+                    <ul>
+                        ${history.map(override => `
+                            <li>
+                                ${new Date(override.timestamp).toLocaleString()} -
+                                <strong>${escapeHtml(override.reviewer)}</strong>
+                                ${DECISION_LABELS[override.decision].toLowerCase()}:
+                                "${escapeHtml(override.reason)}"
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Show the reason form for a decision
+     * @param {HTMLElement} slot - Field's review container
+     * @param {string} decision - accept or reject
+     */
+    openForm(slot, decision) {
+        const form = slot?.querySelector('.review-form');
+        if (!form) return;
+
+        form.dataset.decision = decision;
+        form.querySelector('button[type="submit"]').textContent = `Save ${DECISION_LABELS[decision].toLowerCase()}`;
+        form.hidden = false;
+        form.querySelector('.review-reason').focus();
+    }
+
+    /**
+     * Hide the reason form without saving
+     * @param {HTMLElement} slot - Field's review container
+     */
+    closeForm(slot) {
+        const form = slot?.querySelector('.review-form');
+        if (!form) return;
+
+        form.hidden = true;
+        form.reset();
+        form.querySelector('.review-error').textContent = '';
+    }
+
+    /**
+     * Save an override on the server and redraw with the updated history
+     * @param {HTMLElement} slot - Field's review container
+     */
+    async submit(slot) {
+        const form = slot.querySelector('.review-form');
+        const error = form.querySelector('.review-error');
+        const reason = form.querySelector('.review-reason').value.trim();
+
+        if (!reason) {
+            error.textContent = 'A reason is required';
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/verification-logs/${encodeURIComponent(this.logId)}/overrides`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ field: slot.dataset.field, decision: form.dataset.decision, reason })
+            });
+            const body = await response.json();
+            if (!body.success) throw new Error(body.message);
+
+            this.overrides = body.overrides;
+            this.decisions = body.decisions;
+            this.render();
+        } catch (err) {
+            console.error('Saving override failed:', err);
+            error.textContent = `Could not save: ${err.message}`;
+        }
+    }
+}
+
+export const reviewOverrides = new ReviewOverrides();
@@ -0,0 +1,77 @@
+/**
+ * Session Module
+ * Who is signed in: pages call initialize() first, which sends visitors without a session to the sign-in page,
+ * and the account is shown with a sign-out button
+ */
+
+import { escapeHtml } from './html.js';
+
+class Session {
+    constructor() {
+        this.user = null;
+    }
+
+    /**
+     * Load the signed-in account and draw it in #sessionBar
+     * Only a 401 redirects; if the server can't be reached the page still works without an account
+     * @returns {Promise<boolean>} false when the page is being sent to the sign-in page
+     */
+    async initialize() {
+        try {
+            const response = await fetch('/api/session');
+            if (response.status === 401) {
+                this.redirectToLogin();
+                return false;
+            }
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+            this.user = body.user;
+        } catch (error) {
+            console.warn('Could not check the session:', error);
+        }
+
+        this.render();
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Whether the signed-in account can change settings and clear logs
+     */
+    get isAdmin() {
+        return this.user?.role === 'admin';
+    }
+
+    /**
+     * Go to the sign-in page, coming back here afterwards
+     */
+    redirectToLogin() {
+        window.location.assign(`/login.html?next=${encodeURIComponent(window.location.pathname + window.location.search)}`);
+    }
+
+    /**
+     * End the session on the server and go to the sign-in page
+     */
+    async signOut() {
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } finally {
+            this.redirectToLogin();
+        }
+    }
+
+    /**
+     * Show the account and a sign-out button
+     */
+    render() {
+        const bar = document.getElementById('sessionBar');
+        if (!bar || !this.user) return;
+
+        bar.innerHTML = `
+            Signed in as <strong>${escapeHtml(this.user.username)}</strong> (${escapeHtml(this.user.role)})
+            <button type="button" class="session-sign-out">Sign out</button>
+        `;
+        bar.querySelector('.session-sign-out').addEventListener('click', () => this.signOut());
+    }
+}
+
+export const session = new Session();
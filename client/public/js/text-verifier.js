@@ -3,7 +3,45 @@
  * Handles fuzzy text matching using Levenshtein distance algorithm
  */
 
+import { alcoholContentParser } from './alcohol-content.js';
+import { netContentsParser } from './net-contents.js';
+import { addressParser } from './address.js';
+import { levenshteinDistance, alignPhrase } from './match-scoring.js';
+import { governmentWarningChecker } from './government-warning.js';
+import { getBeverageProfile, DEFAULT_BEVERAGE_TYPE } from './beverage-profiles.js';
+import { escapeHtml } from './html.js';
+import { IMAGE_TAGS } from './image-tags.js';
+import { DEFAULT_MATCH_THRESHOLDS, MATCH_STATUS_LABELS, resolveThreshold, classifyMatch } from './match-thresholds.js';
+
 class TextVerifier {
+    /**
+     * Semantic matchers for fields that should not be compared as plain strings
+     * Each returns a findBestMatch-shaped result (plus `parsed`, and `review` with a reason when a match
+     * still needs a reviewer), or null to fall back to fuzzy matching
+     */
+    static fieldMatchers = {
+        alcoholContent: (value, text, { beverageType }) => alcoholContentParser.match(value, text, beverageType),
+        proof: (value, text, { beverageType }) => alcoholContentParser.match(
+            /proof/i.test(value) ? value : `${value} proof`,
+            text,
+            beverageType
+        ),
+        netContents: (value, text) => netContentsParser.match(value, text),
+        manufacturerName: (value, text) => addressParser.matchName(value, text),
+        // Name and address are one statement on the label, so the address is checked against the name
+        manufacturerAddress: (value, text, { fields }) => addressParser.match(value, text, fields?.manufacturerName),
+        vintage: (value, text) => TextVerifier.matchVintage(value, text)
+    };
+
+    /**
+     * Label-level checks a beverage profile can enable (see BEVERAGE_PROFILES[type].checks)
+     * Each produces one result row from all OCR sources, given the threshold for its field
+     */
+    static labelChecks = {
+        governmentWarning: sources => TextVerifier.verifyGovernmentWarning(sources),
+        sulfiteDeclaration: (sources, threshold) => TextVerifier.verifySulfiteDeclaration(sources, threshold)
+    };
+
     /**
      * Calculate Levenshtein distance (edit distance) between two strings
      * @param {string} a - First string
@@ -11,118 +49,351 @@ class TextVerifier {
      * @returns {number} Minimum edits needed to transform a into b
      */
     static levenshteinDistance(a, b) {
-        if (a.length === 0) return b.length;
-        if (b.length === 0) return a.length;
-
-        // Dynamic programming matrix
-        const matrix = Array(b.length + 1).fill(null).map(() => Array(a.length + 1).fill(0));
-        
-        // Initialize first row and column
-        for (let i = 0; i <= b.length; i++) matrix[i][0] = i;
-        for (let j = 0; j <= a.length; j++) matrix[0][j] = j;
-
-        // Calculate distances
-        for (let i = 1; i <= b.length; i++) {
-            for (let j = 1; j <= a.length; j++) {
-                const cost = b[i - 1] === a[j - 1] ? 0 : 1;
-                matrix[i][j] = Math.min(
-                    matrix[i - 1][j - 1] + cost, // Substitution
-                    matrix[i][j - 1] + 1,         // Insertion
-                    matrix[i - 1][j] + 1          // Deletion
-                );
-            }
-        }
-        
-        return matrix[b.length][a.length];
+        return levenshteinDistance(a, b);
     }
 
     /**
      * Find best matching substring in text using fuzzy matching
+     * The value is aligned against the whole text, so it can match a span of any number of words,
+     * split or merged words, or words with stray punctuation (see alignPhrase)
      * @param {string} searchValue - Value to search for
      * @param {string} text - Text to search within
-     * @returns {Object} Best match with distance, word, and confidence (0-1)
+     * @returns {Object} Best match with distance, word (the matched span), its start/end offsets in text,
+     *   and confidence (0-1)
      */
     static findBestMatch(searchValue, text) {
         // Quick exact match check
-        if (text.includes(searchValue)) {
-            return { distance: 0, word: searchValue, confidence: 1.0 };
+        const index = text.indexOf(searchValue);
+        if (index !== -1) {
+            return { distance: 0, word: searchValue, start: index, end: index + searchValue.length, confidence: 1.0 };
         }
 
-        const words = text.split(/\s+/);
-        let bestMatch = { distance: Infinity, word: null };
-        
-        // Test single words and short phrases
-        for (let i = 0; i < words.length; i++) {
-            // Single word
-            let distance = this.levenshteinDistance(searchValue, words[i]);
-            if (distance < bestMatch.distance) {
-                bestMatch = { distance, word: words[i] };
-            }
-
-            // 2-3 word phrases
-            for (let j = 1; j < 3 && i + j < words.length; j++) {
-                const phrase = words.slice(i, i + j + 1).join(' ');
-                distance = this.levenshteinDistance(searchValue, phrase);
-                if (distance < bestMatch.distance) {
-                    bestMatch = { distance, word: phrase };
-                }
-            }
+        const alignment = alignPhrase(searchValue, text);
+        if (!alignment || alignment.end === 0) {
+            return { distance: Infinity, word: null, start: null, end: null, confidence: 0 };
         }
 
-        // Convert distance to confidence score (0-1)
-        const maxLength = Math.max(searchValue.length, bestMatch.word?.length || 0);
-        const confidence = maxLength > 0 ? Math.max(0, 1 - (bestMatch.distance / maxLength)) : 0;
-            
-        return { ...bestMatch, confidence };
+        const { distance, start, end, confidence } = alignment;
+        return { distance, word: text.slice(start, end), start, end, confidence };
     }
 
     /**
      * Verify all form fields against extracted OCR text
-     * @param {string} extractedText - OCR extracted text
+     * When several OCR sources are given (one per preprocessing variant), each field
+     * keeps the best match across sources and reports which variant produced it
+     * @param {string|Array<{name: string, text: string}>} extractedText - OCR text or per-variant OCR results
      * @param {Object} fields - Form field values to verify
      * @param {Function} progressCallback - Progress callback (0-100%)
-     * @returns {Promise<Array>} Verification results with confidence scores
+     * @param {Object} options - Optional settings
+     * @param {string} options.beverageType - Beverage profile (inferred from productClass if omitted)
+     * @param {Object} options.thresholds - Match thresholds (see match-thresholds.js; defaults if omitted)
+     * @param {AbortSignal} options.signal - When aborted, stops and returns the fields checked so far
+     * @returns {Promise<Array>} Verification results with confidence scores, status ('match', 'review' or
+     *   'mismatch') and the threshold applied to each
      */
-    async verifyText(extractedText, fields, progressCallback) {
-        if (!extractedText) {
+    async verifyText(extractedText, fields, progressCallback, options = {}) {
+        const sources = (Array.isArray(extractedText) ? extractedText : [{ name: null, text: extractedText }])
+            .filter(source => source.text)
+            .map(source => ({ ...source, text: source.text.toLowerCase(), rawText: source.text }));
+
+        if (sources.length === 0) {
             throw new Error('No text extracted from image');
         }
 
+        const beverageType = options.beverageType || alcoholContentParser.inferBeverageType(fields.productClass);
+        const profile = getBeverageProfile(beverageType) || getBeverageProfile(DEFAULT_BEVERAGE_TYPE);
+        const context = { fields, beverageType };
+        const thresholds = options.thresholds || DEFAULT_MATCH_THRESHOLDS;
+        const thresholdFor = field => resolveThreshold(thresholds, field, beverageType);
+
         const results = [];
-        const text = extractedText.toLowerCase();
         const fieldEntries = Object.entries(fields).filter(([_, value]) => value); // Skip empty fields
         const totalFields = fieldEntries.length;
+        const totalSteps = totalFields + profile.checks.length;
 
         for (let i = 0; i < totalFields; i++) {
+            if (options.signal?.aborted) return results;
+
             const [fieldName, fieldValue] = fieldEntries[i];
             const searchValue = String(fieldValue).toLowerCase();
-            const match = TextVerifier.findBestMatch(searchValue, text);
+            const threshold = thresholdFor(fieldName);
+            const { match, variant, votes, source } = TextVerifier.findBestMatchAcrossSources(searchValue, sources, fieldName, context, threshold.pass);
             
             results.push({
                 field: fieldName,
                 input: fieldValue,
-                found: match.confidence > 0.7, // 70% threshold for match
+                ...TextVerifier.applyThreshold(match.confidence, threshold, match.review),
                 confidence: match.confidence,
-                bestMatch: match.word
+                bestMatch: match.word,
+                variant,
+                votes,
+                totalVariants: sources.length,
+                location: TextVerifier.locateMatch(match.word, source, match),
+                ...TextVerifier.labelImageOf(source),
+                ...(match.parsed && { parsed: match.parsed })
             });
 
             // Report progress
             if (progressCallback) {
-                progressCallback(Math.round(((i + 1) / totalFields) * 100));
+                progressCallback(Math.round(((i + 1) / totalSteps) * 100));
             }
 
             // Prevent UI blocking
             await new Promise(resolve => setTimeout(resolve, 50));
         }
 
+        if (options.signal?.aborted) return results;
+
+        // Label-level checks required by the beverage profile (e.g., government warning)
+        profile.checks.forEach((check, index) => {
+            results.push(TextVerifier.labelChecks[check](sources, thresholdFor(check)));
+            if (progressCallback) {
+                progressCallback(Math.round(((totalFields + index + 1) / totalSteps) * 100));
+            }
+        });
+
         return results;
     }
 
+    /**
+     * Decide a result's status from its confidence
+     * @param {number} confidence - Best match confidence (0-1)
+     * @param {Object} threshold - Applied threshold from resolveThreshold
+     * @param {string} reviewReason - Why a matcher wants a reviewer to confirm a match (optional)
+     * @returns {Object} { found, status, threshold, reviewReason } to spread into a result; only a match counts as found
+     */
+    static applyThreshold(confidence, threshold, reviewReason = null) {
+        let status = classifyMatch(confidence, threshold);
+        if (status === 'match' && reviewReason) status = 'review';
+        return {
+            found: status === 'match',
+            status,
+            threshold,
+            ...(status === 'review' && reviewReason && { reviewReason })
+        };
+    }
+
+    /**
+     * Vintage years must match exactly; a near miss ("2018" vs "2019") is a different vintage
+     * @param {string} value - Expected year
+     * @param {string} text - OCR text
+     * @returns {Object|null} Match result, or null if the label shows no year
+     */
+    static matchVintage(value, text) {
+        const years = text.match(/\b(19|20)\d{2}\b/g);
+        if (!years) return null;
+
+        const year = value.trim();
+        return years.includes(year)
+            ? { distance: 0, word: year, confidence: 1.0 }
+            : { distance: Infinity, word: years[0], confidence: 0 };
+    }
+
+    /**
+     * Look for the "Contains Sulfites" declaration required on wine labels (27 CFR 4.32(e))
+     * @param {Array<{name: string, text: string}>} sources - OCR text per variant
+     * @param {Object} threshold - Applied threshold (the default one if omitted)
+     * @returns {Object} Verification result row
+     */
+    static verifySulfiteDeclaration(sources, threshold = resolveThreshold(DEFAULT_MATCH_THRESHOLDS, 'sulfiteDeclaration')) {
+        const spellings = ['contains sulfites', 'contains sulphites'];
+        const { match, variant, votes, source } = spellings
+            .map(spelling => TextVerifier.findBestMatchAcrossSources(spelling, sources, 'sulfiteDeclaration', {}, threshold.pass))
+            .reduce((a, b) => (b.match.confidence > a.match.confidence ? b : a));
+
+        return {
+            field: 'sulfiteDeclaration',
+            input: 'CONTAINS SULFITES',
+            ...TextVerifier.applyThreshold(match.confidence, threshold),
+            confidence: match.confidence,
+            bestMatch: match.word,
+            variant,
+            votes,
+            totalVariants: sources.length,
+            location: TextVerifier.locateMatch(match.word, source, match),
+            ...TextVerifier.labelImageOf(source)
+        };
+    }
+
+    /**
+     * Check the government warning statement in every OCR source and keep the most complete one
+     * Uses the original capitalization, since "GOVERNMENT WARNING" must be in capitals
+     * @param {Array<{name: string, rawText: string}>} sources - OCR text per variant
+     * @returns {Object} Verification result row with per-clause findings
+     */
+    static verifyGovernmentWarning(sources) {
+        let best = null;
+        let votes = 0;
+
+        sources.forEach(source => {
+            const check = governmentWarningChecker.check(source.rawText);
+            if (check.found) votes++;
+            if (!best || check.confidence > best.check.confidence) {
+                best = { check, source };
+            }
+        });
+
+        const { check, source } = best;
+        return {
+            field: 'governmentWarning',
+            input: 'GOVERNMENT WARNING statement',
+            found: check.found,
+            status: check.found ? 'match' : 'mismatch',
+            confidence: check.confidence,
+            bestMatch: check.bestMatch,
+            variant: source.name,
+            votes,
+            totalVariants: sources.length,
+            location: TextVerifier.locateMatch(check.bestMatch, source),
+            ...TextVerifier.labelImageOf(source),
+            warning: { headerCapitalized: check.headerCapitalized, clauses: check.clauses }
+        };
+    }
+
+    /**
+     * Describe what is wrong with a government warning result
+     * @param {Object} warning - `warning` details from verifyGovernmentWarning
+     * @returns {Array<string>} One line per problem (HTML-safe: OCR words are escaped)
+     */
+    static describeWarningProblems(warning) {
+        const problems = [];
+        const quote = words => words.map(word => `"${escapeHtml(word)}"`).join(', ');
+
+        warning.clauses.forEach(clause => {
+            if (clause.status === 'missing') {
+                problems.push(`<strong>${clause.label}:</strong> not found`);
+                return;
+            }
+            if (clause.missing.length) problems.push(`<strong>${clause.label}:</strong> missing ${quote(clause.missing)}`);
+            if (clause.altered.length) {
+                problems.push(`<strong>${clause.label}:</strong> altered ${clause.altered.map(({ expected, found }) => `"${escapeHtml(found)}" (expected "${escapeHtml(expected)}")`).join(', ')}`);
+            }
+            if (clause.extra.length) problems.push(`<strong>${clause.label}:</strong> unexpected ${quote(clause.extra)}`);
+        });
+
+        if (!warning.headerCapitalized && warning.clauses[0].status !== 'missing') {
+            problems.push('<strong>GOVERNMENT WARNING:</strong> must appear in capital letters');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Match a value against every OCR source and keep the strongest evidence
+     * @param {string} searchValue - Lowercased value to search for
+     * @param {Array<{name: string, text: string}>} sources - Lowercased OCR text per variant
+     * @param {string} fieldName - Field being verified (selects a semantic matcher if one exists)
+     * @param {Object} context - All form values and the beverage type, for matchers that depend on them
+     * @param {number} pass - Confidence a variant needs to count as a vote
+     * @returns {Object} Best match, the variant it came from, and how many variants matched
+     */
+    static findBestMatchAcrossSources(searchValue, sources, fieldName, context = {}, pass = DEFAULT_MATCH_THRESHOLDS.pass) {
+        const fieldMatcher = TextVerifier.fieldMatchers[fieldName];
+        let best = null;
+        let votes = 0;
+
+        sources.forEach(source => {
+            const match = fieldMatcher?.(searchValue, source.text, context)
+                || TextVerifier.findBestMatch(searchValue, source.text);
+            if (match.confidence >= pass) votes++;
+            if (!best || match.confidence > best.match.confidence) {
+                best = { match, variant: source.name, source };
+            }
+        });
+
+        return { ...best, votes };
+    }
+
+    /**
+     * Offsets of the OCR words in their source's text, in reading order
+     * The text is the words joined by spaces, except where normalization joined neighbours ("40 o/o" became "40%");
+     * a word not found just after the previous one is left out rather than matched further on
+     * @param {Object} source - OCR source with text and words
+     * @returns {Array<{word: Object, start: number, end: number}>} Word and its span in source.text (end exclusive)
+     */
+    static wordSpans(source) {
+        const text = source.text.toLowerCase();
+        const spans = [];
+        let cursor = 0;
+        source.words.forEach(word => {
+            const wordText = word.text.toLowerCase();
+            const start = wordText ? text.indexOf(wordText, cursor) : -1;
+            // Only whitespace (or a dropped character) may sit between consecutive words
+            if (start === -1 || start - cursor > 2) return;
+            spans.push({ word, start, end: start + wordText.length });
+            cursor = start + wordText.length;
+        });
+        return spans;
+    }
+
+    /**
+     * Find where matched text sits on the image, using the OCR word boxes of its source
+     * With the match's offsets in the source text, the words overlapping them are used; otherwise (e.g. the
+     * government warning check) the match is compared against every run of the same number of OCR words
+     * @param {string} matchText - Matched text (from findBestMatch or a field matcher)
+     * @param {Object} source - OCR source with text, words, width and height
+     * @param {Object} span - { start, end } of the match in source.text, when the matcher returns them
+     * @returns {Object|null} Bounding box in source image pixels plus the image size, or null
+     */
+    static locateMatch(matchText, source, span = null) {
+        const words = source?.words;
+        if (!matchText || !words?.length || !source.width) return null;
+
+        let run = Number.isInteger(span?.start) && Number.isInteger(span?.end) && source.text
+            ? TextVerifier.wordSpans(source).filter(({ start, end }) => start < span.end && end > span.start).map(({ word }) => word)
+            : [];
+
+        if (run.length === 0) {
+            const target = matchText.toLowerCase().split(/\s+/).filter(Boolean).join(' ');
+            const size = Math.min(target.split(' ').length, words.length);
+            let best = null;
+
+            for (let i = 0; i + size <= words.length; i++) {
+                const candidate = words.slice(i, i + size);
+                const distance = levenshteinDistance(target, candidate.map(word => word.text.toLowerCase()).join(' '));
+                if (!best || distance < best.distance) best = { distance, run: candidate };
+                if (distance === 0) break;
+            }
+            run = best.run;
+        }
+
+        const boxes = run.map(word => word.bbox);
+        return {
+            x0: Math.min(...boxes.map(box => box.x0)),
+            y0: Math.min(...boxes.map(box => box.y0)),
+            x1: Math.max(...boxes.map(box => box.x1)),
+            y1: Math.max(...boxes.map(box => box.y1)),
+            width: source.width,
+            height: source.height
+        };
+    }
+
+    /**
+     * Which submitted label image (front, back...) an OCR source was read from
+     * @param {Object} source - OCR source
+     * @returns {Object} { labelImage: { index, tag, name } } to spread into a result, or {} if not tagged
+     */
+    static labelImageOf(source) {
+        return source?.labelImage ? { labelImage: source.labelImage } : {};
+    }
+
+    /**
+     * Describe the threshold a result was judged against, e.g. "Pass at 90%, review from 75% (field setting)"
+     * @param {Object} threshold - { pass, review, source } from resolveThreshold
+     * @returns {string} Description
+     */
+    static describeThreshold({ pass, review, source }) {
+        const percent = value => `${Math.round(value * 100)}%`;
+        return `Pass at ${percent(pass)}${review !== null ? `, review from ${percent(review)}` : ''} (${source} setting)`;
+    }
+
     /**
      * Display verification results in UI
      * @param {Array} results - Verification results to display
+     * @param {Array} qualityWarnings - Image quality warnings ({ message, advice, image }) that replace
+     *   the generic recommendation when fields fail
      */
-    displayResults(results) {
+    displayResults(results, qualityWarnings = []) {
         let container = document.getElementById('verificationResults');
         
         // Create container if it doesn't exist
@@ -133,8 +404,8 @@ class TextVerifier {
             document.querySelector('.preview-container')?.appendChild(container);
         }
 
-        // Count failed results
-        const failedCount = results.filter(result => !result.found).length;
+        // Count failed results (needs-review rows are not failures yet)
+        const failedCount = results.filter(result => !result.found && result.status !== 'review').length;
         
         // Build HTML (single DOM write for performance)
         const html = `
@@ -142,35 +413,59 @@ class TextVerifier {
             <div id="verificationList">
                 ${results.map(result => {
                     const confidence = (result.confidence * 100).toFixed(0);
-                    const status = result.found ? 'match' : 'mismatch';
+                    const status = result.status || (result.found ? 'match' : 'mismatch');
                     const label = result.field.replace(/([A-Z])/g, ' $1').trim();
                     
                     // Add explanation for failed results
                     let explanation = '';
-                    if (!result.found) {
+                    if (!result.found && result.warning) {
                         explanation = `
                             <div class="verification-explanation">
-                                <strong>Expected:</strong> "${result.input}"<br>
-                                <strong>Found in OCR:</strong> ${result.bestMatch ? `"${result.bestMatch}" (${confidence}% match)` : 'Not detected'}
+                                ${TextVerifier.describeWarningProblems(result.warning).join('<br>')}
                             </div>
                         `;
+                    } else if (!result.found) {
+                        explanation = `
+                            <div class="verification-explanation">
+                                ${result.reviewReason ? `<strong>Needs review:</strong> ${escapeHtml(result.reviewReason)}<br>` : ''}
+                                <strong>Expected:</strong> "${escapeHtml(result.input)}"<br>
+                                <strong>Found in OCR:</strong> ${result.bestMatch ? `"${escapeHtml(result.bestMatch)}" (${confidence}% match)` : 'Not detected'}
+                                ${result.parsed ? `<br><strong>Parsed:</strong> ${escapeHtml(result.parsed.summary)}` : ''}
+                                ${result.threshold ? `<br><strong>Threshold:</strong> ${TextVerifier.describeThreshold(result.threshold)}` : ''}
+                            </div>
+                        `;
+                    } else if (result.parsed) {
+                        explanation = `<div class="verification-parsed">${escapeHtml(result.parsed.summary)}</div>`;
                     }
                     
                     return `
-                        <div class="verification-item">
+                        <div class="verification-item${result.location ? ' has-location' : ''}" data-field="${result.field}">
                             <span class="verification-label">${label}</span>
                             <div class="verification-details">
-                                <span class="verification-confidence">${confidence}%</span>
+                                ${result.labelImage ? `<span class="verification-image" title="${escapeHtml(result.labelImage.name)}">${IMAGE_TAGS[result.labelImage.tag] || escapeHtml(result.labelImage.tag)}</span>` : ''}
+                                ${result.variant ? `<span class="verification-variant" title="${result.votes}/${result.totalVariants} variants matched">${escapeHtml(result.variant)}</span>` : ''}
+                                <span class="verification-confidence"${result.threshold ? ` title="${TextVerifier.describeThreshold(result.threshold)}"` : ''}>${confidence}%</span>
                                 <span class="verification-status status-${status}">
-                                    ${result.found ? 'Match' : 'Not Found'}
+                                    ${MATCH_STATUS_LABELS[status]}
                                 </span>
                             </div>
                         </div>
                         ${explanation}
+                        <div class="verification-review" data-field="${result.field}"></div>
                     `;
                 }).join('')}
             </div>
-            ${failedCount > 2 ? `
+            ${failedCount > 0 && qualityWarnings.length ? `
+                <div class="verification-recommendation">
+                    <strong>⚠️ Recommendation:</strong> ${failedCount} field(s) failed verification and the image quality check found problems
+                    that may explain it:
+                    <ul>
+                        ${qualityWarnings.map(warning => `
+                            <li>${warning.image ? `${escapeHtml(warning.image)}: ` : ''}${escapeHtml(warning.message)}. ${escapeHtml(warning.advice)}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            ` : failedCount > 2 ? `
                 <div class="verification-recommendation">
                     <strong>⚠️ Recommendation:</strong> Multiple fields failed verification. 
                     Please consider:
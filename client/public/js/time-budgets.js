@@ -0,0 +1,73 @@
+/**
+ * Time Budgets Module
+ * Per-stage time limits for a verification run, editable under "Time limits" and kept in localStorage
+ */
+
+export const DEFAULT_TIME_BUDGETS = {
+    preprocessingMs: 30000,
+    ocrConfigMs: 45000,
+    matchingMs: 15000
+};
+
+// Input id for each budget (values are shown in seconds)
+const INPUTS = {
+    preprocessingMs: 'budgetPreprocessing',
+    ocrConfigMs: 'budgetOcrConfig',
+    matchingMs: 'budgetMatching'
+};
+
+class TimeBudgets {
+    constructor() {
+        this.storageKey = 'ttbTimeBudgets';
+    }
+
+    /**
+     * Fill the inputs with the saved budgets and save on change
+     */
+    initialize() {
+        const budgets = this.get();
+
+        Object.entries(INPUTS).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+
+            input.value = budgets[key] / 1000;
+            input.addEventListener('change', () => {
+                const seconds = Number(input.value);
+                if (Number.isFinite(seconds) && seconds > 0) {
+                    this.save({ ...this.get(), [key]: Math.round(seconds * 1000) });
+                } else {
+                    input.value = this.get()[key] / 1000;
+                }
+            });
+        });
+    }
+
+    /**
+     * Current budgets in milliseconds (defaults for anything not saved)
+     * @returns {Object} { preprocessingMs, ocrConfigMs, matchingMs }
+     */
+    get() {
+        let saved = {};
+        try {
+            saved = JSON.parse(globalThis.localStorage?.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.warn('Ignoring unreadable time limits:', error);
+        }
+
+        return Object.fromEntries(Object.entries(DEFAULT_TIME_BUDGETS).map(([key, value]) => [
+            key,
+            Number.isFinite(saved[key]) && saved[key] > 0 ? saved[key] : value
+        ]));
+    }
+
+    /**
+     * Persist budgets
+     * @param {Object} budgets - Budgets in milliseconds
+     */
+    save(budgets) {
+        localStorage.setItem(this.storageKey, JSON.stringify(budgets));
+    }
+}
+
+export const timeBudgets = new TimeBudgets();
@@ -0,0 +1,302 @@
+/**
+ * Value Suggester Module
+ * Proposes form values from what OCR read on the label ("what does the label actually say"), with a confidence
+ * for each, and lets the reviewer copy them into the form
+ */
+
+import { alcoholContentParser } from './alcohol-content.js';
+import { netContentsParser } from './net-contents.js';
+import { addressParser } from './address.js';
+import { formValidator } from './form-validator.js';
+import { getBeverageProfile } from './beverage-profiles.js';
+import { escapeHtml } from './html.js';
+
+// Fields a label can answer, in form order
+export const SUGGESTED_FIELDS = ['brandName', 'productClass', 'alcoholContent', 'netContents', 'manufacturerName', 'manufacturerAddress'];
+
+// How often each extractor is right when every variant agrees: statements with a fixed shape (numbers and
+// units, "Bottled by") are reliable; the brand is only a guess at the most prominent line
+const RELIABILITY = {
+    brandName: 0.6,
+    productClass: 0.75,
+    alcoholContent: 0.95,
+    netContents: 0.95,
+    manufacturerName: 0.85,
+    manufacturerAddress: 0.85
+};
+
+// Class/type designations; a line ending in one (plus up to three words before it) is the class/type
+const CLASS_DESIGNATIONS = new RegExp(`\\b(${[
+    'whiske?y', 'bourbon', 'scotch', 'vodka', 'gin', 'rum', 'tequila', 'mezcal', 'brandy', 'cognac', 'armagnac',
+    'liqueur', 'cordial', 'schnapps', 'absinthe', 'moonshine',
+    'wine', 'champagne', 'chardonnay', 'cabernet sauvignon', 'merlot', 'pinot noir', 'pinot grigio', 'riesling',
+    'sauvignon blanc', 'zinfandel', 'syrah', 'muscat', 'ros[eé]', 'port', 'sherry', 'vermouth', 'cider', 'mead',
+    'ale', 'lager', 'beer', 'stout', 'porter', 'pilsner', 'ipa', 'hefeweizen', 'bock', 'saison', 'hard seltzer', 'malt liquor'
+].join('|')})\\b`, 'gi');
+
+// Boilerplate that is never the brand or class/type
+const BOILERPLATE = /government warning|surgeon general|pregnan|impairs your ability|health problems|contains sulfites/i;
+
+class ValueSuggester {
+    constructor() {
+        this.suggestions = null;
+        this.selected = new Set();
+        // "Bottled by ..." lines hold the name and address, never the brand or class/type
+        this.statementLine = new RegExp(addressParser.statementPattern.source, 'i');
+    }
+
+    /**
+     * Wire up the suggestions panel
+     */
+    initialize() {
+        const panel = document.getElementById('suggestionPanel');
+        panel?.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('.suggestion-use');
+            if (!checkbox) return;
+            if (checkbox.checked) this.selected.add(checkbox.dataset.field);
+            else this.selected.delete(checkbox.dataset.field);
+        });
+        panel?.addEventListener('click', (e) => {
+            if (e.target.id === 'suggestionFill') this.fill();
+            if (e.target.id === 'suggestionClose') this.close();
+        });
+    }
+
+    /**
+     * Propose a value for each field from every OCR variant: each variant votes, and the confidence is the
+     * share of variants that agree times how reliable that field's extractor is
+     * @param {Array<Object>} variants - OCR variants ({ text, confidence, words, labelImage })
+     * @returns {Object} Field id -> { value, confidence, votes, labelImage, alternatives } (null if nothing was found),
+     *   plus beverageType guessed from the class/type
+     */
+    suggest(variants) {
+        const candidates = Object.fromEntries(SUGGESTED_FIELDS.map(field => [field, []]));
+        variants.forEach(variant => {
+            Object.entries(this.extract(variant)).forEach(([field, value]) => {
+                if (value) candidates[field].push({ value, variant });
+            });
+        });
+
+        const suggestions = {};
+        SUGGESTED_FIELDS.forEach(field => {
+            suggestions[field] = ValueSuggester.vote(candidates[field], variants, RELIABILITY[field]);
+        });
+        suggestions.beverageType = suggestions.productClass
+            ? alcoholContentParser.inferBeverageType(suggestions.productClass.value)
+            : null;
+        return suggestions;
+    }
+
+    /**
+     * Pick the value most variants read
+     * @param {Array<{value: string, variant: Object}>} candidates - One value per variant that found one
+     * @param {Array<Object>} variants - All variants
+     * @param {number} reliability - Extractor reliability (0-1)
+     * @returns {Object|null} Suggestion, or null without candidates
+     */
+    static vote(candidates, variants, reliability) {
+        if (candidates.length === 0) return null;
+
+        const groups = new Map();
+        candidates.forEach(({ value, variant }) => {
+            const key = value.toLowerCase().replace(/[^a-z0-9.%]/g, '');
+            const group = groups.get(key) || { values: [], ocrConfidence: 0, variant };
+            group.values.push(value);
+            group.ocrConfidence += variant.confidence || 0;
+            groups.set(key, group);
+        });
+
+        const ranked = [...groups.values()].sort((a, b) => b.values.length - a.values.length || b.ocrConfidence - a.ocrConfidence);
+        const [best, ...others] = ranked;
+
+        // Agreement is counted among the variants of the images that mention the field at all
+        // (the address may be on the back label only)
+        const images = new Set(candidates.map(({ variant }) => variant.labelImage?.index ?? 0));
+        const considered = variants.filter(variant => images.has(variant.labelImage?.index ?? 0)).length;
+
+        return {
+            value: best.values[0],
+            confidence: Math.round((best.values.length / considered) * reliability * 100) / 100,
+            votes: best.values.length,
+            labelImage: best.variant.labelImage || null,
+            alternatives: others.map(group => group.values[0]).slice(0, 2)
+        };
+    }
+
+    /**
+     * Read every field from one OCR variant
+     * @param {Object} variant - OCR variant
+     * @returns {Object} Field id -> value as written on the label (null if not found)
+     */
+    extract(variant) {
+        const lines = ValueSuggester.toLines(variant);
+        const text = lines.map(line => line.text).join('\n');
+        const lower = text.toLowerCase();
+
+        const alcohol = alcoholContentParser.findStatements(lower).find(statement => statement.abvMin === statement.abvMax);
+        const netContents = netContentsParser.findStatements(lower)[0];
+        const statement = addressParser.findStatements(text)[0];
+        const productClass = this.findClass(lines);
+
+        // The brand is the most prominent line that isn't another field; without word boxes there is no telling
+        const claimed = [alcohol?.text, netContents?.text, statement?.name, productClass?.value].filter(Boolean).map(value => value.toLowerCase());
+        const brand = variant.words?.length && lines
+            .filter(line => /[a-z]{3}/i.test(line.text) && !BOILERPLATE.test(line.text) && !this.statementLine.test(line.text))
+            .filter(line => !claimed.some(value => line.text.toLowerCase().includes(value) || value.includes(line.text.toLowerCase())))
+            .sort((a, b) => b.height - a.height)[0];
+
+        return {
+            brandName: brand ? ValueSuggester.clean(brand.text) : null,
+            productClass: productClass?.value || null,
+            alcoholContent: alcohol
+                ? (alcohol.unit === 'proof' ? `${alcohol.abvMin * 2} proof` : `${alcohol.abvMin}%`)
+                : null,
+            netContents: netContents ? `${netContents.quantity} ${netContents.unit}` : null,
+            manufacturerName: statement ? ValueSuggester.clean(statement.name) : null,
+            manufacturerAddress: statement?.address || null
+        };
+    }
+
+    /**
+     * Find the class/type designation: the most prominent line with a designation, cut at the designation
+     * @param {Array<{text: string, height: number}>} lines - Label lines
+     * @returns {{value: string, line: Object}|null} Designation as written
+     */
+    findClass(lines) {
+        const found = [];
+        lines.forEach(line => {
+            // Only the part before any warning or "Bottled by" statement on the same line
+            const text = line.text.split(BOILERPLATE)[0].split(this.statementLine)[0];
+            const designations = [...text.matchAll(CLASS_DESIGNATIONS)];
+            const last = designations[designations.length - 1];
+            if (!last) return;
+
+            // Up to three plain words before it ("Kentucky Straight Bourbon Whiskey", "Orange Muscat")
+            const before = text.slice(0, last.index).trim().split(/\s+/).filter(Boolean);
+            const modifiers = [];
+            while (before.length && modifiers.length < 3 && /^[a-zà-ÿ'-]+$/i.test(before[before.length - 1])) {
+                modifiers.unshift(before.pop());
+            }
+            found.push({ value: ValueSuggester.clean([...modifiers, last[0]].join(' ')), line });
+        });
+        return found.sort((a, b) => b.line.height - a.line.height)[0] || null;
+    }
+
+    /**
+     * Split a variant into lines using its word boxes (a new line starts when a word is not level with the last
+     * one or starts left of it); without word boxes the whole text is one line
+     * @param {Object} variant - OCR variant
+     * @returns {Array<{text: string, height: number}>} Lines with their median word height in pixels
+     */
+    static toLines({ text = '', words = [] }) {
+        if (words.length === 0) return [{ text, height: 0 }];
+
+        const lines = [];
+        let current = null;
+        words.forEach(word => {
+            const middle = (word.bbox.y0 + word.bbox.y1) / 2;
+            const previous = current?.words[current.words.length - 1];
+            if (!previous || middle < previous.bbox.y0 || middle > previous.bbox.y1 || word.bbox.x0 < previous.bbox.x0) {
+                current = { words: [] };
+                lines.push(current);
+            }
+            current.words.push(word);
+        });
+
+        return lines.map(line => {
+            const heights = line.words.map(word => word.bbox.y1 - word.bbox.y0).sort((a, b) => a - b);
+            return {
+                text: line.words.map(word => word.text).join(' '),
+                height: heights[Math.floor(heights.length / 2)]
+            };
+        });
+    }
+
+    /**
+     * @param {string} value - Text read from the label
+     * @returns {string} Text without stray punctuation at either end
+     */
+    static clean(value) {
+        return value.replace(/^[^a-z0-9à-ÿ]+|[^a-z0-9à-ÿ.)]+$/gi, '').replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Show suggestions next to the current form values
+     * @param {Object} suggestions - From suggest()
+     * @param {Object} options - { title, selectFields }: fields ticked for filling (default: every field with a value)
+     */
+    show(suggestions, { title = 'Suggested values', selectFields = null } = {}) {
+        const panel = document.getElementById('suggestionPanel');
+        if (!panel) return;
+
+        this.suggestions = suggestions;
+        this.selected = new Set(SUGGESTED_FIELDS.filter(field => suggestions[field] && (!selectFields || selectFields.includes(field))));
+        const label = field => field.replace(/([A-Z])/g, ' $1').trim();
+        const profile = suggestions.beverageType ? getBeverageProfile(suggestions.beverageType) : null;
+
+        panel.innerHTML = `
+            <div class="suggestion-title"><strong>${escapeHtml(title)}</strong> (read from the label; check before using)</div>
+            <table class="suggestion-table">
+                <thead><tr><th></th><th>Field</th><th>On the label</th><th>Confidence</th><th>In the form</th></tr></thead>
+                <tbody>
+                    ${SUGGESTED_FIELDS.map(field => {
+                        const suggestion = suggestions[field];
+                        const current = document.getElementById(field)?.value || '';
+                        return `
+                            <tr class="${suggestion ? '' : 'suggestion-missing'}">
+                                <td>${suggestion ? `<input type="checkbox" class="suggestion-use" data-field="${field}" aria-label="Use for ${label(field)}"${this.selected.has(field) ? ' checked' : ''}>` : ''}</td>
+                                <td>${label(field)}</td>
+                                <td>
+                                    ${suggestion ? escapeHtml(suggestion.value) : 'Not found'}
+                                    ${suggestion?.alternatives.length ? `<div class="suggestion-alternatives">Also read: ${suggestion.alternatives.map(escapeHtml).join(', ')}</div>` : ''}
+                                </td>
+                                <td class="suggestion-confidence">${suggestion ? `${Math.round(suggestion.confidence * 100)}%` : ''}</td>
+                                <td>${escapeHtml(current)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            ${profile ? `<div class="suggestion-type">Class/type suggests <strong>${escapeHtml(profile.label)}</strong>; filling the class/type selects it</div>` : ''}
+            <div class="suggestion-actions">
+                <button type="button" id="suggestionFill" class="button">Fill Form</button>
+                <button type="button" id="suggestionClose" class="button button-secondary">Close</button>
+            </div>
+        `;
+        panel.style.display = 'block';
+    }
+
+    /**
+     * Copy the ticked suggestions into the form
+     */
+    fill() {
+        if (!this.suggestions) return;
+
+        const beverageType = this.suggestions.beverageType;
+        if (this.selected.has('productClass') && beverageType) {
+            const select = document.getElementById('beverageType');
+            if (select) select.value = beverageType;
+            formValidator.applyProfile(beverageType);
+        }
+
+        this.selected.forEach(field => {
+            const input = document.getElementById(field);
+            if (input) input.value = this.suggestions[field].value;
+        });
+        this.close();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        const panel = document.getElementById('suggestionPanel');
+        if (panel) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+        }
+        this.suggestions = null;
+    }
+}
+
+export const valueSuggester = new ValueSuggester();
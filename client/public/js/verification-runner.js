@@ -0,0 +1,298 @@
+/**
+ * Verification Runner Module
+ * Runs the preprocessing -> OCR -> verification pipeline for one label and presents the outcome
+ * (shared by the single-label form and batch mode)
+ */
+
+import { imageProcessor } from './image-processor.js';
+import { ocrProcessor } from './ocr.js';
+import { textVerifier } from './text-verifier.js';
+import { labelImages } from './label-images.js';
+import { reviewOverrides } from './review-overrides.js';
+import { timeBudgets } from './time-budgets.js';
+import { matchThresholds } from './match-thresholds.js';
+import { abortable, isStopped, stageSignal } from './cancellation.js';
+import { escapeHtml } from './html.js';
+import { IMAGE_TAGS } from './image-tags.js';
+
+class VerificationRunner {
+    /**
+     * Verify one product from its label images (front, back, neck...)
+     * Each image is straightened and OCR'd on its own; fields are then matched against the text of all of them,
+     * and each result records the image it was found on (labelImage: { index, tag, name })
+     * A run that is cancelled or runs past a stage's time budget resolves with whatever finished
+     * and an `incomplete` description ({ reason: 'timeout' | 'cancelled', stage, message }) instead of rejecting
+     * @param {Array<{element: HTMLImageElement, name: string, tag: string}>} images - Loaded label images
+     * @param {Object|null} fields - Expected values keyed by field id; null only reads the labels (no matching),
+     *   e.g. to suggest values
+     * @param {string} beverageType - Beverage profile
+     * @param {Function} progressCallback - Called with (percent, message)
+     * @param {Object} options - { signal, budgets, thresholds }; budgets default to the saved time limits,
+     *   thresholds to the match thresholds loaded from the server
+     * @returns {Promise<Object>} { ocrResult, results, timings, incomplete, images }, with stage durations in
+     *   milliseconds and, per image, the straightened canvas that was OCR'd, its geometry corrections and quality check
+     */
+    async run(images, fields, beverageType, progressCallback = () => {}, { signal, budgets = timeBudgets.get(), thresholds = matchThresholds.get() } = {}) {
+        const started = performance.now();
+        const elapsed = since => Math.round(performance.now() - since);
+        const timings = { preprocessingMs: 0, ocrMs: 0, verificationMs: 0, totalMs: 0 };
+        const sources = images.map(({ name, tag }, index) => ({ index, tag, name }));
+        const processed = images.map(() => ({ corrected: null, geometry: null, quality: null }));
+        const count = images.length;
+        const prefix = index => (count > 1 ? `Image ${index + 1}/${count}: ` : '');
+        let ocrResult = null;
+        let results = [];
+        let incomplete = null;
+        let current = 'Preprocessing';
+        let stage = performance.now();
+
+        try {
+            // Step 1: Straighten each label (orientation, perspective, skew) and process it with OpenCV
+            const variantsPerImage = [];
+            try {
+                for (let i = 0; i < count; i++) {
+                    progressCallback(5 + Math.round((i / count) * 35), `${prefix(i)}Detecting orientation...`);
+                    const { variants, corrected, geometry, quality } = await this.straighten(images[i].element, budgets, signal, () => {
+                        progressCallback(5 + Math.round(((i + 0.5) / count) * 35), `${prefix(i)}Processing image...`);
+                    });
+                    processed[i] = { corrected, geometry, quality };
+                    variantsPerImage.push(variants.map(variant => ({ ...variant, labelImage: sources[i] })));
+                }
+            } finally {
+                timings.preprocessingMs = elapsed(stage);
+            }
+
+            // Step 2: Perform OCR on each variant of each image
+            progressCallback(40, 'Running OCR... 0%');
+            current = 'OCR';
+            stage = performance.now();
+            const perImage = [];
+            const failed = [];
+            try {
+                for (let i = 0; i < count; i++) {
+                    try {
+                        const result = await ocrProcessor.processVariants(variantsPerImage[i], (progress) => {
+                            const percent = Math.round(((i + progress / 100) / count) * 100);
+                            progressCallback(40 + Math.round(percent * 0.3), `${prefix(i)}Running OCR... ${progress}%`);
+                        }, { signal, configTimeoutMs: budgets.ocrConfigMs });
+                        perImage.push({ labelImage: sources[i], result });
+                    } catch (error) {
+                        // One unreadable image shouldn't stop the others from being checked
+                        if (signal?.aborted) throw signal.reason;
+                        console.warn(`OCR failed for ${sources[i].name}:`, error);
+                        failed.push({ labelImage: sources[i], error });
+                    }
+                }
+            } finally {
+                timings.ocrMs = elapsed(stage);
+            }
+            if (perImage.length === 0) throw failed[0].error;
+
+            ocrResult = ocrProcessor.combineResults(perImage);
+            const timedOutImages = failed.filter(({ error }) => error.reason === 'timeout').map(({ labelImage }) => labelImage.name);
+            if (ocrResult.timedOut.length || timedOutImages.length) {
+                incomplete = {
+                    reason: 'timeout',
+                    stage: 'OCR',
+                    message: timedOutImages.length
+                        ? `OCR timed out on ${timedOutImages.join(', ')}; results use the other image(s)`
+                        : `OCR timed out for ${ocrResult.timedOut.length} variant/config run(s); results use the text read by the others`
+                };
+            }
+
+            // Step 3: Verify text against every variant of every image
+            if (fields) {
+                progressCallback(70, 'Verifying text...');
+                current = 'Matching';
+                stage = performance.now();
+                const matching = stageSignal(signal, budgets.matchingMs, 'Matching');
+                try {
+                    results = await textVerifier.verifyText(
+                        ocrResult.variants,
+                        fields,
+                        (progress) => {
+                            progressCallback(70 + Math.round(progress * 0.3), `Verifying... ${progress}%`);
+                        },
+                        { beverageType, thresholds, signal: matching.signal }
+                    );
+                    // Fields matched before the signal fired are kept
+                    if (matching.signal.aborted) throw matching.signal.reason;
+                } finally {
+                    matching.dispose();
+                    timings.verificationMs = elapsed(stage);
+                }
+            }
+
+            progressCallback(100, 'Done!');
+        } catch (error) {
+            if (!isStopped(error)) throw error;
+
+            incomplete = { reason: error.reason, stage: error.stage || current, message: error.message };
+            progressCallback(100, error.reason === 'cancelled' ? 'Cancelled' : 'Timed out');
+        }
+
+        timings.totalMs = elapsed(started);
+        return {
+            ocrResult,
+            results,
+            timings,
+            incomplete,
+            images: sources.map(({ name, tag }, index) => ({ name, tag, ...processed[index] }))
+        };
+    }
+
+    /**
+     * Detect orientation, then straighten and preprocess one image within the preprocessing budget
+     * @param {HTMLImageElement} imageElement - Loaded label image
+     * @param {Object} budgets - Time limits
+     * @param {AbortSignal} signal - Run signal
+     * @param {Function} onOrientation - Called once orientation is known
+     * @returns {Promise<Object>} { variants, corrected, geometry, quality } from ImageProcessor.processImage
+     */
+    async straighten(imageElement, budgets, signal, onOrientation) {
+        const preprocessing = stageSignal(signal, budgets.preprocessingMs, 'Preprocessing');
+        try {
+            const work = async () => {
+                const orientation = await ocrProcessor.detectOrientation(imageElement);
+                preprocessing.signal.throwIfAborted();
+                onOrientation();
+                const processed = await imageProcessor.processImage(imageElement, { rotation: orientation.degrees });
+                return { ...processed, geometry: { ...processed.geometry, orientationConfidence: orientation.confidence } };
+            };
+            return await abortable(work(), preprocessing.signal, () => {
+                ocrProcessor.cancelOrientation();
+                imageProcessor.cancel();
+            });
+        } finally {
+            preprocessing.dispose();
+        }
+    }
+
+    /**
+     * Show results in the panel and where each field was found on the label images
+     * @param {Array} results - Verification results
+     * @param {Object} details - Optional { timings, incomplete, fields, images } from run()
+     */
+    display(results, { timings, incomplete, fields = {}, images = [] } = {}) {
+        textVerifier.displayResults(results, VerificationRunner.qualityWarnings(images));
+        labelImages.showResults(results, images);
+        if (incomplete) this.showIncomplete(incomplete, fields, results);
+        if (timings) this.showTimings(timings);
+    }
+
+    /**
+     * Quality warnings of every image in a run, named by tag when there are several
+     * @param {Array} images - Per-image details from run()
+     * @returns {Array<Object>} { check, message, advice, image }
+     */
+    static qualityWarnings(images) {
+        return images.flatMap(({ tag, quality }) => (quality?.warnings || []).map(warning => ({
+            ...warning,
+            image: images.length > 1 ? `${IMAGE_TAGS[tag] || tag} label` : null
+        })));
+    }
+
+    /**
+     * Explain above the results why the run stopped early and which fields were not checked
+     * @param {Object} incomplete - { reason, stage, message } from run()
+     * @param {Object} fields - Expected values keyed by field id
+     * @param {Array} results - Results that did finish
+     */
+    showIncomplete({ reason, message }, fields, results) {
+        const label = field => field.replace(/([A-Z])/g, ' $1').trim();
+        const notChecked = Object.keys(fields).filter(field => fields[field] && !results.some(result => result.field === field));
+
+        document.getElementById('verificationList')?.insertAdjacentHTML('beforebegin', `
+            <div class="verification-incomplete verification-${reason}">
+                <strong>${reason === 'cancelled' ? 'Cancelled' : 'Timed out'}:</strong> ${escapeHtml(message)}
+                ${notChecked.length ? `<br>Not checked: ${notChecked.map(label).join(', ')}` : ''}
+            </div>
+        `);
+    }
+
+    /**
+     * Add a one-line breakdown of where the time went under the results
+     * @param {Object} timings - Stage durations in milliseconds
+     */
+    showTimings({ preprocessingMs, ocrMs, verificationMs, totalMs }) {
+        const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+        document.getElementById('verificationList')?.insertAdjacentHTML('afterend', `
+            <div class="verification-timings">
+                Preprocessing ${seconds(preprocessingMs)} · OCR ${seconds(ocrMs)} ·
+                Verification ${seconds(verificationMs)} · Total ${seconds(totalMs)}
+            </div>
+        `);
+    }
+
+    /**
+     * Enable reviewer overrides and report downloads once a run has been logged
+     * @param {string|null} logId - Log entry id
+     * @param {Array} results - Verification results
+     */
+    attachLog(logId, results) {
+        reviewOverrides.attach(logId, results);
+        this.showReportActions(logId);
+    }
+
+    /**
+     * Add "Download report" links for a logged run to the results panel
+     * @param {string|null} logId - Log entry id (no links if the run was not logged)
+     */
+    showReportActions(logId) {
+        const list = document.getElementById('verificationList');
+        if (!list || !logId) return;
+
+        const base = `/api/verification-logs/${encodeURIComponent(logId)}/report`;
+        list.insertAdjacentHTML('afterend', `
+            <div class="report-actions">
+                <strong>Download report:</strong>
+                <a href="${base}?format=html" download>HTML</a>
+                <a href="${base}?format=pdf" download>PDF</a>
+                <a href="${base}?format=csv" download>CSV</a>
+            </div>
+        `);
+    }
+
+    /**
+     * Log results to server
+     * @param {Array<{name: string, tag: string, dataUrl: string, geometry: Object, quality: Object}>} images - Label images
+     *   as data URLs (kept on the server for reports) with their tags, geometry corrections and quality check
+     * @param {Object} timings - Stage durations from run()
+     * @param {Object} incomplete - Why the run stopped early, if it did
+     * @returns {Promise<string|null>} Id of the log entry, or null if logging failed
+     */
+    async log(imageName, beverageType, fields, ocrResult, results, images, timings, incomplete = null) {
+        try {
+            const response = await fetch('/api/log-verification', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    imageName,
+                    beverageType,
+                    fields,
+                    ocrText: ocrResult?.text || '',
+                    ocrVariants: (ocrResult?.variants || []).map(({ name, config, text, confidence, durationMs, labelImage }) => ({ name, config, text, confidence, durationMs, labelImage })),
+                    results,
+                    timings,
+                    ...(incomplete && { incomplete }),
+                    images: images.map(({ name, tag, dataUrl, geometry, quality }) => ({
+                        name,
+                        tag,
+                        ...(geometry && { geometry }),
+                        ...(quality && { quality }),
+                        imageData: dataUrl
+                    })),
+                    timestamp: new Date().toISOString()
+                })
+            });
+            const body = await response.json();
+            return body.id || null;
+        } catch (error) {
+            console.error('Logging failed:', error);
+            // Don't throw - logging failure shouldn't break the app
+            return null;
+        }
+    }
+}
+
+export const verificationRunner = new VerificationRunner();
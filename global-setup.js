@@ -0,0 +1,26 @@
+const { request } = require('@playwright/test');
+const path = require('path');
+
+// Session cookie every test starts with (see `storageState` in playwright.config.js)
+const STORAGE_STATE = path.join(__dirname, 'playwright', '.auth', 'admin.json');
+
+async function globalSetup() {
+  // The same variables the server uses to create its first admin account
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    throw new Error('Set ADMIN_PASSWORD (and ADMIN_USERNAME if it is not "admin") to the admin account the tests sign in as');
+  }
+
+  const context = await request.newContext({ baseURL: 'http://localhost:3001' });
+  const response = await context.post('/api/login', { data: { username, password } });
+  if (!response.ok()) {
+    throw new Error(`Signing in as "${username}" failed: ${(await response.json()).message}`);
+  }
+
+  await context.storageState({ path: STORAGE_STATE });
+  await context.dispose();
+}
+
+module.exports = globalSetup;
+module.exports.STORAGE_STATE = STORAGE_STATE;
@@ -1,4 +1,5 @@
 const { defineConfig } = require('@playwright/test');
+const { STORAGE_STATE } = require('./global-setup');
 
 module.exports = defineConfig({
   // Run all tests in parallel
@@ -15,6 +16,7 @@ module.exports = defineConfig({
     },
     trace: 'retain-on-failure',
     viewport: { width: 1200, height: 800 },  // Wider browser windows
+    storageState: STORAGE_STATE,  // Signed in as the admin (global-setup.js)
   },
   // Only create output directories for failed tests
   testDir: '.',
@@ -24,6 +26,12 @@ module.exports = defineConfig({
     ['./custom-reporter.js'],
     ['list']
   ],
-  // Global teardown to remove .last-run.json after tests complete
+  // Tests tagged @server-settings change settings every verification reads, so they run first and alone
+  projects: [
+    { name: 'server-settings', grep: /@server-settings/, fullyParallel: false },
+    { name: 'tests', grepInvert: /@server-settings/, dependencies: ['server-settings'] }
+  ],
+  // Global setup signs in once; global teardown removes .last-run.json after tests complete
+  globalSetup: './global-setup.js',
   globalTeardown: './global-teardown.js',
 });
@@ -1,73 +1,24 @@
 const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
 
-// Test images in the test-files directory
-const testImages = [
-  {
-    file: 'brand-label-ABC.jpg',
-    good: {
-      brandName: 'ABC',
-      productClass: 'STRAIGHT RYE WHISKY',
-      alcoholContent: '45%',
-      netContents: '750 ML',
-      manufacturerName: 'ABC DISTILLERY',
-      manufacturerAddress: 'FREDERICK, MD'
-    }
-  },
-  {
-    file: 'malt-beverage-alcohol-content-1.png',
-    good: {
-      brandName: 'Honey Huckleberry Pie',
-      productClass: 'ALE',
-      alcoholContent: '5%',
-      netContents: '1 PINT',
-      manufacturerName: 'Malt & Hop',
-      manufacturerAddress: 'Hyattsville, MD'
-    }
-  },
-  {
-    file: 'malt-beverage-alcohol-content-4.png',
-    good: {
-      brandName: 'HOPTASTIC',
-      productClass: 'PALE ALE',
-      alcoholContent: '5%',
-      netContents: '1 PINT',
-      manufacturerName: 'Malt & Hop',
-      manufacturerAddress: 'Hyattsville, MD'
-    }
-  },
-  {
-    file: 'r1y4srfxyxq5gvbevd6qhvh5aj_image.jpg',
-    good: {
-      brandName: 'CASK & CANE',
-      productClass: 'RUM',
-      alcoholContent: '80',
-      netContents: '750 mL',
-      manufacturerName: 'KCS BEVERAGE Company',
-      manufacturerAddress: 'Durham, NC'
-    }
-  },
-  {
-    file: 'winelabel-example-600x480.webp',
-    good: {
-      brandName: 'Last Draw Vineyards',
-      productClass: 'Orange Muscat',
-      alcoholContent: '13.68%',
-      netContents: '375 mL',
-      manufacturerName: 'Hawk\'s Shadow Estate Winery',
-      manufacturerAddress: 'Dripping Springs, Texas'
-    }
+// Test images in the test-files directory with their good values, and bad placeholder values (should not match).
+// Shared with the accuracy benchmark (server/scripts/benchmark.js)
+const { images: testImages, badValues } = require('./server/test-files/ground-truth.json');
+
+// Client modules that need no browser APIs are imported directly for matcher tests
+const importClient = name => import(pathToFileURL(path.join(__dirname, 'client', 'public', 'js', name)).href);
+
+// OpenCV for the image modules, loaded the way the server pipeline loads it.
+// The module object is a thenable, so it is only reached through the global, never returned from an async function
+async function loadOpenCv() {
+  const cv = require('./server/node_modules/@techstark/opencv-js');
+  if (!cv.Mat) {
+    await new Promise(resolve => { cv.onRuntimeInitialized = resolve; });
   }
-];
-
-// Bad placeholder values (should not match)
-const badValues = {
-  brandName: 'Wrong Brand',
-  productClass: 'Invalid Product Type',
-  alcoholContent: '99%',
-  netContents: '1000 mL',
-  manufacturerName: 'Wrong Company',
-  manufacturerAddress: 'Wrong Address'
-};
+  globalThis.cv = cv;
+}
 
 // Test each image with both good and bad values
 testImages.forEach((testImage) => {
@@ -103,7 +54,7 @@ testImages.forEach((testImage) => {
     
     // Verify all verification items are present
     const verificationItems = page.locator('.verification-item');
-    await expect(verificationItems).toHaveCount(6); // 6 required fields
+    await expect(verificationItems).toHaveCount(7); // 6 required fields + government warning
     
     // Close the page
     await page.close();
@@ -142,15 +93,927 @@ testImages.forEach((testImage) => {
     
     // Verify all verification items are present
     const verificationItems = page.locator('.verification-item');
-    await expect(verificationItems).toHaveCount(6); // 6 required fields
+    await expect(verificationItems).toHaveCount(7); // 6 required fields + government warning
     
     // Verify that most fields show low confidence (bad values)
     const notFoundStatuses = page.locator('.status-mismatch');
     const notFoundCount = await notFoundStatuses.count();
-    expect(notFoundCount).toBeGreaterThan(3); // At least 4 out of 6 should not match
+    expect(notFoundCount).toBeGreaterThan(3); // At least 4 out of 6 fields should not match
     
     // Close the page
     await page.close();
     await context.close();
   });
 });
+
+test('Beverage type switches the form profile', async ({ page }) => {
+  await page.goto('http://localhost:3001/');
+
+  // Distilled spirits (default) shows proof but not wine fields
+  await expect(page.locator('#proof')).toBeVisible();
+  await expect(page.locator('#vintage')).toBeHidden();
+
+  await page.selectOption('#beverageType', 'wine');
+  await expect(page.locator('#appellation')).toBeVisible();
+  await expect(page.locator('#vintage')).toBeVisible();
+  await expect(page.locator('#proof')).toBeHidden();
+
+  // Malt beverages do not require an alcohol statement
+  await page.selectOption('#beverageType', 'maltBeverage');
+  await expect(page.locator('#alcoholContent')).not.toHaveAttribute('required', '');
+});
+
+test('Variant voting - Each field keeps its best match across OCR variants', async () => {
+  const { textVerifier } = await importClient('text-verifier.js');
+  const sources = [
+    { name: 'Basic OTSU', text: '8l4ck 5t0n3 d15t1llery' },
+    { name: 'CLAHE', text: 'black stone distillery 750 ml' },
+    { name: 'Adaptive Gaussian', text: 'black stone' }
+  ];
+  const results = await textVerifier.verifyText(sources, { brandName: 'Black Stone', netContents: '750 mL' }, null, { beverageType: 'distilledSpirits' });
+  const result = field => results.find(entry => entry.field === field);
+
+  // Two variants read the brand well enough to vote for it; the garbled one doesn't
+  expect(result('brandName')).toMatchObject({ status: 'match', confidence: 1, bestMatch: 'black stone', variant: 'CLAHE', votes: 2, totalVariants: 3 });
+  // Only one variant has the net contents at all, and that is enough
+  expect(result('netContents')).toMatchObject({ status: 'match', variant: 'CLAHE', votes: 1 });
+
+  await expect(textVerifier.verifyText([{ name: 'Basic OTSU', text: '' }], { brandName: 'ABC' })).rejects.toThrow('No text extracted');
+});
+
+test('Phrase matching - Split and merged words, line breaks and spans', async () => {
+  const { alignPhrase } = await importClient('match-scoring.js');
+  const span = (phrase, text) => {
+    const alignment = alignPhrase(phrase, text);
+    return { ...alignment, text: text.slice(alignment.start, alignment.end) };
+  };
+
+  // Spaces cost nothing, so a word OCR split or merged still matches exactly
+  expect(span('ABC Distillery', 'bottled by abcdistillery inc')).toMatchObject({ distance: 0, confidence: 1, text: 'abcdistillery' });
+  expect(span('Blackstone', 'black stone bourbon')).toMatchObject({ distance: 0, confidence: 1, text: 'black stone' });
+
+  // A phrase broken across lines is one span
+  expect(span('Old Tom Distillery', 'made by old tom\ndistillery, louisville ky')).toMatchObject({ distance: 0, text: 'old tom\ndistillery' });
+
+  // Offsets are in the original text and the span is as tight as the edits allow
+  expect(span('whiskey', 'fine whisky 750 ml')).toMatchObject({ distance: 1, start: 5, end: 11, text: 'whisky' });
+  expect(span('4.5%', 'alc 45% vol').distance).toBe(1);
+
+  expect(alignPhrase('...', 'abc')).toBeNull();
+});
+
+test('Match locations - Word boxes are kept and each field reports where it was found', async () => {
+  const { ocrProcessor } = await importClient('ocr.js');
+  const { textVerifier } = await importClient('text-verifier.js');
+  const word = (text, x0, y0, x1, y1) => ({ text, confidence: 90, bbox: { x0, y0, x1, y1 } });
+  const words = ocrProcessor.extractWords({
+    words: [word('OLD', 10, 20, 50, 40), word('TOM', 60, 20, 100, 42), word(' ', 105, 20, 106, 42), word('750ml', 10, 100, 70, 120)]
+  });
+  expect(words.map(entry => entry.text)).toEqual(['OLD', 'TOM', '750ml']);
+
+  const source = { name: 'CLAHE', text: 'OLD TOM 750ml', words, width: 200, height: 150 };
+  const results = await textVerifier.verifyText([source], { brandName: 'Old Tom', netContents: '750 mL' }, null, { beverageType: 'distilledSpirits' });
+  const location = field => results.find(result => result.field === field).location;
+
+  // A match over several words gets the box around all of them, in the OCR'd image's pixels
+  expect(location('brandName')).toEqual({ x0: 10, y0: 20, x1: 100, y1: 42, width: 200, height: 150 });
+  expect(location('netContents')).toEqual({ x0: 10, y0: 100, x1: 70, y1: 120, width: 200, height: 150 });
+  // Nothing to point at when the warning isn't there
+  expect(location('governmentWarning')).toBeNull();
+});
+
+test('Match highlighting - Uses the matched span, not the first similar words', async () => {
+  const { textVerifier } = await importClient('text-verifier.js');
+  const TextVerifier = textVerifier.constructor;
+  const box = (x0, text) => ({ text, bbox: { x0, y0: 0, x1: x0 + 10, y1: 10 } });
+  const source = {
+    text: 'abc gin abc distillery',
+    words: [box(0, 'abc'), box(20, 'gin'), box(40, 'abc'), box(60, 'distillery')],
+    width: 100,
+    height: 20
+  };
+
+  // The second "abc" (offsets 8-11), not the first one with the same text
+  expect(TextVerifier.locateMatch('abc', source, { start: 8, end: 11 })).toMatchObject({ x0: 40, x1: 50 });
+  const match = TextVerifier.findBestMatch('abc distilery', source.text);
+  expect(TextVerifier.locateMatch(match.word, source, match)).toMatchObject({ x0: 40, x1: 70 });
+
+  // Without offsets the words are compared by text
+  expect(TextVerifier.locateMatch('gin', source)).toMatchObject({ x0: 20, x1: 30 });
+});
+
+test('OCR workers - Workers are reused across jobs and never exceed the pool size', async () => {
+  const { OcrWorkerPool } = await importClient('ocr-worker-pool.js');
+  const previous = globalThis.Tesseract;
+  const created = [];
+  let running = 0;
+  let mostRunning = 0;
+  globalThis.Tesseract = {
+    createWorker: async (language, oem) => {
+      const worker = {
+        oem,
+        terminated: false,
+        setParameters: async () => {},
+        recognize: async (image) => {
+          mostRunning = Math.max(mostRunning, ++running);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          running--;
+          return { data: { text: `${image} (oem ${oem})` } };
+        },
+        terminate: async () => { worker.terminated = true; }
+      };
+      created.push(worker);
+      return worker;
+    }
+  };
+
+  try {
+    const pool = new OcrWorkerPool({ size: 2 });
+    const results = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(image => pool.recognize(1, {}, image)));
+    expect(results.map(result => result.data.text)).toEqual(['a (oem 1)', 'b (oem 1)', 'c (oem 1)', 'd (oem 1)', 'e (oem 1)']);
+    // Language data is loaded once per worker, not once per job
+    expect(created).toHaveLength(2);
+    expect(mostRunning).toBe(2);
+
+    // Another engine mode takes over an idle worker's slot instead of growing the pool
+    await pool.recognize(0, {}, 'f');
+    expect(created).toHaveLength(3);
+    expect(created.filter(worker => worker.terminated)).toHaveLength(1);
+    expect(pool.workers.length).toBeLessThanOrEqual(2);
+  } finally {
+    globalThis.Tesseract = previous;
+  }
+});
+
+test('OCR workers - A worker that fails to load its language data rejects instead of hanging', async () => {
+  const { OcrWorkerPool } = await importClient('ocr-worker-pool.js');
+  const previous = globalThis.Tesseract;
+  let created = 0;
+  // Like tesseract.js 5 when the language data can't be downloaded: errorHandler is called, createWorker never settles
+  globalThis.Tesseract = {
+    createWorker: (language, oem, { errorHandler }) => {
+      created++;
+      setTimeout(() => errorHandler('FetchError: request to cdn.jsdelivr.net failed'), 0);
+      return new Promise(() => {});
+    }
+  };
+
+  try {
+    const pool = new OcrWorkerPool({ size: 1 });
+    await expect(pool.recognize(1, {}, 'image')).rejects.toThrow('Tesseract worker failed to start');
+    // Nothing is left queued or counted as being created, so the next job tries again
+    expect(pool.waiting).toHaveLength(0);
+    await expect(pool.recognize(1, {}, 'image')).rejects.toThrow('FetchError');
+    expect(created).toBe(2);
+  } finally {
+    globalThis.Tesseract = previous;
+  }
+});
+
+test('Cancellation - A cancelled or timed-out run returns what it has with the reason', async () => {
+  const { verificationRunner } = await importClient('verification-runner.js');
+  const { cancelledError } = await importClient('cancellation.js');
+  const previous = globalThis.Tesseract;
+  // Orientation detection never finishes, as with a stuck worker
+  globalThis.Tesseract = { createWorker: () => new Promise(() => {}) };
+  const images = [{ element: {}, name: 'label.jpg', tag: 'front' }];
+  const budgets = { preprocessingMs: 5000, ocrConfigMs: 5000, matchingMs: 5000 };
+  const run = options => verificationRunner.run(images, { brandName: 'ABC' }, 'distilledSpirits', () => {}, { budgets, ...options });
+
+  try {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(cancelledError()), 50);
+    const cancelled = await run({ signal: controller.signal });
+    expect(cancelled.incomplete).toEqual({ reason: 'cancelled', stage: 'Preprocessing', message: 'Verification cancelled' });
+    expect(cancelled.results).toEqual([]);
+
+    const timedOut = await run({ budgets: { ...budgets, preprocessingMs: 50 } });
+    expect(timedOut.incomplete).toMatchObject({ reason: 'timeout', stage: 'Preprocessing' });
+    expect(timedOut.timings.totalMs).toBeLessThan(5000);
+  } finally {
+    globalThis.Tesseract = previous;
+  }
+});
+
+test('Geometry - Quarter turns, tilted text lines and label outlines are corrected', async () => {
+  await loadOpenCv();
+  const { cv } = globalThis;
+  const { geometryCorrector } = await importClient('geometry-corrector.js');
+  const white = new cv.Scalar(255, 255, 255, 255);
+  const black = new cv.Scalar(0, 0, 0, 255);
+  const correct = (draw, options) => {
+    const img = new cv.Mat(400, 600, cv.CV_8UC4, white);
+    try {
+      draw(img);
+      const { mat, geometry } = geometryCorrector.correct(img, options);
+      mat.delete();
+      return geometry;
+    } finally {
+      img.delete();
+    }
+  };
+
+  // Orientation detection's quarter turn swaps the sides; a blank page has nothing else to fix
+  expect(correct(() => {}, { rotation: 90 })).toEqual({ rotation: 90, perspective: null, skewAngle: 0, width: 400, height: 600 });
+
+  // Text lines falling 5 degrees to the right
+  const tilt = Math.tan(5 * Math.PI / 180);
+  const skewed = correct(img => {
+    for (let y = 60; y <= 300; y += 40) {
+      cv.line(img, new cv.Point(60, y), new cv.Point(540, Math.round(y + 480 * tilt)), black, 8);
+    }
+  });
+  expect(skewed.skewAngle).toBeGreaterThan(4);
+  expect(skewed.skewAngle).toBeLessThan(6);
+  expect(skewed.perspective).toBeNull();
+
+  // A label photographed at an angle: a light quadrilateral on a dark background is warped flat
+  const corners = [[80, 30], [560, 60], [540, 370], [50, 340]];
+  const warped = correct(img => {
+    img.setTo(black);
+    const quad = cv.matFromArray(4, 1, cv.CV_32SC2, corners.flat());
+    const quads = new cv.MatVector();
+    quads.push_back(quad);
+    cv.fillPoly(img, quads, white);
+    quads.delete();
+    quad.delete();
+  });
+  expect(warped.perspective).toHaveLength(4);
+  warped.perspective.forEach((point, i) => {
+    expect(Math.abs(point.x - corners[i][0])).toBeLessThan(10);
+    expect(Math.abs(point.y - corners[i][1])).toBeLessThan(10);
+  });
+});
+
+test('Image quality - Blurred, dim and small photos get a warning with advice', async () => {
+  await loadOpenCv();
+  const { cv } = globalThis;
+  const { imageProcessor } = await importClient('image-processor.js');
+  const label = (background, ink, width = 800, height = 600) => {
+    const img = new cv.Mat(height, width, cv.CV_8UC4, new cv.Scalar(background, background, background, 255));
+    for (let y = 60; y < height - 40; y += 40) {
+      for (let x = 40; x < width - 40; x += 24) {
+        cv.putText(img, 'A', new cv.Point(x, y), cv.FONT_HERSHEY_SIMPLEX, 0.8, new cv.Scalar(ink, ink, ink, 255), 2);
+      }
+    }
+    return img;
+  };
+  const mats = [];
+  const assess = img => {
+    mats.push(img);
+    return imageProcessor.assessQuality(img);
+  };
+  const checks = ({ warnings }) => warnings.map(warning => warning.check);
+
+  try {
+    const sharp = assess(label(255, 0));
+    expect(sharp.warnings).toEqual([]);
+    expect(sharp.metrics).toMatchObject({ width: 800, height: 600, contrast: 255 });
+
+    const blurred = new cv.Mat();
+    cv.GaussianBlur(mats[0], blurred, new cv.Size(31, 31), 0);
+    const blurry = assess(blurred);
+    expect(checks(blurry)).toContain('blur');
+    expect(blurry.warnings[0].advice).toBeTruthy();
+
+    // Dark ink on a dark background
+    expect(checks(assess(label(50, 20)))).toEqual(['contrast']);
+    expect(checks(assess(label(255, 0, 400, 200)))).toEqual(['resolution']);
+  } finally {
+    mats.forEach(mat => mat.delete());
+  }
+});
+
+test('Value suggestions - Each field is proposed from the OCR text with a confidence from the variant votes', async () => {
+  const { valueSuggester } = await importClient('value-suggester.js');
+  // One OCR variant: each [text, height] is a line of words with their boxes
+  const read = (lines, confidence = 90) => {
+    const words = [];
+    lines.forEach(([line, height], row) => {
+      line.split(' ').forEach((text, column) => {
+        const x0 = column * 100;
+        const y0 = row * 80;
+        words.push({ text, confidence, bbox: { x0, y0, x1: x0 + 90, y1: y0 + height } });
+      });
+    });
+    return { text: lines.map(([line]) => line).join('\n'), confidence, words };
+  };
+  const label = alcohol => [
+    ['OLD TOM', 60],
+    ['KENTUCKY STRAIGHT BOURBON WHISKEY', 30],
+    [`${alcohol} ALC/VOL`, 20],
+    ['750 ML', 20],
+    ['BOTTLED BY ABC DISTILLERY, FREDERICK, MD 21701', 12]
+  ];
+
+  const suggestions = valueSuggester.suggest([read(label('45%')), read(label('46%'), 70), read(label('45%'), 85)]);
+  expect(suggestions).toMatchObject({
+    brandName: { value: 'OLD TOM', votes: 3 },
+    productClass: { value: 'KENTUCKY STRAIGHT BOURBON WHISKEY', confidence: 0.75 },
+    netContents: { value: '750 mL', confidence: 0.95 },
+    manufacturerName: { value: 'ABC DISTILLERY' },
+    manufacturerAddress: { value: 'FREDERICK, MD' },
+    beverageType: 'distilledSpirits'
+  });
+  // Two of three variants agree, so the confidence drops and the other reading is offered
+  expect(suggestions.alcoholContent).toMatchObject({ value: '45%', votes: 2, alternatives: ['46%'] });
+  expect(suggestions.alcoholContent.confidence).toBeLessThan(0.95 * 0.7);
+
+  // Nothing on the label, nothing suggested
+  const empty = valueSuggester.suggest([read([['GOVERNMENT WARNING', 20]])]);
+  expect(empty).toMatchObject({ brandName: null, alcoholContent: null, netContents: null, manufacturerName: null, beverageType: null });
+});
+
+test('Alcohol content - ABV and proof are equivalent, within the tolerance for the beverage type', async () => {
+  const { alcoholContentParser } = await importClient('alcohol-content.js');
+  const match = (value, text, beverageType = 'distilledSpirits') => alcoholContentParser.match(value, text, beverageType);
+
+  expect(match('40%', 'old tom whiskey 80 proof')).toMatchObject({ confidence: 1, word: '80 proof' });
+  expect(match('80 proof', 'alc. 40% by vol.')).toMatchObject({ confidence: 1, parsed: { expected: { abv: 40, interpretation: 'proof' } } });
+  // A percent sign lost by OCR, and a bare form number read as a percentage
+  expect(match('45', '45 alc/vol')).toMatchObject({ confidence: 1, word: '45 alc/vol' });
+
+  // Ranges contain the expected value; wine has a wider tolerance than spirits
+  expect(match('12.5%', 'table wine 11-13% by vol', 'wine')).toMatchObject({ confidence: 1, word: '11-13%' });
+  expect(match('13%', 'red wine 14.2% alc', 'wine').confidence).toBeGreaterThanOrEqual(0.75);
+  expect(match('40%', 'bottled in 1998, 42% alc').confidence).toBeLessThan(0.7);
+
+  expect(alcoholContentParser.inferBeverageType('PALE ALE')).toBe('maltBeverage');
+  expect(alcoholContentParser.inferBeverageType('Cabernet Sauvignon')).toBe('wine');
+  expect(alcoholContentParser.inferBeverageType('Bourbon')).toBe('distilledSpirits');
+  expect(match('forty', '40% alc')).toBeNull();
+});
+
+test('Match thresholds - ABV inside the legal tolerance is a match with the defaults', async () => {
+  const { textVerifier } = await importClient('text-verifier.js');
+  const status = async (text, value) => {
+    const results = await textVerifier.verifyText(text, { alcoholContent: value }, null, { beverageType: 'distilledSpirits' });
+    return results.find(result => result.field === 'alcoholContent').status;
+  };
+
+  expect(await status('old tom whiskey 45.2% alc/vol 750 ml', '45%')).toBe('match');
+  expect(await status('old tom whiskey 4.5% alc/vol 750 ml', '45%')).toBe('mismatch');
+});
+
+test('Government warning - Clause-level differences and header capitals', async () => {
+  const { governmentWarningChecker } = await importClient('government-warning.js');
+  const statement = 'GOVERNMENT WARNING: (1) According to the Surgeon General, women should not drink alcoholic beverages during pregnancy because of the risk of birth defects. (2) Consumption of alcoholic beverages impairs your ability to drive a car or operate machinery, and may cause health problems.';
+  const clause = (result, id) => result.clauses.find(entry => entry.id === id);
+
+  expect(governmentWarningChecker.check(statement)).toMatchObject({ found: true, headerCapitalized: true, confidence: 1 });
+
+  // A misread capital I is an OCR slip, not lowercase wording
+  expect(governmentWarningChecker.check(statement.replace('WARNING', 'WARNlNG'))).toMatchObject({ found: true, headerCapitalized: true });
+  expect(governmentWarningChecker.check(statement.replace('GOVERNMENT WARNING', 'Government Warning'))).toMatchObject({ found: false, headerCapitalized: false });
+
+  const dropped = governmentWarningChecker.check(statement.replace(' during pregnancy', ''));
+  expect(dropped.found).toBe(false);
+  expect(clause(dropped, 'clause1')).toMatchObject({ status: 'altered', missing: ['during', 'pregnancy'] });
+  expect(clause(dropped, 'clause2').status).toBe('ok');
+
+  const altered = governmentWarningChecker.check(statement.replace('machinery', 'machines'));
+  expect(clause(altered, 'clause2')).toMatchObject({ status: 'altered', altered: [{ expected: 'machinery', found: 'machines' }] });
+
+  const truncated = governmentWarningChecker.check(statement.split(' (2)')[0]);
+  expect(clause(truncated, 'clause2').status).toBe('missing');
+  expect(truncated.found).toBe(false);
+});
+
+test('Result display - OCR words in warning problems are escaped', async () => {
+  const { textVerifier } = await importClient('text-verifier.js');
+  const clause = { label: 'Clause (2)', status: 'altered', missing: [], altered: [{ expected: 'machinery', found: '<img src=x onerror=alert(1)>' }], extra: ['<b>'] };
+
+  const problems = textVerifier.constructor.describeWarningProblems({ headerCapitalized: true, clauses: [clause] }).join('<br>');
+  expect(problems).toContain('"&#60;img src=x onerror=alert(1)&#62;" (expected "machinery")');
+  expect(problems).not.toContain('<img');
+  expect(problems).not.toContain('<b>');
+});
+
+test('Net contents - Zero volumes and compound statements', async () => {
+  const { netContentsParser } = await importClient('net-contents.js');
+
+  expect(netContentsParser.parseInput('750 mL')).toMatchObject({ quantity: 750, ml: 750 });
+  expect(netContentsParser.parseInput('0 mL')).toBeNull();
+  expect(netContentsParser.parseInput('0,0 L')).toBeNull();
+  // No expected volume to compare against, so the field falls back to fuzzy matching
+  expect(netContentsParser.match('0 mL', 'net contents 750 ml')).toBeNull();
+  expect(netContentsParser.match('750 mL', 'net contents 750 ml').confidence).toBe(1);
+
+  // "1 pint 8 fl oz" is one 24 fl oz statement, not a pint and 8 fl oz
+  expect(netContentsParser.findStatements('net contents 1 pint 8 fl oz')).toEqual([
+    { quantity: 709.77, unit: 'mL', ml: 709.77, text: '1 pint 8 fl oz' }
+  ]);
+  expect(netContentsParser.match('1 pint', 'net contents 1 pint 8 fl oz').confidence).toBeLessThan(0.7);
+  expect(netContentsParser.match('24 fl oz', 'net contents 1 pint 8 fl oz').confidence).toBeGreaterThan(0.99);
+  expect(netContentsParser.match('1 pint', 'net contents 1 pint').confidence).toBe(1);
+});
+
+test('Address matching - State abbreviations only after a comma or before a ZIP code', async () => {
+  const { addressParser } = await importClient('address.js');
+  const states = text => addressParser.findStatements(text).map(({ locality, state }) => ({ locality, state }));
+
+  expect(states('Distilled and bottled by ABC Distillery, Inc.\nFrederick, MD 21701')).toEqual([{ locality: 'Frederick', state: 'MD' }]);
+  expect(states('bottled by abc distillery\nfrederick md 21701')).toEqual([{ locality: 'frederick', state: 'MD' }]);
+  expect(states('bottled by abc distillery, frederick maryland')).toEqual([{ locality: 'frederick', state: 'MD' }]);
+
+  // "in" is a word here, not Indiana
+  expect(states('bottled by abc distillery, made in frederick, in usa')).toEqual([]);
+  expect(states('bottled by abc distillery\nmade in\nfrederick md 21701')).toEqual([{ locality: 'frederick', state: 'MD' }]);
+  expect(addressParser.match('Frederick, MD', 'bottled by abc distillery, made in frederick, in usa', 'ABC Distillery').parsed.summary)
+    .toContain('state Maryland (MD) not found');
+  expect(addressParser.match('Frederick, MD', 'bottled by abc distillery frederick md 21701', 'ABC Distillery').parsed.summary)
+    .toContain('state Maryland (MD) matches');
+
+  // A form value ends with its state, so a space is enough there
+  expect(addressParser.parseInput('Frederick MD')).toMatchObject({ locality: 'Frederick', state: 'MD' });
+  expect(addressParser.parseInput('Frederick, MD 21701')).toMatchObject({ locality: 'Frederick', state: 'MD' });
+});
+
+// Server-side verification endpoint (no browser needed)
+test('POST /api/verify - Good values', async ({ request }) => {
+  const testImage = testImages[0];
+  const response = await request.post('http://localhost:3001/api/verify', {
+    multipart: {
+      image: {
+        name: testImage.file,
+        mimeType: 'image/jpeg',
+        buffer: fs.readFileSync(path.join(__dirname, 'server', 'test-files', testImage.file))
+      },
+      ...testImage.good
+    },
+    timeout: 90000
+  });
+
+  expect(response.ok()).toBeTruthy();
+  const body = await response.json();
+  expect(body.success).toBe(true);
+  expect(body.results).toHaveLength(7);
+  expect(body.results.map(result => result.field)).toContain('governmentWarning');
+  expect(body.results.some(result => result.found)).toBeTruthy();
+  expect(body.geometry).toMatchObject({ rotation: 0, perspective: null, skewAngle: 0 });
+  expect(body.images[0].quality.warnings).toEqual([]);
+  expect(Object.keys(body.timings)).toEqual(['preprocessingMs', 'ocrMs', 'verificationMs', 'totalMs']);
+  expect(body.ocrVariants.every(variant => Number.isFinite(variant.durationMs))).toBeTruthy();
+});
+
+test('POST /api/verify - Front and back images', async ({ request }) => {
+  const [front, back] = testImages;
+  const file = (testImage, type) => new File(
+    [fs.readFileSync(path.join(__dirname, 'server', 'test-files', testImage.file))],
+    testImage.file,
+    { type }
+  );
+
+  // Repeated "images" fields need FormData; the object form takes one file per field
+  const form = new FormData();
+  form.append('images', file(front, 'image/jpeg'));
+  form.append('images', file(back, 'image/png'));
+  form.append('imageTags', 'front,back');
+  Object.entries(front.good).forEach(([name, value]) => form.append(name, value));
+
+  const response = await request.post('http://localhost:3001/api/verify', { multipart: form, timeout: 180000 });
+
+  expect(response.ok()).toBeTruthy();
+  const body = await response.json();
+  expect(body.images.map(image => image.tag)).toEqual(['front', 'back']);
+  expect(body.ocrVariants.map(variant => variant.labelImage.tag)).toContain('back');
+  // Fields are matched against both labels and record where they were found
+  expect(body.results.find(result => result.field === 'brandName').labelImage).toMatchObject({ index: 0, tag: 'front' });
+});
+
+test('POST /api/verify - Missing image', async ({ request }) => {
+  const response = await request.post('http://localhost:3001/api/verify', {
+    multipart: { ...testImages[0].good }
+  });
+
+  expect(response.status()).toBe(400);
+  const body = await response.json();
+  expect(body.success).toBe(false);
+});
+
+test('POST /api/verify - Upload limits', async ({ request }) => {
+  const url = 'http://localhost:3001/api/verify';
+  const tooMany = new FormData();
+  Object.entries(testImages[0].good).forEach(([name, value]) => tooMany.append(name, value));
+  for (let i = 0; i < 5; i++) tooMany.append('images', new Blob([Buffer.alloc(1024)], { type: 'image/jpeg' }), `label-${i}.jpg`);
+  const many = await request.post(url, { multipart: tooMany });
+  expect(many.status()).toBe(400);
+  expect((await many.json()).message).toContain('at most 4 label images');
+
+  const large = await request.post(url, { multipart: { ...testImages[0].good, image: { name: 'large.jpg', mimeType: 'image/jpeg', buffer: Buffer.alloc(11 * 1024 * 1024) } } });
+  expect(large.status()).toBe(413);
+  expect((await large.json()).success).toBe(false);
+});
+
+// Changes server-wide thresholds, so it runs on its own before the other tests (see playwright.config.js)
+test('GET/PUT /api/settings - Match thresholds', { tag: '@server-settings' }, async ({ request }) => {
+  const url = 'http://localhost:3001/api/settings';
+  const { settings: previous, defaults } = await (await request.get(url)).json();
+  expect(defaults.matchThresholds.pass).toBe(0.7);
+
+  try {
+    const invalid = await request.put(url, { data: { matchThresholds: { pass: 1.5, fields: { colour: { pass: 0.8 } } } } });
+    expect(invalid.status()).toBe(400);
+    expect((await invalid.json()).message).toContain('pass must be a number from 0 to 1');
+
+    const matchThresholds = {
+      pass: 0.7,
+      review: 0.5,
+      fields: { alcoholContent: { pass: 0.95 } },
+      profiles: { wine: { fields: { manufacturerAddress: { pass: 0.55, review: null } } } }
+    };
+    const saved = await (await request.put(url, { data: { matchThresholds } })).json();
+    expect(saved.success).toBe(true);
+    expect(saved.settings.updatedAt).toBeTruthy();
+
+    const { settings } = await (await request.get(url)).json();
+    expect(settings.matchThresholds).toEqual(matchThresholds);
+
+    // Saves of different settings at once both keep their change
+    const retention = { archiveAfterDays: 36500 };
+    const concurrent = await Promise.all([
+      request.put(url, { data: { matchThresholds: { ...matchThresholds, pass: 0.75 } } }),
+      request.put(url, { data: { retention } })
+    ]);
+    expect(concurrent.every(response => response.ok())).toBe(true);
+    const { settings: both } = await (await request.get(url)).json();
+    expect(both.matchThresholds.pass).toBe(0.75);
+    expect(both.retention).toEqual(retention);
+  } finally {
+    // Put back the settings the server had, even if an assertion failed
+    await request.put(url, { data: { matchThresholds: previous.matchThresholds, retention: previous.retention } });
+  }
+});
+
+test('GET /api/verification-logs - Filters and pagination', async ({ request }) => {
+  // Unique name so parallel tests and earlier runs don't affect the counts
+  const imageName = `log-query-${Date.now()}.jpg`;
+  const ids = [];
+  for (const found of [true, false, true]) {
+    const logged = await request.post('http://localhost:3001/api/log-verification', {
+      data: { imageName, results: [{ field: 'brandName', found }] }
+    });
+    ids.push((await logged.json()).id);
+    expect(ids[ids.length - 1]).toBeTruthy();
+  }
+
+  const response = await request.get('http://localhost:3001/api/verification-logs', {
+    params: { imageName, status: 'pass', limit: 1, page: 2 }
+  });
+  const body = await response.json();
+  expect(body.total).toBe(2);
+  expect(body.pages).toBe(2);
+  expect(body.logs).toHaveLength(1);
+  expect(body.logs[0].imageName).toBe(imageName);
+  // Newest first by default, so the second page holds the first passing run
+  expect(body.logs[0].id).toBe(ids[0]);
+
+  const invalid = await request.get('http://localhost:3001/api/verification-logs', { params: { status: 'maybe' } });
+  expect(invalid.status()).toBe(400);
+});
+
+test('GET /api/analytics - Aggregates with filters', async ({ request }) => {
+  const imageName = `analytics-${Date.now()}.jpg`;
+  // Entries are stamped with the server's time, so every run lands in today's period
+  const today = new Date().toISOString().slice(0, 10);
+  const runs = [
+    { beverageType: 'wine', found: [true, true], timings: { totalMs: 4000 } },
+    { beverageType: 'wine', found: [true, false], timings: { totalMs: 6000 } },
+    { beverageType: 'wine', found: [false, false], timings: { totalMs: 8000 } },
+    { beverageType: 'maltBeverage', found: [true, true], timings: { totalMs: 1000 } }
+  ];
+  for (const { found, ...run } of runs) {
+    await request.post('http://localhost:3001/api/log-verification', {
+      data: {
+        ...run,
+        imageName,
+        ocrVariants: [{ name: 'Basic OTSU', config: 'Sparse Text', confidence: 80, durationMs: 1000 }],
+        results: [
+          { field: 'brandName', found: found[0], confidence: found[0] ? 0.95 : 0.3, variant: 'Basic OTSU' },
+          { field: 'netContents', found: found[1], confidence: found[1] ? 1 : 0.5 }
+        ]
+      }
+    });
+  }
+
+  const response = await request.get('http://localhost:3001/api/analytics', {
+    params: { imageName, beverageType: 'wine', from: today, to: today }
+  });
+  const body = await response.json();
+  expect(body.summary).toMatchObject({ runs: 3, passed: 1, failed: 2, passRate: 0.333 });
+  expect(body.summary.timings.totalMs).toBe(6000);
+  expect(body['pass-rates'].periods.map(period => [period.period, period.passRate])).toEqual([[today, 0.333]]);
+  expect(body.confidence.fields.find(field => field.field === 'brandName').histogram[9]).toBe(2);
+  expect(body.failures.images[0]).toMatchObject({ imageName, failedRuns: 2, fields: { brandName: 1, netContents: 2 } });
+  expect(body['ocr-configs'].configs[0]).toMatchObject({ name: 'Sparse Text', runs: 3, bestMatches: 3 });
+
+  const single = await (await request.get('http://localhost:3001/api/analytics/failures', { params: { imageName, top: 1 } })).json();
+  expect(single.failures.images).toHaveLength(1);
+
+  expect((await request.get('http://localhost:3001/api/analytics/everything')).status()).toBe(404);
+  expect((await request.get('http://localhost:3001/api/analytics/constructor')).status()).toBe(404);
+  expect((await request.get('http://localhost:3001/api/analytics/__proto__')).status()).toBe(404);
+  expect((await request.get('http://localhost:3001/api/analytics', { params: { interval: 'hour' } })).status()).toBe(400);
+});
+
+test('POST /api/verification-logs/:id/overrides - Reviewer decision', async ({ request }) => {
+  const logged = await request.post('http://localhost:3001/api/log-verification', {
+    data: { imageName: 'override-test.jpg', results: [{ field: 'brandName', found: false, confidence: 0.4 }] }
+  });
+  const { id } = await logged.json();
+  const url = `http://localhost:3001/api/verification-logs/${id}/overrides`;
+
+  // A reason is required
+  const missingReason = await request.post(url, { data: { field: 'brandName', decision: 'accept' } });
+  expect(missingReason.status()).toBe(400);
+
+  // The reviewer is the signed-in account, not a name in the body
+  const response = await request.post(url, {
+    data: { field: 'brandName', decision: 'accept', reason: 'Brand is legible on the label', reviewer: 'Tester' }
+  });
+  const body = await response.json();
+  expect(body.success).toBe(true);
+  expect(body.decisions.brandName).toMatchObject({ automatic: false, final: true });
+
+  // The automatic result is kept as logged
+  const history = await (await request.get(url)).json();
+  expect(history.overrides).toHaveLength(1);
+  expect(history.overrides[0]).toMatchObject({ reviewer: process.env.ADMIN_USERNAME || 'admin', automatic: { found: false } });
+});
+
+test('Authentication - Sessions, API tokens and roles', async ({ playwright, request }) => {
+  const base = 'http://localhost:3001';
+  const client = await playwright.request.newContext({ storageState: { cookies: [], origins: [] } });
+
+  // Only signing in works without a session or token
+  expect((await client.get(`${base}/api/verification-logs`)).status()).toBe(401);
+  expect((await client.post(`${base}/api/login`, { data: { username: 'nobody', password: 'wrong password' } })).status()).toBe(401);
+
+  // Repeated failures lock the account out for a while
+  const guessed = `guessed-${Date.now()}`;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    expect((await client.post(`${base}/api/login`, { data: { username: guessed, password: `guess ${attempt}` } })).status()).toBe(401);
+  }
+  const locked = await client.post(`${base}/api/login`, { data: { username: guessed, password: 'guess 5' } });
+  expect(locked.status()).toBe(429);
+  expect(Number(locked.headers()['retry-after'])).toBeGreaterThan(0);
+
+  // The admin creates a reviewer, who signs in and makes an API token
+  const username = `reviewer-${Date.now()}`;
+  const password = 'reviewer-password';
+  expect((await request.post(`${base}/api/users`, { data: { username, password, role: 'reviewer' } })).status()).toBe(201);
+  expect((await request.post(`${base}/api/users`, { data: { username: 'x', password: 'short', role: 'owner' } })).status()).toBe(400);
+  const login = await client.post(`${base}/api/login`, { data: { username, password } });
+  expect(await login.json()).toMatchObject({ success: true, user: { username, role: 'reviewer' } });
+  expect((await (await client.get(`${base}/api/session`)).json()).user).toMatchObject({ username, role: 'reviewer', via: 'session' });
+  const { token } = await (await client.post(`${base}/api/tokens`, { data: { label: 'auth test' } })).json();
+
+  // Entries are stamped with the signed-in reviewer, whatever the body says
+  const logged = await client.post(`${base}/api/log-verification`, { data: { imageName: 'auth-test.jpg', reviewer: 'someone else', results: [] } });
+  const { id } = await logged.json();
+  const { logs } = await (await request.get(`${base}/api/verification-logs`, { params: { imageName: 'auth-test.jpg', limit: 100 } })).json();
+  expect(logs.find(log => log.id === id).reviewer).toBe(username);
+
+  // Reviewers can't clear logs, change settings or manage accounts
+  expect((await client.delete(`${base}/api/verification-logs`)).status()).toBe(403);
+  expect((await client.get(`${base}/api/users`)).status()).toBe(403);
+
+  // After signing out only the token works
+  await client.post(`${base}/api/logout`);
+  expect((await client.get(`${base}/api/session`)).status()).toBe(401);
+  const headers = { Authorization: `Bearer ${token}` };
+  expect((await (await client.get(`${base}/api/session`, { headers })).json()).user).toMatchObject({ username, via: 'token' });
+  expect((await client.put(`${base}/api/settings`, { headers, data: { matchThresholds: {} } })).status()).toBe(403);
+
+  // Deleting the account stops its token
+  expect((await request.delete(`${base}/api/users/${username}`)).status()).toBe(200);
+  expect((await client.get(`${base}/api/session`, { headers })).status()).toBe(401);
+  await client.dispose();
+});
+
+test('Log entries - Delete to archive, restore and retention', async ({ request }) => {
+  const base = 'http://localhost:3001';
+  const created = [];
+  const log = async data => {
+    const body = await (await request.post(`${base}/api/log-verification`, { data: { results: [], ...data } })).json();
+    created.push(body.id);
+    return body;
+  };
+
+  try {
+    // Deleting one entry moves it, with its overrides, into the archive for its month
+    const archiveImage = `archive-test-${Date.now()}.jpg`;
+    const { id } = await log({ imageName: archiveImage, results: [{ field: 'brandName', found: false }] });
+    await request.post(`${base}/api/verification-logs/${id}/overrides`, { data: { field: 'brandName', decision: 'accept', reason: 'Reads fine' } });
+    expect((await (await request.get(`${base}/api/verification-logs/${id}`)).json()).log).toMatchObject({ id, overrides: [{ field: 'brandName' }] });
+
+    const deleted = await (await request.delete(`${base}/api/verification-logs/${id}`)).json();
+    expect(deleted.success).toBe(true);
+    expect((await request.get(`${base}/api/verification-logs/${id}`)).status()).toBe(404);
+    expect((await request.delete(`${base}/api/verification-logs/${id}`)).status()).toBe(404);
+
+    const archive = await (await request.get(`${base}/api/archives/${deleted.archive}`, { params: { imageName: archiveImage } })).json();
+    const archived = archive.logs.find(entry => entry.id === id);
+    expect(archived.archived).toMatchObject({ by: process.env.ADMIN_USERNAME || 'admin', reason: 'deleted' });
+    expect(archived.overrides).toHaveLength(1);
+    expect((await (await request.get(`${base}/api/archives`)).json()).archives.map(item => item.name)).toContain(deleted.archive);
+
+    // Restoring brings back the entry and its overrides
+    const restored = await (await request.post(`${base}/api/archives/${deleted.archive}/restore`, { data: { ids: [id] } })).json();
+    expect(restored.restored).toBe(1);
+    const back = (await (await request.get(`${base}/api/verification-logs/${id}`)).json()).log;
+    expect(back.overrides).toHaveLength(1);
+    expect(back.decisions.brandName.final).toBe(true);
+
+    // Retention archives entries the server logged before a date (a client timestamp is only kept aside);
+    // filtered deletes only take the matching entries
+    const imageName = `retention-test-${Date.now()}.jpg`;
+    const old = await log({ imageName, timestamp: '1990-01-15T12:00:00.000Z' });
+    const early = await (await request.post(`${base}/api/verification-logs/archive`, { params: { imageName }, data: { before: '2000-01-01' } })).json();
+    expect(early.archived).toBe(0);
+    const retention = await (await request.post(`${base}/api/verification-logs/archive`, { params: { imageName }, data: { before: new Date().toISOString() } })).json();
+    expect(retention.archived).toBe(1);
+    expect((await request.get(`${base}/api/verification-logs/${old.id}`)).status()).toBe(404);
+    const expired = (await (await request.get(`${base}/api/archives/${retention.archives[0]}`, { params: { imageName } })).json()).logs[0];
+    expect(expired).toMatchObject({ id: old.id, clientTimestamp: '1990-01-15T12:00:00.000Z', archived: { reason: 'retention' } });
+    await request.post(`${base}/api/archives/${retention.archives[0]}/restore`, { data: { ids: [old.id] } });
+
+    const cleared = await (await request.delete(`${base}/api/verification-logs`, { params: { imageName } })).json();
+    expect(cleared.archived).toBe(1);
+    expect((await request.get(`${base}/api/verification-logs/${id}`)).status()).toBe(200);
+
+    // Purging one archived entry leaves the rest of the archive
+    expect((await request.delete(`${base}/api/archives/${cleared.archives[0]}/${old.id}`)).status()).toBe(200);
+    // (an archive left empty is removed)
+    const remaining = await request.get(`${base}/api/archives/${cleared.archives[0]}`, { params: { imageName } });
+    expect(remaining.ok() ? (await remaining.json()).total : 0).toBe(0);
+    expect((await request.delete(`${base}/api/archives/${cleared.archives[0]}/${old.id}`)).status()).toBe(404);
+
+    // Retention periods are whole days
+    expect((await request.put(`${base}/api/settings`, { data: { retention: { archiveAfterDays: 0 } } })).status()).toBe(400);
+  } finally {
+    // Remove this test's entries for good, wherever they ended up
+    for (const id of created) {
+      await request.delete(`${base}/api/verification-logs/${id}`);
+      const { archives } = await (await request.get(`${base}/api/archives`)).json();
+      for (const { name } of archives) await request.delete(`${base}/api/archives/${name}/${id}`);
+    }
+  }
+});
+
+test('GET /api/verification-logs/:id/report - HTML, PDF and CSV', async ({ request }) => {
+  const imageBuffer = fs.readFileSync(path.join(__dirname, 'server', 'test-files', testImages[0].file));
+  const logged = await request.post('http://localhost:3001/api/log-verification', {
+    data: {
+      imageName: 'report-test.jpg',
+      fields: { brandName: 'ABC' },
+      ocrText: 'ABC DISTILLERY',
+      results: [
+        { field: 'brandName', input: 'ABC', found: true, confidence: 1, bestMatch: 'abc' },
+        { field: 'classType', input: '=1+1', found: false, confidence: 0, bestMatch: '@SUM(A1)' }
+      ],
+      imageData: `data:image/jpeg;base64,${imageBuffer.toString('base64')}`
+    }
+  });
+  const { id } = await logged.json();
+  const url = `http://localhost:3001/api/verification-logs/${id}/report`;
+
+  const html = await request.get(url);
+  expect(html.headers()['content-type']).toContain('text/html');
+  const htmlText = await html.text();
+  expect(htmlText).toContain('ABC DISTILLERY');
+  expect(htmlText).toContain('data:image/jpeg;base64,');
+
+  const pdf = await request.get(url, { params: { format: 'pdf' } });
+  expect(pdf.headers()['content-type']).toBe('application/pdf');
+  expect((await pdf.body()).subarray(0, 4).toString()).toBe('%PDF');
+
+  const csv = await request.get(url, { params: { format: 'csv' } });
+  const csvText = await csv.text();
+  expect(csvText).toContain('brandName,ABC,Match,100%,abc');
+  // Values that spreadsheets would run as formulas are kept as text
+  expect(csvText).toContain("classType,'=1+1,Not Found,0%,'@SUM(A1)");
+
+  const unknown = await request.get(url, { params: { format: 'docx' } });
+  expect(unknown.status()).toBe(400);
+});
+
+test('GET /api/verification-logs/:id/report - Several label images', async ({ request }) => {
+  const dataUrl = (file, type) => `data:${type};base64,${fs.readFileSync(path.join(__dirname, 'server', 'test-files', file)).toString('base64')}`;
+  const logged = await request.post('http://localhost:3001/api/log-verification', {
+    data: {
+      imageName: 'front.jpg, back.png',
+      results: [{ field: 'governmentWarning', found: true, confidence: 1, labelImage: { index: 1, tag: 'back', name: 'back.png' } }],
+      images: [
+        { name: 'front.jpg', tag: 'front', imageData: dataUrl(testImages[0].file, 'image/jpeg') },
+        { name: 'back.png', tag: 'back', imageData: dataUrl(testImages[1].file, 'image/png') }
+      ]
+    }
+  });
+  const { id } = await logged.json();
+
+  const entry = (await (await request.get('http://localhost:3001/api/verification-logs', { params: { imageName: 'front.jpg, back.png', limit: 100 } })).json())
+    .logs.find(log => log.id === id);
+  expect(entry.images.map(image => image.tag)).toEqual(['front', 'back']);
+
+  const html = await (await request.get(`http://localhost:3001/api/verification-logs/${id}/report`)).text();
+  expect(html).toContain('data:image/jpeg;base64,');
+  expect(html).toContain('data:image/png;base64,');
+  expect(html).toContain('Back label (back.png)');
+});
+
+test('POST /api/log-verification - Forged image references, id and reviewer are ignored', async ({ request }) => {
+  const imageBuffer = fs.readFileSync(path.join(__dirname, 'server', 'test-files', testImages[0].file));
+  const victim = await (await request.post('http://localhost:3001/api/log-verification', {
+    data: { imageName: 'forged-victim.jpg', results: [], imageData: `data:image/jpeg;base64,${imageBuffer.toString('base64')}` }
+  })).json();
+
+  const forged = await (await request.post('http://localhost:3001/api/log-verification', {
+    data: {
+      id: 'forged-id',
+      reviewer: 'someone-else',
+      imageName: 'forged.jpg',
+      results: [],
+      image: { file: `${victim.id}.jpg`, mimeType: 'image/jpeg"><script>alert(1)</script>' }
+    }
+  })).json();
+  expect(forged.id).not.toBe('forged-id');
+
+  const { log: entry } = await (await request.get(`http://localhost:3001/api/verification-logs/${forged.id}`)).json();
+  expect(entry.image).toBeUndefined();
+  expect(entry.reviewer).not.toBe('someone-else');
+
+  const html = await (await request.get(`http://localhost:3001/api/verification-logs/${forged.id}/report`)).text();
+  expect(html).toContain('Image not available for this run');
+  expect(html).not.toContain('<script>');
+});
+
+test('Batch verification from a manifest', async ({ page }) => {
+  test.setTimeout(300000);
+  await page.goto('http://localhost:3001/');
+  await expect(page.locator('button[type="submit"]')).toHaveText('Verify Label', { timeout: 60000 });
+
+  // Same shape as testImages; the third entry has no image in the folder
+  const manifest = [
+    ...testImages.slice(0, 2),
+    { file: 'missing-label.jpg', good: testImages[0].good }
+  ];
+  await page.setInputFiles('#batchImages', path.join(__dirname, 'server', 'test-files'));
+  await page.setInputFiles('#batchManifest', {
+    name: 'manifest.json',
+    mimeType: 'application/json',
+    buffer: Buffer.from(JSON.stringify(manifest))
+  });
+
+  await expect(page.locator('#batchSummary tbody tr')).toHaveCount(3);
+  await expect(page.locator('#batchSummary .batch-status-skipped')).toHaveCount(1);
+
+  await page.click('#batchRun');
+  await expect(page.locator('#batchMessage')).toContainText('Finished', { timeout: 280000 });
+  await expect(page.locator('#batchSummary .batch-status-done')).toHaveCount(2);
+  await expect(page.locator('#batchSummary tfoot')).toContainText('Passed');
+
+  // Each finished row links to its full results
+  await page.locator('#batchSummary .batch-view').first().click();
+  await expect(page.locator('.verification-item')).toHaveCount(7);
+  await expect(page.locator('#brandName')).toHaveValue(testImages[0].good.brandName);
+});
+
+test('COLA import prefills the form', async ({ page }) => {
+  await page.goto('http://localhost:3001/');
+
+  const xml = `<?xml version="1.0"?>
+    <colaApplications>
+      <application>
+        <ttbId>24001001000001</ttbId>
+        <brandName>ABC</brandName>
+        <classTypeDescription>STRAIGHT RYE WHISKY</classTypeDescription>
+        <alcoholContent>45%</alcoholContent>
+        <netContents>750 ML</netContents>
+        <applicantName>ABC DISTILLERY</applicantName>
+        <applicantAddress>FREDERICK, MD</applicantAddress>
+        <typeOfProduct>Distilled Spirits</typeOfProduct>
+      </application>
+      <application>
+        <ttbId>24001001000002</ttbId>
+        <brandName>Last Draw Vineyards</brandName>
+        <classTypeDescription>Orange Muscat</classTypeDescription>
+        <alcoholContent>13.68%</alcoholContent>
+        <netContents>375 mL</netContents>
+        <nameAndAddressOfApplicant>Hawk's Shadow Estate Winery, Dripping Springs, Texas</nameAndAddressOfApplicant>
+        <vintage>20X9</vintage>
+        <typeOfProduct>Wine</typeOfProduct>
+      </application>
+    </colaApplications>`;
+  await page.setInputFiles('#colaFile', { name: 'cola.xml', mimeType: 'application/xml', buffer: Buffer.from(xml) });
+
+  // Multiple applications are selectable; the invalid vintage is flagged in the preview
+  await page.selectOption('#colaApplication', '1');
+  await expect(page.locator('#colaPreview .cola-invalid')).toHaveCount(1);
+
+  await page.click('#colaFill');
+  await expect(page.locator('#beverageType')).toHaveValue('wine');
+  await expect(page.locator('#brandName')).toHaveValue('Last Draw Vineyards');
+  await expect(page.locator('#manufacturerName')).toHaveValue('Hawk\'s Shadow Estate Winery');
+  await expect(page.locator('#manufacturerAddress')).toHaveValue('Dripping Springs, Texas');
+});
@@ -0,0 +1,384 @@
+const { LogStore } = require('./log-store');
+
+const INTERVALS = ['day', 'week', 'month'];
+const CONFIDENCE_BUCKETS = 10;
+const DEFAULT_TOP = 10;
+const TIMING_STAGES = ['preprocessingMs', 'ocrMs', 'verificationMs', 'totalMs'];
+
+/**
+ * Parse and validate dashboard filters: the log query filters (from, to, imageName, field, status)
+ * plus beverageType, the period length for trends (interval) and how many images to rank (top)
+ * @param {Object} query - Raw query parameters
+ * @returns {Object} Normalized filters
+ * @throws {Error} With status 400 for invalid values
+ */
+function parseFilters(query = {}) {
+  const invalid = message => Object.assign(new Error(message), { status: 400 });
+  const { from, to, imageName, field, status } = LogStore.parseFilters(query);
+
+  if (query.interval && !INTERVALS.includes(query.interval)) {
+    throw invalid(`interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+  const top = query.top === undefined || query.top === '' ? DEFAULT_TOP : Number(query.top);
+  if (!Number.isInteger(top) || top < 1) throw invalid('top must be a positive integer');
+
+  return {
+    from,
+    to,
+    imageName,
+    field,
+    status,
+    beverageType: query.beverageType || null,
+    interval: query.interval || 'day',
+    top
+  };
+}
+
+/**
+ * Whether an entry is inside the dashboard filters
+ * @param {Object} entry - Log entry
+ * @param {Object} filters - Output of parseFilters
+ * @returns {boolean} True if the entry counts
+ */
+function matches(entry, filters) {
+  if (filters.beverageType && entry.beverageType !== filters.beverageType) return false;
+  return LogStore.matches(entry, filters);
+}
+
+/**
+ * Read the entries inside the filters
+ * @param {LogStore} logStore - Verification log
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Promise<Array>} Matching entries in write order
+ */
+async function collect(logStore, filters) {
+  const entries = [];
+  for await (const entry of logStore.entries()) {
+    if (matches(entry, filters)) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Automatic status of a result; entries logged before the needs-review band only have `found`
+ * @param {Object} result - Logged result
+ * @returns {string} 'match', 'review' or 'mismatch'
+ */
+function statusOf(result) {
+  return result.status || (result.found ? 'match' : 'mismatch');
+}
+
+/**
+ * Results an entry contributes (only the filtered field when there is one)
+ * @param {Object} entry - Log entry
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Array<Object>} Results
+ */
+function resultsOf(entry, filters) {
+  const results = Array.isArray(entry.results) ? entry.results : [];
+  return filters.field ? results.filter(result => result.field === filters.field) : results;
+}
+
+/**
+ * @param {number} part - Count
+ * @param {number} whole - Total
+ * @returns {number|null} Share rounded to 0.001, or null without a total
+ */
+function rate(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+/**
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Mean rounded to a whole number (or to 0.001 below 1), or null if empty
+ */
+function average(values) {
+  if (values.length === 0) return null;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return mean < 1 ? Math.round(mean * 1000) / 1000 : Math.round(mean);
+}
+
+/**
+ * Period an entry falls in (UTC)
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} interval - 'day', 'week' (starting Monday) or 'month'
+ * @returns {string} "2024-05-13" for a day or the Monday of a week, "2024-05" for a month
+ */
+function periodOf(timestamp, interval) {
+  const date = new Date(timestamp);
+  if (interval === 'month') return date.toISOString().slice(0, 7);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Group entries by period, oldest first
+ * @param {Array<Object>} entries - Log entries
+ * @param {string} interval - Period length
+ * @returns {Array<[string, Array<Object>]>} Period and its entries
+ */
+function byPeriod(entries, interval) {
+  const periods = new Map();
+  entries
+    .filter(entry => !Number.isNaN(new Date(entry.timestamp).getTime()))
+    .forEach(entry => {
+      const period = periodOf(entry.timestamp, interval);
+      if (!periods.has(period)) periods.set(period, []);
+      periods.get(period).push(entry);
+    });
+  return [...periods.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Count results per field
+ * @param {Array<Object>} entries - Log entries
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Array<Object>} { field, results, match, review, mismatch, passRate, averageConfidence } in first-seen order
+ */
+function fieldCounts(entries, filters) {
+  const fields = new Map();
+  entries.forEach(entry => {
+    resultsOf(entry, filters).forEach(result => {
+      if (!fields.has(result.field)) fields.set(result.field, { match: 0, review: 0, mismatch: 0, confidences: [] });
+      const counts = fields.get(result.field);
+      counts[statusOf(result)]++;
+      if (typeof result.confidence === 'number') counts.confidences.push(result.confidence);
+    });
+  });
+
+  return [...fields.entries()].map(([field, { match, review, mismatch, confidences }]) => ({
+    field,
+    results: match + review + mismatch,
+    match,
+    review,
+    mismatch,
+    passRate: rate(match, match + review + mismatch),
+    averageConfidence: average(confidences)
+  }));
+}
+
+/**
+ * Run outcome: passed (every result matched), review (some need review, none failed) or failed
+ * @param {Object} entry - Log entry
+ * @param {Object} filters - Output of parseFilters
+ * @returns {string|null} Outcome, or null for an entry without results
+ */
+function outcomeOf(entry, filters) {
+  const statuses = resultsOf(entry, filters).map(statusOf);
+  if (statuses.length === 0) return null;
+  if (statuses.includes('mismatch')) return 'failed';
+  return statuses.includes('review') ? 'review' : 'passed';
+}
+
+/**
+ * Average stage durations over the entries that recorded timings
+ * @param {Array<Object>} entries - Log entries
+ * @returns {Object} { runs, preprocessingMs, ocrMs, verificationMs, totalMs }
+ */
+function averageTimings(entries) {
+  const timed = entries.filter(entry => entry.timings && typeof entry.timings.totalMs === 'number');
+  const averages = { runs: timed.length };
+  TIMING_STAGES.forEach(stage => {
+    averages[stage] = average(timed.map(entry => entry.timings[stage]).filter(value => typeof value === 'number'));
+  });
+  return averages;
+}
+
+/**
+ * Totals for the whole period: runs by outcome, per-field counts and average processing time
+ * @param {Array<Object>} entries - Filtered log entries
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Object} Summary
+ */
+function summary(entries, filters) {
+  const outcomes = { passed: 0, review: 0, failed: 0 };
+  entries.forEach(entry => {
+    const outcome = outcomeOf(entry, filters);
+    if (outcome) outcomes[outcome]++;
+  });
+  const runs = outcomes.passed + outcomes.review + outcomes.failed;
+  const timestamps = entries.map(entry => entry.timestamp).filter(Boolean).sort();
+
+  return {
+    runs,
+    ...outcomes,
+    incomplete: entries.filter(entry => entry.incomplete).length,
+    passRate: rate(outcomes.passed, runs),
+    firstRun: timestamps[0] || null,
+    lastRun: timestamps[timestamps.length - 1] || null,
+    fields: fieldCounts(entries, filters),
+    timings: averageTimings(entries)
+  };
+}
+
+/**
+ * Run and per-field pass rates per period, to see whether accuracy moves over time
+ * @param {Array<Object>} entries - Filtered log entries
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Object} { interval, periods: [{ period, runs, passRate, fields: { field: { results, passRate } } }] }
+ */
+function passRates(entries, filters) {
+  return {
+    interval: filters.interval,
+    periods: byPeriod(entries, filters.interval).map(([period, inPeriod]) => {
+      const outcomes = inPeriod.map(entry => outcomeOf(entry, filters)).filter(Boolean);
+      const fields = {};
+      fieldCounts(inPeriod, filters).forEach(({ field, results, passRate }) => { fields[field] = { results, passRate }; });
+      return {
+        period,
+        runs: outcomes.length,
+        passRate: rate(outcomes.filter(outcome => outcome === 'passed').length, outcomes.length),
+        fields
+      };
+    })
+  };
+}
+
+/**
+ * Confidence histogram per field, in ten 10% buckets (100% falls in the last one)
+ * @param {Array<Object>} entries - Filtered log entries
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Object} { buckets, fields: [{ field, count, average, median, histogram }] }
+ */
+function confidence(entries, filters) {
+  const fields = new Map();
+  entries.forEach(entry => {
+    resultsOf(entry, filters)
+      .filter(result => typeof result.confidence === 'number')
+      .forEach(result => {
+        if (!fields.has(result.field)) fields.set(result.field, []);
+        fields.get(result.field).push(Math.min(Math.max(result.confidence, 0), 1));
+      });
+  });
+
+  return {
+    buckets: CONFIDENCE_BUCKETS,
+    fields: [...fields.entries()].map(([field, values]) => {
+      const histogram = new Array(CONFIDENCE_BUCKETS).fill(0);
+      values.forEach(value => { histogram[Math.min(Math.floor(value * CONFIDENCE_BUCKETS), CONFIDENCE_BUCKETS - 1)]++; });
+      const sorted = [...values].sort((a, b) => a - b);
+      return {
+        field,
+        count: values.length,
+        average: average(values),
+        median: Math.round(sorted[Math.floor(sorted.length / 2)] * 1000) / 1000,
+        histogram
+      };
+    })
+  };
+}
+
+/**
+ * Images that fail most often, with the fields they fail on
+ * @param {Array<Object>} entries - Filtered log entries
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Object} { images: [{ imageName, runs, failedRuns, failRate, fields: { field: failures }, lastRun }] }
+ */
+function failures(entries, filters) {
+  const images = new Map();
+  entries.forEach(entry => {
+    const outcome = outcomeOf(entry, filters);
+    if (!outcome) return;
+
+    const name = entry.imageName || '(unnamed)';
+    if (!images.has(name)) images.set(name, { imageName: name, runs: 0, failedRuns: 0, fields: {}, lastRun: null });
+    const image = images.get(name);
+    image.runs++;
+    if (outcome === 'failed') image.failedRuns++;
+    resultsOf(entry, filters)
+      .filter(result => statusOf(result) === 'mismatch')
+      .forEach(result => { image.fields[result.field] = (image.fields[result.field] || 0) + 1; });
+    if (!image.lastRun || entry.timestamp > image.lastRun) image.lastRun = entry.timestamp;
+  });
+
+  return {
+    images: [...images.values()]
+      .filter(image => image.failedRuns > 0)
+      .map(image => ({ ...image, failRate: rate(image.failedRuns, image.runs) }))
+      .sort((a, b) => b.failedRuns - a.failedRuns || b.failRate - a.failRate)
+      .slice(0, filters.top)
+  };
+}
+
+/**
+ * How preprocessing variants and OCR configs are used: how often each one read text, how often it supplied
+ * a field's best match, its average OCR confidence and time
+ * @param {Array<Object>} entries - Filtered log entries
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Object} { variants: [...], configs: [...] }, most used first; runs logged before configs were
+ *   recorded count under "Not recorded"
+ */
+function ocrConfigs(entries, filters) {
+  const variants = new Map();
+  const configs = new Map();
+  const tally = (map, name) => {
+    if (!map.has(name)) map.set(name, { name, runs: 0, bestMatches: 0, confidences: [], durations: [] });
+    return map.get(name);
+  };
+
+  entries.forEach(entry => {
+    const logged = Array.isArray(entry.ocrVariants) ? entry.ocrVariants : [];
+    const configByVariant = new Map(logged.map(variant => [variant.name, variant.config || 'Not recorded']));
+    logged.forEach(variant => {
+      [tally(variants, variant.name), tally(configs, variant.config || 'Not recorded')].forEach(usage => {
+        usage.runs++;
+        if (typeof variant.confidence === 'number') usage.confidences.push(variant.confidence);
+        if (typeof variant.durationMs === 'number') usage.durations.push(variant.durationMs);
+      });
+    });
+    resultsOf(entry, filters)
+      .filter(result => result.variant)
+      .forEach(result => {
+        tally(variants, result.variant).bestMatches++;
+        tally(configs, configByVariant.get(result.variant) || 'Not recorded').bestMatches++;
+      });
+  });
+
+  const report = map => [...map.values()]
+    .map(({ name, runs, bestMatches, confidences, durations }) => ({
+      name,
+      runs,
+      bestMatches,
+      averageConfidence: average(confidences),
+      averageDurationMs: average(durations)
+    }))
+    .sort((a, b) => b.runs - a.runs || b.bestMatches - a.bestMatches);
+
+  return { variants: report(variants), configs: report(configs) };
+}
+
+/**
+ * Average processing time overall and per period
+ * @param {Array<Object>} entries - Filtered log entries
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Object} { interval, average, periods: [{ period, ...averages }] }
+ */
+function timings(entries, filters) {
+  return {
+    interval: filters.interval,
+    average: averageTimings(entries),
+    periods: byPeriod(entries, filters.interval).map(([period, inPeriod]) => ({ period, ...averageTimings(inPeriod) }))
+  };
+}
+
+// Reports served under /api/analytics/:report
+const REPORTS = {
+  summary,
+  'pass-rates': passRates,
+  confidence,
+  failures,
+  'ocr-configs': ocrConfigs,
+  timings
+};
+
+/**
+ * Build every report from one pass over the log
+ * @param {Array<Object>} entries - Filtered log entries
+ * @param {Object} filters - Output of parseFilters
+ * @returns {Object} Report name -> report
+ */
+function allReports(entries, filters) {
+  return Object.fromEntries(Object.entries(REPORTS).map(([name, build]) => [name, build(entries, filters)]));
+}
+
+module.exports = { REPORTS, parseFilters, collect, allReports };
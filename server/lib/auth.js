@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'ttb_session';
+const DEFAULT_SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+// Failed sign-ins allowed per account and per client address within the window, before a lockout of the same length
+const MAX_FAILED_LOGINS_PER_USER = 5;
+const MAX_FAILED_LOGINS_PER_IP = 20;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Read one cookie from a request's Cookie header
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value, or null if not sent
+ */
+function readCookie(req, name) {
+  for (const pair of String(req.headers.cookie || '').split(';')) {
+    const [key, ...value] = pair.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
+/**
+ * Failed sign-ins per key (account or client address) within a window; reaching the limit locks the key out
+ */
+class FailureCounter {
+  /**
+   * @param {number} limit - Failures allowed within the window
+   * @param {number} windowMs - Window length, also the lockout length
+   */
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.failures = new Map();
+  }
+
+  /**
+   * How long a key must wait before trying again
+   * @param {string} key - Account or address
+   * @returns {number} Milliseconds left in its lockout, 0 if it may try
+   */
+  lockedFor(key) {
+    const record = this.failures.get(key);
+    return record?.lockedUntil ? Math.max(0, record.lockedUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Count a failure, locking the key out once it reaches the limit
+   * @param {string} key - Account or address
+   */
+  fail(key) {
+    const now = Date.now();
+    // Forget keys whose window has passed, so the map only holds recent failures
+    for (const [other, record] of this.failures) {
+      if (Math.max(record.since + this.windowMs, record.lockedUntil || 0) <= now) this.failures.delete(other);
+    }
+
+    const record = this.failures.get(key) || { count: 0, since: now };
+    record.count++;
+    if (record.count >= this.limit) record.lockedUntil = now + this.windowMs;
+    this.failures.set(key, record);
+  }
+
+  /**
+   * Forget a key's failures (after a successful sign-in)
+   * @param {string} key - Account or address
+   */
+  reset(key) {
+    this.failures.delete(key);
+  }
+}
+
+/**
+ * Who is calling: browser sessions (cookie) for the UI, API tokens (Authorization: Bearer) for scripts
+ * Sessions live in memory, so restarting the server signs everyone out
+ */
+class Auth {
+  /**
+   * @param {UserStore} userStore - Accounts to check credentials against
+   * @param {Object} options - Optional settings
+   * @param {number} options.sessionTtlMs - How long a session lasts before signing in again
+   */
+  constructor(userStore, { sessionTtlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+    this.userStore = userStore;
+    this.sessionTtlMs = sessionTtlMs;
+    this.sessions = new Map();
+    this.failedLogins = {
+      user: new FailureCounter(MAX_FAILED_LOGINS_PER_USER, LOGIN_LOCKOUT_MS),
+      ip: new FailureCounter(MAX_FAILED_LOGINS_PER_IP, LOGIN_LOCKOUT_MS)
+    };
+  }
+
+  /**
+   * Start a session for a username and password
+   * Too many failures for the account or from the address lock both out for a while, whether or not the password is right
+   * @param {string} username - Username as typed
+   * @param {string} password - Password as typed
+   * @param {string} ip - Client address
+   * @returns {Promise<Object|null>} { id, user }, or null if the credentials are wrong
+   * @throws {Error} With status 429 and retryAfterSeconds while locked out
+   */
+  async login(username, password, ip) {
+    const userKey = String(username ?? '').toLowerCase();
+    const lockedFor = Math.max(this.failedLogins.user.lockedFor(userKey), this.failedLogins.ip.lockedFor(ip));
+    if (lockedFor > 0) {
+      const retryAfterSeconds = Math.ceil(lockedFor / 1000);
+      throw Object.assign(new Error(`Too many failed sign-ins; try again in ${Math.ceil(retryAfterSeconds / 60)} minutes`), {
+        status: 429,
+        retryAfterSeconds
+      });
+    }
+
+    const user = await this.userStore.authenticate(username, password);
+    if (!user) {
+      this.failedLogins.user.fail(userKey);
+      this.failedLogins.ip.fail(ip);
+      return null;
+    }
+
+    this.failedLogins.user.reset(userKey);
+    this.failedLogins.ip.reset(ip);
+
+    const id = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(id, { username: user.username, passwordChangedAt: user.passwordChangedAt, expiresAt: Date.now() + this.sessionTtlMs });
+    return { id, user };
+  }
+
+  /**
+   * End the request's session, if it has one
+   * @param {Object} req - Express request
+   */
+  logout(req) {
+    const id = readCookie(req, SESSION_COOKIE);
+    if (id) this.sessions.delete(id);
+  }
+
+  /**
+   * End every session of an account (after it is deleted)
+   * @param {string} username - Account
+   */
+  endSessions(username) {
+    for (const [id, session] of this.sessions) {
+      if (session.username === username) this.sessions.delete(id);
+    }
+  }
+
+  /**
+   * Identify the caller from the session cookie or an API token
+   * The account is re-read each time, so role changes, deletions and password changes (also made by
+   * scripts/manage-users.js while the server runs) apply at once
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} { username, role, via: 'session'|'token' }, or null if anonymous
+   */
+  async identify(req) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (bearer) {
+      const user = await this.userStore.findByToken(bearer[1]);
+      return user && { username: user.username, role: user.role, via: 'token' };
+    }
+
+    const id = readCookie(req, SESSION_COOKIE);
+    const session = id && this.sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    const user = await this.userStore.find(session.username);
+    if (!user || user.passwordChangedAt !== session.passwordChangedAt) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return { username: user.username, role: user.role, via: 'session' };
+  }
+
+  /**
+   * Middleware that sets req.user, or answers 401 for anonymous callers
+   * @returns {Function} Express middleware
+   */
+  requireUser() {
+    return async (req, res, next) => {
+      try {
+        req.user = await this.identify(req);
+        if (!req.user) {
+          return res.status(401).json({ success: false, message: 'Sign in or send an API token to use this endpoint' });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Middleware (after requireUser) that answers 403 unless the caller has one of the roles
+   * @param {...string} roles - Allowed roles
+   * @returns {Function} Express middleware
+   */
+  requireRole(...roles) {
+    return (req, res, next) => {
+      if (!roles.includes(req.user?.role)) {
+        return res.status(403).json({ success: false, message: `Only ${roles.join(' or ')} accounts can do this` });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Set-Cookie value for a new session
+   * @param {string} id - Session id
+   * @param {Object} req - Express request (Secure is added over HTTPS)
+   * @returns {string} Cookie header value
+   */
+  sessionCookie(id, req) {
+    return `${SESSION_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(this.sessionTtlMs / 1000)}${req.secure ? '; Secure' : ''}`;
+  }
+
+  /**
+   * Set-Cookie value that removes the session cookie
+   * @returns {string} Cookie header value
+   */
+  clearedCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+  }
+}
+
+module.exports = { Auth, SESSION_COOKIE };
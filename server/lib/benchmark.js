@@ -0,0 +1,184 @@
+const PIPELINE = 'pipeline';
+const PIPELINE_RAW_TEXT = 'pipeline (raw text)';
+const THRESHOLD_STEPS = Array.from({ length: 10 }, (_, i) => 0.5 + i * 0.05);
+
+// Same rules as OCRProcessor.processImage: keep the best-scoring config, stop once one reads well
+const ocrScore = run => run.confidence * Math.log(run.text.length + 1);
+const readsWell = run => run.confidence > 80 && run.text.length > 50;
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+const ratio = (part, whole) => (whole ? round(part / whole) : null);
+
+/**
+ * Name of a single variant and config setting
+ * @param {Object} run - sweepLabel run
+ * @returns {string} "variant / config"
+ */
+function settingName(run) {
+  return `${run.variant} / ${run.config}`;
+}
+
+/**
+ * Replay the pipeline's config choice on a sweep: per variant, configs are tried in order and the
+ * best-scoring text is kept, stopping early once one reads well; time only counts the configs that would run
+ * @param {Array<Object>} runs - sweepLabel runs, in OCRProcessor.ocrConfigs order within each variant
+ * @returns {{sources: Array<Object>, durationMs: number}} One { name, text, rawText, config } source per variant
+ *   that read anything, and OCR time summed over variants
+ */
+function simulatePipeline(runs) {
+  const byVariant = new Map();
+  runs.forEach(run => byVariant.set(run.variant, [...(byVariant.get(run.variant) || []), run]));
+
+  const sources = [];
+  let durationMs = 0;
+  for (const [variant, variantRuns] of byVariant) {
+    let best = null;
+    for (const run of variantRuns) {
+      durationMs += run.durationMs;
+      if (run.error) continue;
+      if (!best || ocrScore(run) > ocrScore(best)) best = run;
+      if (readsWell(run)) break;
+    }
+    if (best) sources.push({ name: variant, text: best.text, rawText: best.rawText, config: best.config });
+  }
+  return { sources, durationMs };
+}
+
+/**
+ * Swap normalized OCR text for what Tesseract read (only whitespace collapsed), to measure the normalization rules
+ * @param {Array<Object>} sources - Sources with text and rawText
+ * @returns {Array<Object>} Same sources, text replaced
+ */
+function withRawText(sources) {
+  return sources.map(source => ({ ...source, text: (source.rawText || '').replace(/\s+/g, ' ').trim() }));
+}
+
+/**
+ * Turn verification results into scored cases
+ * A field the verifier didn't report (no text was read) counts as a mismatch with no confidence
+ * @param {Array<Object>} results - textVerifier results
+ * @param {Object} fields - Field values that were verified
+ * @param {boolean} expected - Whether the values are on the label (good values) or not (bad values)
+ * @returns {Array<Object>} { field, expected, status, confidence } per field
+ */
+function toCases(results, fields, expected) {
+  return Object.keys(fields).map(field => {
+    const result = results.find(item => item.field === field);
+    return {
+      field,
+      expected,
+      status: result ? result.status : 'mismatch',
+      confidence: result ? round(result.confidence) : 0
+    };
+  });
+}
+
+/**
+ * Precision, recall and false-accept rate of a set of cases
+ * Only a match counts as accepted; "review" results are counted separately as well
+ * @param {Array<Object>} cases - toCases output
+ * @param {Function} accepted - Whether a case was accepted (defaults to status "match")
+ * @returns {Object} Counts and rates (null when a rate has nothing to divide by)
+ */
+function score(cases, accepted = item => item.status === 'match') {
+  const counts = { truePositives: 0, falseNegatives: 0, falsePositives: 0, trueNegatives: 0 };
+  cases.forEach(item => {
+    const isAccepted = accepted(item);
+    if (item.expected) counts[isAccepted ? 'truePositives' : 'falseNegatives']++;
+    else counts[isAccepted ? 'falsePositives' : 'trueNegatives']++;
+  });
+  const { truePositives, falseNegatives, falsePositives, trueNegatives } = counts;
+
+  return {
+    ...counts,
+    precision: ratio(truePositives, truePositives + falsePositives),
+    recall: ratio(truePositives, truePositives + falseNegatives),
+    falseAcceptRate: ratio(falsePositives, falsePositives + trueNegatives),
+    reviewRate: ratio(cases.filter(item => item.status === 'review').length, cases.length)
+  };
+}
+
+/**
+ * Score cases overall and per field
+ * @param {Array<Object>} cases - toCases output
+ * @returns {Object} { overall, fields }, fields in name order
+ */
+function summarize(cases) {
+  const fields = [...new Set(cases.map(item => item.field))].sort();
+  return {
+    overall: score(cases),
+    fields: Object.fromEntries(fields.map(field => [field, score(cases.filter(item => item.field === field))]))
+  };
+}
+
+/**
+ * What a single pass threshold would give, from 0.5 to 0.95 (matcher review reasons are ignored)
+ * @param {Array<Object>} cases - toCases output
+ * @returns {Array<Object>} { threshold, precision, recall, falseAcceptRate } per step
+ */
+function thresholdCurve(cases) {
+  return THRESHOLD_STEPS.map(step => {
+    const threshold = round(step, 2);
+    const { precision, recall, falseAcceptRate } = score(cases, item => item.confidence >= threshold);
+    return { threshold, precision, recall, falseAcceptRate };
+  });
+}
+
+/**
+ * Sort an object's keys so reports diff cleanly between runs
+ * @param {Object} object - Object keyed by name
+ * @returns {Object} Same entries, keys sorted
+ */
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Build the benchmark report
+ * @param {Object} run - Benchmark input and results
+ * @param {string} run.commit - Commit the benchmark ran on
+ * @param {Object} run.options - Ground truth file, images, variants, configs and thresholds used
+ * @param {Array<Object>} run.images - Per image: { file, beverageType, preprocessingMs, errors,
+ *   settings: { [setting]: { cases, durationMs } } }
+ * @returns {Object} Report: metrics per setting (overall and per field), threshold curves for the pipeline,
+ *   per-image cases for the pipeline and timings
+ */
+function buildReport({ commit, options, images }) {
+  const casesBySetting = {};
+  const ocrMsBySetting = {};
+  images.forEach(image => Object.entries(image.settings).forEach(([setting, { cases, durationMs }]) => {
+    casesBySetting[setting] = [...(casesBySetting[setting] || []), ...cases];
+    ocrMsBySetting[setting] = [...(ocrMsBySetting[setting] || []), durationMs];
+  }));
+  const average = values => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+  const pipelineSettings = [PIPELINE, PIPELINE_RAW_TEXT].filter(setting => casesBySetting[setting]);
+
+  return {
+    commit,
+    options,
+    settings: sortKeys(Object.fromEntries(Object.entries(casesBySetting).map(([setting, cases]) => [setting, summarize(cases)]))),
+    thresholdCurves: Object.fromEntries(pipelineSettings.map(setting => [setting, thresholdCurve(casesBySetting[setting])])),
+    images: Object.fromEntries(images.map(image => [image.file, {
+      beverageType: image.beverageType,
+      errors: image.errors,
+      ...Object.fromEntries(pipelineSettings.map(setting => [setting, image.settings[setting].cases]))
+    }])),
+    timings: {
+      preprocessingMs: Object.fromEntries(images.map(image => [image.file, image.preprocessingMs])),
+      averageOcrMsPerImage: sortKeys(Object.fromEntries(Object.entries(ocrMsBySetting).map(([setting, values]) => [setting, average(values)])))
+    }
+  };
+}
+
+module.exports = {
+  PIPELINE,
+  PIPELINE_RAW_TEXT,
+  settingName,
+  simulatePipeline,
+  withRawText,
+  toCases,
+  score,
+  summarize,
+  thresholdCurve,
+  buildReport
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tiff'
+};
+
+/**
+ * Label images for logged runs, one file per log entry id
+ * Kept out of the JSONL log so entries stay small enough to scan
+ */
+class ImageStore {
+  /**
+   * @param {string} directory - Folder holding the images
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Save the image for a log entry
+   * @param {string} id - Log entry id
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} mimeType - Image MIME type
+   * @returns {Promise<Object>} Reference stored on the log entry ({ file, mimeType })
+   */
+  async save(id, buffer, mimeType) {
+    const extension = EXTENSIONS[mimeType] || 'img';
+    const file = `${id}.${extension}`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(path.join(this.directory, file), buffer);
+    return { file, mimeType };
+  }
+
+  /**
+   * Save an image sent as a data URL (as the browser client does)
+   * @param {string} id - Log entry id
+   * @param {string} dataUrl - data:image/...;base64,... string
+   * @returns {Promise<Object|null>} Reference, or null if the value is not an image data URL
+   */
+  async saveDataUrl(id, dataUrl) {
+    const match = /^data:(image\/[\w.+-]+);base64,(.+)$/s.exec(String(dataUrl || ''));
+    if (!match) return null;
+    return this.save(id, Buffer.from(match[2], 'base64'), match[1]);
+  }
+
+  /**
+   * Read a stored image
+   * @param {Object} reference - Reference from save()
+   * @returns {Promise<Object|null>} { buffer, mimeType }, or null if missing
+   */
+  async load(reference) {
+    if (!reference?.file) return null;
+
+    // Only plain file names are stored; never follow a path out of the folder
+    const filePath = path.join(this.directory, path.basename(reference.file));
+    if (!fs.existsSync(filePath)) return null;
+    // The type ends up in report markup (data: URLs), so only known image types are passed on
+    const mimeType = EXTENSIONS[reference.mimeType] ? reference.mimeType : 'application/octet-stream';
+    return { buffer: await fs.promises.readFile(filePath), mimeType };
+  }
+
+  /**
+   * Delete one stored image
+   * @param {Object} reference - Reference from save()
+   */
+  async remove(reference) {
+    if (!reference?.file) return;
+    await fs.promises.rm(path.join(this.directory, path.basename(reference.file)), { force: true });
+  }
+
+  /**
+   * Remove all stored images
+   */
+  async clear() {
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = { ImageStore };
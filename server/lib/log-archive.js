@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { LogStore } = require('./log-store');
+
+const UNDATED = 'undated';
+const NAME_PATTERN = /^(?:\d{4}-\d{2}|undated)$/;
+const FILE_PATTERN = /^verification-log-(\d{4}-\d{2}|undated)\.jsonl$/;
+
+/**
+ * Parse and validate the retention settings
+ * @param {Object} input - { archiveAfterDays }: entries older than this many days are archived (null keeps them all)
+ * @returns {{retention: Object, problems: Array<string>}} Cleaned settings, and problems (empty if valid)
+ */
+function validateRetention(input) {
+  const days = input?.archiveAfterDays ?? null;
+  if (days !== null && (!Number.isInteger(days) || days < 1)) {
+    return { retention: null, problems: ['retention.archiveAfterDays must be a positive whole number of days, or null to keep every entry'] };
+  }
+  return { retention: { archiveAfterDays: days }, problems: [] };
+}
+
+/**
+ * Verification log entries moved out of the live log, one JSONL file per month of the entries' timestamps
+ * Archived entries carry their reviewer overrides and an `archived` stamp ({ at, by, reason }), and can be restored
+ */
+class LogArchive {
+  /**
+   * @param {string} directory - Folder holding the archive files
+   * @param {Object} live - Stores entries are archived from and restored to
+   * @param {LogStore} live.logStore - Verification log
+   * @param {LogStore} live.overrideStore - Reviewer overrides (by logId)
+   */
+  constructor(directory, { logStore, overrideStore }) {
+    this.directory = directory;
+    this.logStore = logStore;
+    this.overrideStore = overrideStore;
+    // One store per file, so each file's writes are queued in order
+    this.stores = new Map();
+    // Archiving, restoring and purging run one at a time, so an entry is never moved twice
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a task after every archive, restore or purge already queued
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} The task's result
+   */
+  serialize(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Move live entries, with their overrides, into the archives for their months
+   * Entries and overrides are picked while both live files are locked, so nothing appended meanwhile is lost;
+   * the archive is written before they leave the live files, so a crash in between duplicates rather than loses them
+   * @param {Function} predicate - Whether an entry should be archived
+   * @param {Object} stamp - { by, reason } recorded on each archived entry
+   * @returns {Promise<Object>} { archived: count, archives: names written to }
+   */
+  archive(predicate, { by, reason }) {
+    return this.serialize(async () => {
+      let result = { archived: 0, archives: [] };
+      await this.logStore.rewrite(async entries => {
+        const taken = entries.filter(predicate);
+        if (taken.length === 0) return null;
+
+        const ids = new Set(taken.map(entry => entry.id));
+        await this.overrideStore.rewrite(async overrides => {
+          const byLog = new Map();
+          overrides.filter(override => ids.has(override.logId)).forEach(override => {
+            byLog.set(override.logId, [...(byLog.get(override.logId) || []), override]);
+          });
+          const archives = await this.add(taken, byLog, { at: new Date().toISOString(), by, reason });
+          result = { archived: taken.length, archives };
+          return byLog.size > 0 ? overrides.filter(override => !ids.has(override.logId)) : null;
+        });
+        return entries.filter(entry => !ids.has(entry.id));
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Move archived entries and their overrides back into the live log, in timestamp order
+   * Entries whose id is already live (e.g., restored before a crash) are only dropped from the archive
+   * @param {string} name - Archive name
+   * @param {Array<string>|null} ids - Entry ids to restore (all if null)
+   * @returns {Promise<number>} Entries put back
+   */
+  restore(name, ids) {
+    return this.serialize(async () => {
+      const { entries, overrides } = await this.read(name, ids);
+      let restored = 0;
+      await this.logStore.rewrite(async live => {
+        const liveIds = new Set(live.map(entry => entry.id));
+        const restoring = entries.filter(entry => !liveIds.has(entry.id));
+        if (restoring.length === 0) return null;
+
+        const restoringIds = new Set(restoring.map(entry => entry.id));
+        const restoringOverrides = overrides.filter(override => restoringIds.has(override.logId));
+        if (restoringOverrides.length > 0) {
+          await this.overrideStore.rewrite(existing => LogStore.mergeByTime(existing, restoringOverrides));
+        }
+        restored = restoring.length;
+        return LogStore.mergeByTime(live, restoring);
+      });
+      await this.discard(name, entries.map(entry => entry.id));
+      return restored;
+    });
+  }
+
+  /**
+   * Delete an archive, or some of its entries, for good
+   * @param {string} name - Archive name
+   * @param {Array<string>|null} ids - Entry ids to delete (the whole archive if null)
+   * @returns {Promise<Array<Object>>} Entries deleted (so their images can be deleted too)
+   */
+  purge(name, ids = null) {
+    return this.serialize(async () => {
+      const store = this.store(name);
+      if (ids) {
+        const { entries } = await this.read(name, ids);
+        if (entries.length > 0) await this.discard(name, ids);
+        return entries;
+      }
+
+      const entries = await store.readAll();
+      await store.clear();
+      return entries;
+    });
+  }
+
+  /**
+   * Archive an entry belongs to: the UTC month of its timestamp
+   * @param {Object} entry - Log entry
+   * @returns {string} "YYYY-MM", or "undated" without a readable timestamp
+   */
+  static nameFor(entry) {
+    const date = new Date(entry.timestamp);
+    return Number.isNaN(date.getTime()) ? UNDATED : date.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Store for one archive
+   * @param {string} name - Archive name ("YYYY-MM" or "undated")
+   * @returns {LogStore} Archive file as a log store
+   * @throws {Error} With status 404 for a name that is not an archive name
+   */
+  store(name) {
+    if (!NAME_PATTERN.test(String(name))) {
+      throw Object.assign(new Error(`No archive "${name}" (names are YYYY-MM months)`), { status: 404 });
+    }
+    if (!this.stores.has(name)) {
+      this.stores.set(name, new LogStore(path.join(this.directory, `verification-log-${name}.jsonl`)));
+    }
+    return this.stores.get(name);
+  }
+
+  /**
+   * Whether an archive file exists
+   * @param {string} name - Archive name
+   * @returns {boolean} True if it exists
+   */
+  has(name) {
+    return NAME_PATTERN.test(String(name)) && fs.existsSync(this.store(name).filePath);
+  }
+
+  /**
+   * Add entries to the archives for their months (inside archive())
+   * @param {Array<Object>} entries - Entries taken from the live log
+   * @param {Map} overridesByLog - Log id -> the entry's overrides, kept with it
+   * @param {Object} archived - { at, by, reason } stamped on each entry
+   * @returns {Promise<Array<string>>} Names of the archives written to
+   */
+  async add(entries, overridesByLog, archived) {
+    const names = new Set();
+    for (const entry of entries) {
+      const name = LogArchive.nameFor(entry);
+      await this.store(name).append({ ...entry, overrides: overridesByLog.get(entry.id) || [], archived });
+      names.add(name);
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * Read archived entries, split back into entries and overrides as they were before archiving (inside restore())
+   * @param {string} name - Archive name
+   * @param {Array<string>|null} ids - Entry ids to read (all if null)
+   * @returns {Promise<Object>} { entries, overrides }
+   */
+  async read(name, ids = null) {
+    const archived = (await this.store(name).readAll()).filter(entry => !ids || ids.includes(entry.id));
+    return {
+      entries: archived.map(({ overrides, archived: stamp, ...entry }) => entry),
+      overrides: archived.flatMap(entry => entry.overrides || [])
+    };
+  }
+
+  /**
+   * Drop entries from an archive after restoring them (inside restore()); the file is removed once it is empty
+   * @param {string} name - Archive name
+   * @param {Array<string>} ids - Entry ids to drop
+   * @returns {Promise<void>}
+   */
+  async discard(name, ids) {
+    const store = this.store(name);
+    await store.extract(entry => ids.includes(entry.id));
+    // Unreadable lines are kept by extract, so only a truly empty file goes
+    if ((await fs.promises.stat(store.filePath)).size === 0) await store.clear();
+  }
+
+  /**
+   * Summary of every archive
+   * @returns {Promise<Array<Object>>} { name, entries, from, to, reasons } per archive, oldest first
+   */
+  async list() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    const names = (await fs.promises.readdir(this.directory))
+      .map(file => FILE_PATTERN.exec(file)?.[1])
+      .filter(Boolean)
+      .sort();
+
+    const archives = [];
+    for (const name of names) {
+      const entries = await this.store(name).readAll();
+      const timestamps = entries.map(entry => entry.timestamp).filter(Boolean).sort();
+      const reasons = {};
+      entries.forEach(entry => { reasons[entry.archived?.reason] = (reasons[entry.archived?.reason] || 0) + 1; });
+      archives.push({ name, entries: entries.length, from: timestamps[0] || null, to: timestamps[timestamps.length - 1] || null, reasons });
+    }
+    return archives;
+  }
+}
+
+module.exports = { LogArchive, validateRetention };
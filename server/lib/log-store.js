@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Append-only verification log stored as JSON Lines (one entry per line)
+ * Writes only ever append a line, so a POST never has to read or rewrite earlier entries
+ */
+class LogStore {
+  /**
+   * @param {string} filePath - Path of the .jsonl file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Serializes appends from this process so lines are never interleaved
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Create the logs directory if needed
+   */
+  ensureDirectory() {
+    const logsDir = path.dirname(this.filePath);
+    if (!fs.existsSync(logsDir)) {
+      fs.mkdirSync(logsDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Append one entry
+   * @param {Object} entry - Log data (a timestamp is added unless present)
+   * @returns {Promise<Object>} Stored entry including its id
+   */
+  append(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry, id: entry.id || crypto.randomUUID() };
+    const write = this.writeQueue.then(() => {
+      this.ensureDirectory();
+      return fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n');
+    });
+
+    // Keep the queue alive even if this write fails
+    this.writeQueue = write.catch(() => {});
+    return write.then(() => record);
+  }
+
+  /**
+   * Give an entry written without an id (by older versions) one derived from its line,
+   * so it can be fetched or deleted by id and keeps that id once the file is rewritten
+   * @param {Object} entry - Parsed entry
+   * @param {string} line - Line it was parsed from
+   * @returns {Object} Entry with an id
+   */
+  static withStableId(entry, line) {
+    if (entry.id) return entry;
+    return { ...entry, id: `legacy-${crypto.createHash('sha256').update(line).digest('hex').slice(0, 16)}` };
+  }
+
+  /**
+   * Read every line without waiting for queued writes (for use inside the write queue)
+   * @yields {Object} { entry } per readable line, { line, lineNumber, error } per unreadable one
+   */
+  async *readRecords() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, 'utf8'),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      try {
+        yield { entry: LogStore.withStableId(JSON.parse(line), line) };
+      } catch (error) {
+        yield { line, lineNumber, error };
+      }
+    }
+  }
+
+  /**
+   * Iterate over all stored entries in write order
+   * Lines that cannot be parsed (e.g., a write cut short by a crash) are skipped
+   */
+  async *entries() {
+    await this.writeQueue;
+    for await (const record of this.readRecords()) {
+      if (record.error) {
+        console.warn(`Skipping unreadable log line ${record.lineNumber}: ${record.error.message}`);
+        continue;
+      }
+      yield record.entry;
+    }
+  }
+
+  /**
+   * Read every entry into memory
+   * @returns {Promise<Array>} All entries in write order
+   */
+  async readAll() {
+    const logs = [];
+    for await (const entry of this.entries()) logs.push(entry);
+    return logs;
+  }
+
+  /**
+   * Find an entry by id
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|null>} Entry, or null if not found
+   */
+  async find(id) {
+    for await (const entry of this.entries()) {
+      if (entry.id === id) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Parse and validate query-string filters
+   * @param {Object} query - Raw query parameters
+   * @returns {Object} Normalized filters
+   * @throws {Error} With status 400 for invalid values
+   */
+  static parseFilters(query = {}) {
+    const invalid = message => Object.assign(new Error(message), { status: 400 });
+    const toDate = (value, name, endOfDay) => {
+      if (!value) return null;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw invalid(`Invalid ${name} date "${value}"`);
+      // A bare date for "to" includes that whole day
+      if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+      return date;
+    };
+    const toPositiveInt = (value, name, fallback) => {
+      if (value === undefined || value === '') return fallback;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) throw invalid(`${name} must be a positive integer`);
+      return number;
+    };
+
+    if (query.status && !['pass', 'fail'].includes(query.status)) {
+      throw invalid('status must be "pass" or "fail"');
+    }
+    if (query.sort && !['asc', 'desc'].includes(query.sort)) {
+      throw invalid('sort must be "asc" or "desc"');
+    }
+
+    return {
+      from: toDate(query.from, 'from', false),
+      to: toDate(query.to, 'to', true),
+      imageName: query.imageName ? String(query.imageName).toLowerCase() : null,
+      reviewer: query.reviewer || null,
+      field: query.field || null,
+      status: query.status || null,
+      // Newest first, so a plain query returns the latest entries rather than the oldest
+      sort: query.sort || 'desc',
+      page: toPositiveInt(query.page, 'page', 1),
+      limit: Math.min(toPositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT)
+    };
+  }
+
+  /**
+   * Whether an entry satisfies the filters
+   * Without `field`, pass/fail refers to the whole run (every result found)
+   * @param {Object} entry - Log entry
+   * @param {Object} filters - Output of parseFilters
+   * @returns {boolean} True if the entry matches
+   */
+  static matches(entry, filters) {
+    const timestamp = new Date(entry.timestamp);
+    if (filters.from && !(timestamp >= filters.from)) return false;
+    if (filters.to && !(timestamp < filters.to)) return false;
+
+    if (filters.imageName && !String(entry.imageName || '').toLowerCase().includes(filters.imageName)) {
+      return false;
+    }
+    if (filters.reviewer && entry.reviewer !== filters.reviewer) return false;
+
+    const results = Array.isArray(entry.results) ? entry.results : [];
+    const scoped = filters.field ? results.filter(result => result.field === filters.field) : results;
+    if (filters.field && scoped.length === 0) return false;
+
+    if (filters.status) {
+      const passed = scoped.length > 0 && scoped.every(result => result.found);
+      if (passed !== (filters.status === 'pass')) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Filtered, paginated query
+   * @param {Object} filters - Output of parseFilters
+   * @returns {Promise<Object>} Page of logs with total count
+   */
+  async query(filters) {
+    const matched = [];
+    for await (const entry of this.entries()) {
+      if (LogStore.matches(entry, filters)) matched.push(entry);
+    }
+
+    if (filters.sort === 'desc') matched.reverse();
+
+    const start = (filters.page - 1) * filters.limit;
+    return {
+      logs: matched.slice(start, start + filters.limit),
+      total: matched.length,
+      page: filters.page,
+      limit: filters.limit,
+      pages: Math.ceil(matched.length / filters.limit)
+    };
+  }
+
+  /**
+   * Replace the entries with a function of them, between appends
+   * The new file is written beside the old one and renamed over it, so a crash never leaves half a log;
+   * unreadable lines are kept as they are. Appends and other rewrites wait until `change` has finished,
+   * so it can also update other stores based on exactly the entries it was given
+   * @param {Function} change - Receives the entries in write order and returns the entries to keep (null leaves the file as it is)
+   * @returns {Promise<void>}
+   */
+  rewrite(change) {
+    const run = this.writeQueue.then(async () => {
+      const entries = [];
+      const unreadable = [];
+      for await (const record of this.readRecords()) {
+        if (record.error) unreadable.push(record.line);
+        else entries.push(record.entry);
+      }
+
+      const kept = await change(entries);
+      if (!kept) return;
+
+      const lines = [...unreadable, ...kept.map(entry => JSON.stringify(entry))];
+      const temporary = `${this.filePath}.tmp`;
+      this.ensureDirectory();
+      await fs.promises.writeFile(temporary, lines.map(line => `${line}\n`).join(''));
+      await fs.promises.rename(temporary, this.filePath);
+    });
+
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Take entries out of the log
+   * @param {Function} predicate - Whether an entry should be taken
+   * @returns {Promise<Array>} Entries taken, in write order
+   */
+  async extract(predicate) {
+    let taken = [];
+    await this.rewrite(entries => {
+      taken = entries.filter(predicate);
+      return entries.filter(entry => !predicate(entry));
+    });
+    return taken;
+  }
+
+  /**
+   * Put entries in timestamp order among others (e.g., restored from an archive)
+   * @param {Array} existing - Entries in write order
+   * @param {Array} entries - Entries to add
+   * @returns {Array} Merged entries
+   */
+  static mergeByTime(existing, entries) {
+    const time = entry => new Date(entry.timestamp).getTime();
+    const merged = [...existing];
+    entries.forEach(entry => {
+      const index = merged.findIndex(other => time(other) > time(entry));
+      merged.splice(index === -1 ? merged.length : index, 0, entry);
+    });
+    return merged;
+  }
+
+  /**
+   * Remove all entries
+   */
+  async clear() {
+    await this.writeQueue;
+    if (fs.existsSync(this.filePath)) {
+      await fs.promises.unlink(this.filePath);
+    }
+  }
+
+  /**
+   * Import entries from a legacy verification-log.json (a JSON array)
+   * @param {string} jsonPath - Path of the legacy file
+   * @returns {Promise<number>} Number of entries imported
+   */
+  async importJsonFile(jsonPath) {
+    const logs = JSON.parse(await fs.promises.readFile(jsonPath, 'utf8'));
+    if (!Array.isArray(logs)) {
+      throw new Error(`${jsonPath} does not contain an array of log entries`);
+    }
+
+    for (const entry of logs) {
+      await this.append(entry);
+    }
+    return logs.length;
+  }
+}
+
+module.exports = { LogStore };
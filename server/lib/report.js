@@ -0,0 +1,258 @@
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+
+const IMAGE_TAG_LABELS = { front: 'Front', back: 'Back', neck: 'Neck', other: 'Other' };
+
+const STATUS_LABELS = { match: 'Match', review: 'Needs Review', mismatch: 'Not Found' };
+const FINAL_CLASSES = { Pass: 'pass', Fail: 'fail', 'Needs Review': 'review' };
+
+const FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+/**
+ * Turn a camelCase field id into a readable label (as in the results panel)
+ * @param {string} field - Field id
+ * @returns {string} Label
+ */
+function fieldLabel(field) {
+  const spaced = field.replace(/([A-Z])/g, ' $1').trim();
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+/**
+ * Describe the match threshold a result was judged against
+ * @param {Object} threshold - { pass, review, source } recorded on the result
+ * @returns {string} e.g. "90% (review from 75%, field setting)", or '' for results without one
+ */
+function describeThreshold(threshold) {
+  if (!threshold) return '';
+  const percent = value => `${Math.round(value * 100)}%`;
+  return `${percent(threshold.pass)} (${threshold.review !== null ? `review from ${percent(threshold.review)}, ` : ''}${threshold.source} setting)`;
+}
+
+/**
+ * One row per field result, combining the automatic result with the reviewer's final decision
+ * @param {Object} entry - Log entry
+ * @param {Object} decisions - Output of finalDecisions
+ * @returns {Array<Object>} Report rows
+ */
+function buildRows(entry, decisions) {
+  return (entry.results || []).map(result => {
+    const decision = decisions[result.field];
+    const override = decision?.override;
+    // A needs-review result stays open until a reviewer decides
+    const unreviewed = result.status === 'review' ? 'Needs Review' : (result.found ? 'Pass' : 'Fail');
+    return {
+      field: result.field,
+      label: fieldLabel(result.field),
+      input: result.input ?? '',
+      automatic: STATUS_LABELS[result.status] || (result.found ? 'Match' : 'Not Found'),
+      confidence: typeof result.confidence === 'number' ? `${(result.confidence * 100).toFixed(0)}%` : '',
+      threshold: describeThreshold(result.threshold),
+      bestMatch: result.bestMatch ?? '',
+      variant: result.variant ?? '',
+      image: result.labelImage ? imageCaption(result.labelImage) : '',
+      final: override ? (decision.final ? 'Pass' : 'Fail') : unreviewed,
+      overrideNote: override ? `${override.decision === 'accept' ? 'Accepted' : 'Rejected'} by ${override.reviewer}: ${override.reason}` : ''
+    };
+  });
+}
+
+/**
+ * Caption for a label image, e.g. "Back label (back.jpg)"
+ * @param {Object} image - { name, tag }
+ * @returns {string} Caption (just the file name for untagged images)
+ */
+function imageCaption({ name, tag }) {
+  if (!tag) return name || '';
+  return `${IMAGE_TAG_LABELS[tag] || tag} label${name ? ` (${name})` : ''}`;
+}
+
+/**
+ * @param {string} text - Raw text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Printable, self-contained HTML report (label images are embedded as data URLs)
+ * @param {Object} entry - Log entry
+ * @param {Object} decisions - Output of finalDecisions
+ * @param {Array<Object>} images - { name, tag, buffer, mimeType } per stored label image
+ * @returns {string} HTML document
+ */
+function renderHtml(entry, decisions, images = []) {
+  const rows = buildRows(entry, decisions);
+  const fields = Object.entries(entry.fields || {});
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Label Verification Report - ${escapeHtml(entry.imageName)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #222; margin: 2rem; font-size: 14px; }
+  h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; border-bottom: 2px solid #dee2e6; padding-bottom: 0.25rem; margin-top: 1.5rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #dee2e6; padding: 0.375rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f8f9fa; }
+  .meta { color: #6c757d; }
+  .pass { color: #155724; font-weight: 600; }
+  .fail { color: #721c24; font-weight: 600; }
+  .review { color: #856404; font-weight: 600; }
+  .label-image { max-width: 100%; max-height: 600px; border: 1px solid #dee2e6; }
+  figure { margin: 0 0 1rem; }
+  pre { white-space: pre-wrap; background: #f8f9fa; padding: 0.75rem; border: 1px solid #dee2e6; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>Label Verification Report</h1>
+<p class="meta">
+  Image: ${escapeHtml(entry.imageName)}<br>
+  Beverage type: ${escapeHtml(entry.beverageType || 'n/a')}<br>
+  Verified: ${escapeHtml(entry.timestamp)}<br>
+  Reviewer: ${escapeHtml(entry.reviewer || 'n/a')}<br>
+  Log entry: ${escapeHtml(entry.id)}
+</p>
+
+<h2>Label ${images.length > 1 ? 'Images' : 'Image'}</h2>
+${images.length
+    ? images.map(image => `<figure>
+  <img class="label-image" alt="${escapeHtml(imageCaption(image) || 'Label image')}" src="data:${escapeHtml(image.mimeType)};base64,${image.buffer.toString('base64')}">
+  ${images.length > 1 ? `<figcaption class="meta">${escapeHtml(imageCaption(image))}</figcaption>` : ''}
+</figure>`).join('\n')
+    : '<p class="meta">Image not available for this run</p>'}
+
+<h2>Application Values</h2>
+<table>
+  <tr><th>Field</th><th>Value</th></tr>
+  ${fields.map(([field, value]) => `<tr><td>${escapeHtml(fieldLabel(field))}</td><td>${escapeHtml(value)}</td></tr>`).join('\n  ')}
+</table>
+
+<h2>Verification Results</h2>
+<table>
+  <tr><th>Field</th><th>Expected</th><th>Automatic</th><th>Confidence</th><th>Pass At</th><th>Best OCR Match</th><th>Variant</th><th>Found On</th><th>Final</th></tr>
+  ${rows.map(row => `<tr>
+    <td>${escapeHtml(row.label)}</td>
+    <td>${escapeHtml(row.input)}</td>
+    <td>${row.automatic}</td>
+    <td>${row.confidence}</td>
+    <td>${escapeHtml(row.threshold)}</td>
+    <td>${escapeHtml(row.bestMatch)}</td>
+    <td>${escapeHtml(row.variant)}</td>
+    <td>${escapeHtml(row.image)}</td>
+    <td><span class="${FINAL_CLASSES[row.final]}">${row.final}</span>${row.overrideNote ? `<br><span class="meta">${escapeHtml(row.overrideNote)}</span>` : ''}</td>
+  </tr>`).join('\n  ')}
+</table>
+
+<h2>Raw OCR Text</h2>
+<pre>${escapeHtml(entry.ocrText || '')}</pre>
+</body>
+</html>
+`;
+}
+
+/**
+ * Cells starting with =, +, -, @, tab or carriage return are run as formulas by spreadsheets; OCR text, form values
+ * and override reasons are untrusted, so such cells get a leading apostrophe and are shown as text
+ * @param {*} value - Cell value
+ * @returns {string} CSV-quoted cell
+ */
+function csvCell(value) {
+  const raw = String(value ?? '');
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV report: one row per field result, then the raw OCR text as a final row
+ * @param {Object} entry - Log entry
+ * @param {Object} decisions - Output of finalDecisions
+ * @returns {string} CSV text
+ */
+function renderCsv(entry, decisions) {
+  const header = ['logId', 'timestamp', 'imageName', 'beverageType', 'reviewer', 'field', 'expected', 'automatic', 'confidence', 'bestMatch', 'variant', 'final', 'override', 'foundOn', 'threshold'];
+  const context = [entry.id, entry.timestamp, entry.imageName, entry.beverageType, entry.reviewer];
+
+  const lines = [header];
+  buildRows(entry, decisions).forEach(row => {
+    lines.push([...context, row.field, row.input, row.automatic, row.confidence, row.bestMatch, row.variant, row.final, row.overrideNote, row.image, row.threshold]);
+  });
+  lines.push([...context, 'ocrText', entry.ocrText || '', '', '', '', '', '', '', '', '']);
+
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * PDF report with the same sections as the HTML version
+ * @param {Object} entry - Log entry
+ * @param {Object} decisions - Output of finalDecisions
+ * @param {Array<Object>} images - { name, tag, buffer, mimeType } per stored label image
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderPdf(entry, decisions, images = []) {
+  // PDFKit embeds JPEG and PNG only
+  const imageBuffers = await Promise.all(images.map(image => (['image/jpeg', 'image/png'].includes(image.mimeType)
+    ? image.buffer
+    : sharp(image.buffer).png().toBuffer())));
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const heading = text => doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text).font('Helvetica').fontSize(10).moveDown(0.3);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Label Verification Report');
+  doc.font('Helvetica').fontSize(10).fillColor('#555')
+    .text(`Image: ${entry.imageName || ''}`)
+    .text(`Beverage type: ${entry.beverageType || 'n/a'}`)
+    .text(`Verified: ${entry.timestamp || ''}`)
+    .text(`Reviewer: ${entry.reviewer || 'n/a'}`)
+    .text(`Log entry: ${entry.id}`)
+    .fillColor('black');
+
+  heading(images.length > 1 ? 'Label Images' : 'Label Image');
+  if (imageBuffers.length === 0) {
+    doc.text('Image not available for this run');
+  }
+  imageBuffers.forEach((buffer, index) => {
+    if (images.length > 1) doc.text(imageCaption(images[index]));
+    doc.image(buffer, { fit: [doc.page.width - 100, images.length > 1 ? 200 : 300] });
+    doc.moveDown(0.5);
+  });
+
+  heading('Application Values');
+  Object.entries(entry.fields || {}).forEach(([field, value]) => {
+    doc.font('Helvetica-Bold').text(`${fieldLabel(field)}: `, { continued: true }).font('Helvetica').text(String(value ?? ''));
+  });
+
+  heading('Verification Results');
+  buildRows(entry, decisions).forEach(row => {
+    doc.font('Helvetica-Bold').text(`${row.label}: `, { continued: true })
+      .fillColor({ Pass: '#155724', Fail: '#721c24' }[row.final] || '#856404').text(row.final)
+      .fillColor('black').font('Helvetica')
+      .text(`Expected "${row.input}" - automatic ${row.automatic}${row.confidence ? ` (${row.confidence}${row.threshold ? `, pass at ${row.threshold}` : ''})` : ''}`, { indent: 12 });
+    if (row.bestMatch) doc.text(`Best OCR match: "${row.bestMatch}"${row.variant ? ` [${row.variant}]` : ''}${row.image ? ` on ${row.image}` : ''}`, { indent: 12 });
+    if (row.overrideNote) doc.text(row.overrideNote, { indent: 12 });
+    doc.moveDown(0.3);
+  });
+
+  heading('Raw OCR Text');
+  doc.font('Courier').fontSize(8).text(entry.ocrText || '');
+
+  doc.end();
+  return finished;
+}
+
+module.exports = { FORMATS, renderHtml, renderCsv, renderPdf };
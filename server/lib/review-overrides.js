@@ -0,0 +1,69 @@
+// Overrides are stored as separate append-only events: the automatic result in the
+// log entry is never modified, and every change stays in the history
+const DECISIONS = ['accept', 'reject'];
+
+/**
+ * Check an override request against the log entry it targets
+ * @param {Object} body - Request body ({ field, decision, reason })
+ * @param {Object} entry - Log entry being reviewed
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function validateOverride(body, entry) {
+  const problems = [];
+  const results = Array.isArray(entry.results) ? entry.results : [];
+
+  if (!results.some(result => result.field === body.field)) {
+    problems.push(`Entry has no result for field "${body.field}"`);
+  }
+  if (!DECISIONS.includes(body.decision)) {
+    problems.push(`decision must be one of: ${DECISIONS.join(', ')}`);
+  }
+  if (!String(body.reason ?? '').trim()) {
+    problems.push('A reason is required');
+  }
+
+  return problems;
+}
+
+/**
+ * Build the stored override event, keeping a copy of the automatic result it replaces
+ * @param {Object} body - Validated request body
+ * @param {Object} entry - Log entry being reviewed
+ * @param {string} reviewer - Signed-in user making the decision
+ * @returns {Object} Override event
+ */
+function createOverride(body, entry, reviewer) {
+  const result = entry.results.find(r => r.field === body.field);
+  return {
+    logId: entry.id,
+    field: body.field,
+    decision: body.decision,
+    reason: String(body.reason).trim(),
+    reviewer,
+    automatic: { found: result.found, confidence: result.confidence, bestMatch: result.bestMatch ?? null }
+  };
+}
+
+/**
+ * Final decision per field: the latest override if any, otherwise the automatic result
+ * @param {Object} entry - Log entry
+ * @param {Array} overrides - Override events for the entry, oldest first
+ * @returns {Object} Map of field -> { automatic, final, override }
+ */
+function finalDecisions(entry, overrides) {
+  const latest = {};
+  overrides.forEach(override => { latest[override.field] = override; });
+
+  const decisions = {};
+  (entry.results || []).forEach(result => {
+    const override = latest[result.field] || null;
+    decisions[result.field] = {
+      automatic: Boolean(result.found),
+      final: override ? override.decision === 'accept' : Boolean(result.found),
+      override
+    };
+  });
+  return decisions;
+}
+
+module.exports = { DECISIONS, validateOverride, createOverride, finalDecisions };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Server-wide settings (match thresholds, retention) kept in one JSON file
+ * Settings are small and rarely written, so the whole file is replaced on each save; saves are queued
+ * so two requests changing different settings both keep their change
+ */
+class SettingsStore {
+  /**
+   * @param {string} filePath - Path of the .json file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run a change after every change already queued
+   * @param {Function} task - Async read-modify-write of the settings
+   * @returns {Promise<*>} The task's result
+   */
+  serialize(task) {
+    const run = this.writeQueue.then(task);
+    // Keep the queue alive even if this change fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read the saved settings
+   * @returns {Promise<Object>} Saved settings, or {} if nothing was saved yet
+   * @throws {Error} If the file exists but cannot be parsed
+   */
+  async read() {
+    if (!fs.existsSync(this.filePath)) return {};
+    return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+  }
+
+  /**
+   * Merge changes into the saved settings
+   * @param {Object} changes - Top-level settings to replace (e.g. { matchThresholds, updatedBy })
+   * @returns {Promise<Object>} Saved settings
+   */
+  update(changes) {
+    return this.serialize(async () => this.write({ ...await this.read(), ...changes }));
+  }
+
+  /**
+   * Replace the saved settings (call from inside serialize())
+   * Written to a temporary file first, so a crash mid-write never leaves half a file; the name is unique
+   * so no other save renames this one's half-written file
+   * @param {Object} settings - Settings to save (an updatedAt timestamp is added)
+   * @returns {Promise<Object>} Saved settings
+   */
+  async write(settings) {
+    const record = { ...settings, updatedAt: new Date().toISOString() };
+    const temporary = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(temporary, JSON.stringify(record, null, 2));
+    await fs.promises.rename(temporary, this.filePath);
+    return record;
+  }
+}
+
+module.exports = { SettingsStore };
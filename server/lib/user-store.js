@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['reviewer', 'admin'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/i;
+const MIN_PASSWORD_LENGTH = 10;
+const TOKEN_PREFIX = 'ttb_';
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} "scrypt$salt$hash", hex encoded
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain password
+ * @param {string} stored - Output of hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * API tokens are random, so a plain SHA-256 is enough to avoid storing them readable
+ * @param {string} token - Plain token
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * User accounts (username, role, password hash and API tokens) kept in one JSON file
+ * Accounts are few and rarely change, so the whole file is replaced on each save, as with SettingsStore
+ */
+class UserStore {
+  /**
+   * @param {string} filePath - Path of the .json file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Serializes read-modify-write changes from this process, as LogStore does with appends
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run a change after every change already queued
+   * @param {Function} task - Async read-modify-write of the accounts
+   * @returns {Promise<*>} The task's result
+   */
+  serialize(task) {
+    const run = this.writeQueue.then(task);
+    // Keep the queue alive even if this change fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read every account, with secrets
+   * @returns {Promise<Array<Object>>} Stored users, or [] if none were created yet
+   */
+  async readAll() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8')).users || [];
+  }
+
+  /**
+   * Replace every account (call from inside serialize())
+   * Written to a temporary file first, so a crash mid-write never leaves half a file; the name is unique
+   * so a script running beside the server never renames the server's half-written file
+   * @param {Array<Object>} users - Stored users
+   */
+  async writeAll(users) {
+    const temporary = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(temporary, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+    await fs.promises.rename(temporary, this.filePath);
+  }
+
+  /**
+   * Account details safe to return from the API (no password hash or token hashes)
+   * @param {Object} user - Stored user
+   * @returns {Object} { username, role, createdAt, passwordChangedAt, tokens: [{ id, label, createdAt }] }
+   */
+  static describe(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      createdAt: user.createdAt,
+      passwordChangedAt: user.passwordChangedAt || null,
+      tokens: (user.tokens || []).map(({ id, label, createdAt }) => ({ id, label, createdAt }))
+    };
+  }
+
+  /**
+   * Check a new account's username, role and password
+   * @param {Object} account - { username, role, password }
+   * @returns {Array<string>} Problems found (empty if valid)
+   */
+  static validate({ username, role, password }) {
+    const problems = [];
+    if (!USERNAME_PATTERN.test(String(username ?? ''))) {
+      problems.push('username must be 2-32 letters, digits, dots, dashes or underscores');
+    }
+    if (!ROLES.includes(role)) {
+      problems.push(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (String(password ?? '').length < MIN_PASSWORD_LENGTH) {
+      problems.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return problems;
+  }
+
+  /**
+   * Create an account
+   * @param {Object} account - { username, role, password }
+   * @returns {Promise<Object>} The new account (described)
+   * @throws {Error} With status 400 if invalid, 409 if the username is taken
+   */
+  async create({ username, role, password }) {
+    const problems = UserStore.validate({ username, role, password });
+    if (problems.length > 0) throw Object.assign(new Error(problems.join('; ')), { status: 400 });
+
+    const passwordHash = await hashPassword(password);
+    return this.serialize(async () => {
+      const users = await this.readAll();
+      if (users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+        throw Object.assign(new Error(`User "${username}" already exists`), { status: 409 });
+      }
+
+      const now = new Date().toISOString();
+      const user = { username, role, passwordHash, passwordChangedAt: now, tokens: [], createdAt: now };
+      await this.writeAll([...users, user]);
+      return UserStore.describe(user);
+    });
+  }
+
+  /**
+   * Apply a change to one account and save
+   * @param {string} username - Account to change
+   * @param {Function} change - Receives the stored user and returns the updated one
+   * @returns {Promise<Object>} Updated stored user
+   * @throws {Error} With status 404 if there is no such user
+   */
+  update(username, change) {
+    return this.serialize(async () => {
+      const users = await this.readAll();
+      const index = users.findIndex(user => user.username === username);
+      if (index === -1) throw Object.assign(new Error(`User "${username}" not found`), { status: 404 });
+
+      users[index] = await change(users[index]);
+      await this.writeAll(users);
+      return users[index];
+    });
+  }
+
+  /**
+   * Replace an account's password; sessions opened before the change stop working (see Auth.identify)
+   * @param {string} username - Account to change
+   * @param {string} password - New password
+   * @returns {Promise<Object>} The account (described)
+   */
+  async setPassword(username, password) {
+    if (String(password ?? '').length < MIN_PASSWORD_LENGTH) {
+      throw Object.assign(new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`), { status: 400 });
+    }
+    const passwordHash = await hashPassword(password);
+    const passwordChangedAt = new Date().toISOString();
+    return UserStore.describe(await this.update(username, user => ({ ...user, passwordHash, passwordChangedAt })));
+  }
+
+  /**
+   * Delete an account (its tokens stop working at once)
+   * @param {string} username - Account to delete
+   * @returns {Promise<boolean>} Whether the account existed
+   */
+  remove(username) {
+    return this.serialize(async () => {
+      const users = await this.readAll();
+      const remaining = users.filter(user => user.username !== username);
+      if (remaining.length === users.length) return false;
+      await this.writeAll(remaining);
+      return true;
+    });
+  }
+
+  /**
+   * Issue an API token for scripts and integrations; only its hash is stored
+   * @param {string} username - Account the token acts as
+   * @param {string} label - What the token is for (e.g., "batch import")
+   * @returns {Promise<Object>} { id, label, createdAt, token }; the plain token is only returned here
+   */
+  async createToken(username, label = '') {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = { id: crypto.randomUUID(), label: String(label).trim(), hash: hashToken(token), createdAt: new Date().toISOString() };
+    await this.update(username, user => ({ ...user, tokens: [...(user.tokens || []), record] }));
+    return { id: record.id, label: record.label, createdAt: record.createdAt, token };
+  }
+
+  /**
+   * Revoke one of an account's API tokens
+   * @param {string} username - Token owner
+   * @param {string} id - Token id
+   * @returns {Promise<boolean>} Whether the token existed
+   */
+  async revokeToken(username, id) {
+    let found = false;
+    await this.update(username, user => {
+      found = (user.tokens || []).some(token => token.id === id);
+      return { ...user, tokens: (user.tokens || []).filter(token => token.id !== id) };
+    });
+    return found;
+  }
+
+  /**
+   * Check a username and password
+   * @param {string} username - Username as typed
+   * @param {string} password - Password as typed
+   * @returns {Promise<Object|null>} The account (described), or null if either is wrong
+   */
+  async authenticate(username, password) {
+    const user = (await this.readAll()).find(item => item.username === String(username ?? ''));
+    if (!user) {
+      // Hash anyway so unknown usernames take as long as wrong passwords
+      await hashPassword(String(password ?? ''));
+      return null;
+    }
+    return await verifyPassword(password, user.passwordHash) ? UserStore.describe(user) : null;
+  }
+
+  /**
+   * Find the account an API token belongs to
+   * @param {string} token - Plain token from the Authorization header
+   * @returns {Promise<Object|null>} The account (described), or null if the token is unknown or revoked
+   */
+  async findByToken(token) {
+    if (!String(token ?? '').startsWith(TOKEN_PREFIX)) return null;
+    const hash = hashToken(token);
+    const user = (await this.readAll()).find(item => (item.tokens || []).some(record => record.hash === hash));
+    return user ? UserStore.describe(user) : null;
+  }
+
+  /**
+   * Look up an account
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} The account (described), or null
+   */
+  async find(username) {
+    const user = (await this.readAll()).find(item => item.username === username);
+    return user ? UserStore.describe(user) : null;
+  }
+}
+
+module.exports = { UserStore, ROLES };
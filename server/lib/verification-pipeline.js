@@ -0,0 +1,348 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const sharp = require('sharp');
+
+const CLIENT_JS_DIR = path.join(__dirname, '..', '..', 'client', 'public', 'js');
+
+let modulesPromise = null;
+
+/**
+ * Import one client module (cached by Node after the first import)
+ * Only for modules that need neither OpenCV nor Tesseract, such as the threshold and profile definitions
+ * @param {string} name - File name under client/public/js
+ * @returns {Promise<Object>} Module namespace
+ */
+function loadClientModule(name) {
+  return import(pathToFileURL(path.join(CLIENT_JS_DIR, name)).href);
+}
+
+/**
+ * Load OpenCV, Tesseract and the browser pipeline modules once
+ * The client modules expect `cv` and `Tesseract` as globals, as in index.html
+ * @returns {Promise<Object>} imageProcessor, geometryCorrector, ocrProcessor, formValidator, textVerifier, getBeverageProfile
+ *   and resolveImageTag
+ */
+function loadModules() {
+  if (modulesPromise) return modulesPromise;
+
+  modulesPromise = (async () => {
+    const cv = require('@techstark/opencv-js');
+    if (!cv.Mat) {
+      await new Promise(resolve => { cv.onRuntimeInitialized = resolve; });
+    }
+    globalThis.cv = cv;
+    globalThis.Tesseract = require('tesseract.js');
+
+    const [
+      { imageProcessor },
+      { geometryCorrector },
+      { ocrProcessor },
+      { formValidator },
+      { textVerifier },
+      { getBeverageProfile },
+      { resolveImageTag }
+    ] = await Promise.all([
+      loadClientModule('image-processor.js'),
+      loadClientModule('geometry-corrector.js'),
+      loadClientModule('ocr.js'),
+      loadClientModule('form-validator.js'),
+      loadClientModule('text-verifier.js'),
+      loadClientModule('beverage-profiles.js'),
+      loadClientModule('image-tags.js')
+    ]);
+
+    await imageProcessor.initialize();
+    return {
+      imageProcessor,
+      geometryCorrector,
+      ocrProcessor,
+      formValidator,
+      textVerifier,
+      getBeverageProfile,
+      resolveImageTag
+    };
+  })();
+
+  modulesPromise.catch(() => { modulesPromise = null; });
+  return modulesPromise;
+}
+
+/**
+ * Decode an uploaded image into an RGBA cv.Mat
+ * @param {Buffer} buffer - Encoded image (JPG, PNG, WEBP)
+ * @returns {Promise<cv.Mat>} RGBA image (caller must delete)
+ */
+async function decodeImage(buffer) {
+  const { data, info } = await sharp(buffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return globalThis.cv.matFromImageData({
+    data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+    width: info.width,
+    height: info.height
+  });
+}
+
+/**
+ * Encode a single-channel cv.Mat as PNG for Tesseract
+ * @param {cv.Mat} mat - Grayscale image
+ * @returns {Promise<Buffer>} PNG data
+ */
+function encodeGrayscale(mat) {
+  return sharp(Buffer.from(mat.data), {
+    raw: { width: mat.cols, height: mat.rows, channels: 1 }
+  }).png().toBuffer();
+}
+
+/**
+ * Beverage profile used when a request doesn't name one, the same as the form's default
+ * @returns {Promise<string>} Beverage profile key
+ */
+async function getDefaultBeverageType() {
+  const { DEFAULT_BEVERAGE_TYPE } = await loadClientModule('beverage-profiles.js');
+  return DEFAULT_BEVERAGE_TYPE;
+}
+
+/**
+ * Field ids a beverage profile accepts, in form order
+ * @param {string} beverageType - Beverage profile key
+ * @returns {Promise<Array<string>|null>} Field ids, or null if the type is unknown
+ */
+async function getProfileFields(beverageType) {
+  const { getBeverageProfile } = await loadModules();
+  const profile = getBeverageProfile(beverageType);
+  return profile ? profile.fields.map(field => field.id) : null;
+}
+
+/**
+ * Validate the submitted form fields with the client-side rules
+ * @param {Object} fields - Form field values
+ * @param {string} beverageType - Beverage profile to validate against
+ * @returns {Promise<Array<string>>} Names of missing or invalid fields
+ */
+async function findInvalidFields(fields, beverageType) {
+  const { formValidator } = await loadModules();
+  return Object.keys(fields).filter(name => !formValidator.validateValue(name, fields[name], beverageType));
+}
+
+/**
+ * Built-in match thresholds, used until thresholds are saved through /api/settings
+ * Read without starting OpenCV or Tesseract, so settings requests never wait for (or fail on) the OCR pipeline
+ * @returns {Promise<Object>} Match thresholds
+ */
+async function getDefaultMatchThresholds() {
+  const { DEFAULT_MATCH_THRESHOLDS } = await loadClientModule('match-thresholds.js');
+  return DEFAULT_MATCH_THRESHOLDS;
+}
+
+/**
+ * Check submitted match thresholds with the same rules as the settings panel
+ * @param {Object} thresholds - Thresholds from the request body
+ * @returns {Promise<Object>} { thresholds, problems }, thresholds cleaned of unknown keys
+ */
+async function validateMatchThresholds(thresholds) {
+  const { normalizeThresholds } = await loadClientModule('match-thresholds.js');
+  return normalizeThresholds(thresholds);
+}
+
+/**
+ * Check one label image's quality, straighten it (orientation, perspective, skew) and build the OCR variants
+ * @param {Buffer} imageBuffer - Encoded label image
+ * @returns {Promise<Object>} { variants, geometry, quality }, variants encoded as PNG for Tesseract
+ */
+async function prepareImage(imageBuffer) {
+  const { imageProcessor, geometryCorrector, ocrProcessor } = await loadModules();
+
+  const orientation = await ocrProcessor.detectOrientation(imageBuffer);
+  const img = await decodeImage(imageBuffer);
+  try {
+    const quality = imageProcessor.assessQuality(img);
+    const corrected = geometryCorrector.correct(img, { rotation: orientation.degrees });
+    const geometry = { ...corrected.geometry, orientationConfidence: orientation.confidence };
+    let processedVersions;
+    try {
+      processedVersions = imageProcessor.createVariants(corrected.mat);
+    } finally {
+      corrected.mat.delete();
+    }
+    try {
+      const variants = await Promise.all(processedVersions.map(async ({ name, mat }) => ({
+        name,
+        image: await encodeGrayscale(mat),
+        width: mat.cols,
+        height: mat.rows
+      })));
+      return { variants, geometry, quality };
+    } finally {
+      processedVersions.forEach(version => version.mat.delete());
+    }
+  } finally {
+    img.delete();
+  }
+}
+
+/**
+ * Run preprocessing, OCR and fuzzy matching on a product's label images (front, back, neck...)
+ * Mirrors VerificationRunner.run in the browser: fields are matched against the text of all images,
+ * each result records the image it was found on, and each stage has the same time budget
+ * @param {Array<{buffer: Buffer, name: string, tag: string}>} images - Encoded label images; missing tags are guessed
+ * @param {Object} fields - Form field values to verify
+ * @param {string} beverageType - Beverage profile
+ * @param {Object} options - Optional settings
+ * @param {Object} options.thresholds - Match thresholds (the built-in defaults if omitted)
+ * @param {Object} options.budgets - Stage time limits (DEFAULT_TIME_BUDGETS if omitted)
+ * @returns {Promise<Object>} OCR text and confidence (overall and per variant), verification results,
+ *   per-image tags, geometry corrections and quality checks (geometry is the first image's), stage timings (ms)
+ *   and incomplete ({ reason, stage, message }) if OCR or matching ran out of time, or null
+ * @throws {Error} With reason 'timeout' if preprocessing, or OCR of every image, ran out of time
+ */
+async function verifyLabel(images, fields, beverageType, { thresholds, budgets } = {}) {
+  const { ocrProcessor, textVerifier, resolveImageTag } = await loadModules();
+  const { stageSignal, abortable } = await loadClientModule('cancellation.js');
+  const { DEFAULT_TIME_BUDGETS } = await loadClientModule('time-budgets.js');
+  budgets = { ...DEFAULT_TIME_BUDGETS, ...budgets };
+  const started = performance.now();
+  const elapsed = since => Math.round(performance.now() - since);
+  const sources = images.map(({ name, tag }, index) => ({ index, tag: resolveImageTag(tag, name, index), name }));
+  let incomplete = null;
+
+  // Step 1: Straighten each label and process it with OpenCV
+  let stage = performance.now();
+  const prepared = [];
+  for (let i = 0; i < images.length; i++) {
+    const preprocessing = stageSignal(null, budgets.preprocessingMs, 'Preprocessing');
+    try {
+      const { variants, geometry, quality } = await abortable(
+        prepareImage(images[i].buffer),
+        preprocessing.signal,
+        () => ocrProcessor.cancelOrientation()
+      );
+      prepared.push({ variants: variants.map(variant => ({ ...variant, labelImage: sources[i] })), geometry, quality });
+    } finally {
+      preprocessing.dispose();
+    }
+  }
+  const preprocessingMs = elapsed(stage);
+
+  // Step 2: Perform OCR on each variant of each image (an unreadable image doesn't stop the others)
+  stage = performance.now();
+  const perImage = [];
+  const failures = [];
+  for (let i = 0; i < images.length; i++) {
+    try {
+      const result = await ocrProcessor.processVariants(prepared[i].variants, null, { configTimeoutMs: budgets.ocrConfigMs });
+      perImage.push({ labelImage: sources[i], result });
+    } catch (error) {
+      failures.push({ labelImage: sources[i], error });
+    }
+  }
+  if (perImage.length === 0) throw failures[0].error;
+  const ocrResult = ocrProcessor.combineResults(perImage);
+  const ocrMs = elapsed(stage);
+
+  const timedOutImages = failures.filter(({ error }) => error.reason === 'timeout').map(({ labelImage }) => labelImage.name);
+  if (ocrResult.timedOut.length || timedOutImages.length) {
+    incomplete = {
+      reason: 'timeout',
+      stage: 'OCR',
+      message: timedOutImages.length
+        ? `OCR timed out on ${timedOutImages.join(', ')}; results use the other image(s)`
+        : `OCR timed out for ${ocrResult.timedOut.length} variant/config run(s); results use the text read by the others`
+    };
+  }
+
+  // Step 3: Verify text against every variant; fields matched before the budget ran out are kept
+  stage = performance.now();
+  const matching = stageSignal(null, budgets.matchingMs, 'Matching');
+  let results;
+  try {
+    results = await textVerifier.verifyText(ocrResult.variants, fields, null, { beverageType, thresholds, signal: matching.signal });
+    if (matching.signal.aborted) {
+      const { reason } = matching.signal;
+      incomplete = { reason: reason.reason, stage: reason.stage, message: reason.message };
+    }
+  } finally {
+    matching.dispose();
+  }
+  const verificationMs = elapsed(stage);
+
+  return {
+    ocrText: ocrResult.text,
+    ocrConfidence: ocrResult.confidence,
+    ocrVariants: ocrResult.variants.map(({ name, config, text, confidence, durationMs, labelImage }) => ({ name, config, text, confidence, durationMs, labelImage })),
+    results,
+    geometry: prepared[0].geometry,
+    images: sources.map(({ name, tag }, index) => ({ name, tag, geometry: prepared[index].geometry, quality: prepared[index].quality })),
+    timings: { preprocessingMs, ocrMs, verificationMs, totalMs: elapsed(started) },
+    incomplete
+  };
+}
+
+/**
+ * OCR one label image with every preprocessing variant and OCR config separately, for the accuracy benchmark
+ * Unlike verifyLabel, no config is skipped once one reads well and each run keeps its own text
+ * @param {Buffer} imageBuffer - Encoded label image
+ * @param {Object} options - Optional settings
+ * @param {Array<string>} options.variants - Variant names to run (all if omitted)
+ * @param {Array<string>} options.configs - OCR config names to run (all if omitted), run in OCRProcessor.ocrConfigs order
+ * @param {number} options.timeoutMs - Time budget for each run (0 for none)
+ * @returns {Promise<Object>} { runs, preprocessingMs }: one { variant, config, text, rawText, confidence, durationMs }
+ *   per run, or { variant, config, error, durationMs } if the run failed
+ * @throws {Error} If a variant or config name is unknown
+ */
+async function sweepLabel(imageBuffer, { variants: variantNames, configs: configNames, timeoutMs = 0 } = {}) {
+  const { ocrProcessor } = await loadModules();
+  const elapsed = since => Math.round(performance.now() - since);
+
+  let stage = performance.now();
+  const { variants } = await prepareImage(imageBuffer);
+  const preprocessingMs = elapsed(stage);
+
+  const pick = (options, names, kind) => {
+    const unknown = (names || []).filter(name => !options.some(option => option.name === name));
+    if (unknown.length) throw new Error(`Unknown ${kind}: ${unknown.join(', ')} (available: ${options.map(option => option.name).join(', ')})`);
+    return options.filter(option => !names || names.includes(option.name));
+  };
+  const configs = pick(ocrProcessor.ocrConfigs, configNames, 'OCR config');
+  const runs = [];
+  for (const variant of pick(variants, variantNames, 'variant')) {
+    for (const config of configs) {
+      stage = performance.now();
+      try {
+        const { text, rawText, confidence } = await ocrProcessor.recognizeWith(variant.image, config, { timeoutMs });
+        runs.push({ variant: variant.name, config: config.name, text, rawText, confidence, durationMs: elapsed(stage) });
+      } catch (error) {
+        runs.push({ variant: variant.name, config: config.name, error: error.message, durationMs: elapsed(stage) });
+      }
+    }
+  }
+
+  return { runs, preprocessingMs };
+}
+
+/**
+ * Match form fields against OCR text with the verifier's matchers and thresholds
+ * @param {Array<{name: string, text: string}>} sources - OCR text per variant
+ * @param {Object} fields - Form field values
+ * @param {string} beverageType - Beverage profile
+ * @param {Object} options - Optional settings
+ * @param {Object} options.thresholds - Match thresholds (the built-in defaults if omitted)
+ * @returns {Promise<Array<Object>>} Verification results, including the profile's label checks
+ */
+async function matchFields(sources, fields, beverageType, { thresholds } = {}) {
+  const { textVerifier } = await loadModules();
+  return textVerifier.verifyText(sources, fields, null, { beverageType, thresholds });
+}
+
+module.exports = {
+  verifyLabel,
+  sweepLabel,
+  matchFields,
+  findInvalidFields,
+  getProfileFields,
+  getDefaultBeverageType,
+  getDefaultMatchThresholds,
+  validateMatchThresholds
+};
@@ -5,93 +5,82 @@
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { LogStore } = require('../lib/log-store');
 
-const logFile = path.join(__dirname, '..', 'logs', 'verification-log.json');
+const logFile = path.join(__dirname, '..', 'logs', 'verification-log.jsonl');
 
 if (!fs.existsSync(logFile)) {
     console.log('No verification log file found. Run tests first.');
     process.exit(1);
 }
 
-const logs = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+const suggesterUrl = pathToFileURL(path.join(__dirname, '..', '..', 'client', 'public', 'js', 'value-suggester.js')).href;
 
-console.log('\n=== VERIFICATION LOG ANALYSIS ===\n');
+Promise.all([new LogStore(logFile).readAll(), import(suggesterUrl)])
+    .then(([logs, { valueSuggester }]) => analyze(logs, valueSuggester))
+    .catch(error => {
+        console.error('Log analysis failed:', error.message);
+        process.exitCode = 1;
+    });
 
-// Group logs by image name
-const imageGroups = {};
-logs.forEach(log => {
-    if (!imageGroups[log.imageName]) {
-        imageGroups[log.imageName] = [];
-    }
-    imageGroups[log.imageName].push(log);
-});
+/**
+ * Print OCR text, results and suggestions for the latest run of each image
+ * @param {Array<Object>} logs - Log entries
+ * @param {Object} valueSuggester - The client's value suggester, which reads values from OCR text
+ */
+function analyze(logs, valueSuggester) {
+    console.log('\n=== VERIFICATION LOG ANALYSIS ===\n');
 
-// Analyze each image
-Object.keys(imageGroups).sort().forEach(imageName => {
-    console.log(`\n📸 IMAGE: ${imageName}`);
-    console.log('─'.repeat(80));
-    
-    const imageLogs = imageGroups[imageName];
-    
-    // Get the most recent log for this image
-    const latestLog = imageLogs[imageLogs.length - 1];
-    
-    // Display OCR extracted text
-    console.log('\n📝 OCR EXTRACTED TEXT:');
-    console.log(latestLog.ocrText.substring(0, 500));
-    if (latestLog.ocrText.length > 500) {
-        console.log('... (truncated)');
-    }
-    
-    // Display verification results
-    console.log('\n✅ VERIFICATION RESULTS:');
-    latestLog.results.forEach(result => {
-        const status = result.found ? '✓' : '✗';
-        const confidence = result.confidence ? ` (${(result.confidence * 100).toFixed(1)}% match)` : '';
-        const inputValue = result.input || result.value || 'N/A';
-        console.log(`  ${status} ${result.field}: "${inputValue}"${confidence}`);
-        if (result.found && result.bestMatch) {
-            console.log(`      Found in OCR: "${result.bestMatch}"`);
+    // Group logs by image name
+    const imageGroups = {};
+    logs.forEach(log => {
+        if (!imageGroups[log.imageName]) {
+            imageGroups[log.imageName] = [];
         }
+        imageGroups[log.imageName].push(log);
     });
-    
-    // Suggest good values based on OCR text
-    console.log('\n💡 SUGGESTED GOOD VALUES:');
-    const suggestions = generateSuggestions(latestLog.ocrText, latestLog.results);
-    Object.keys(suggestions).forEach(field => {
-        console.log(`  ${field}: "${suggestions[field]}"`);
-    });
-});
 
-console.log('\n' + '='.repeat(80) + '\n');
-
-/**
- * Generate suggested values based on OCR text and verification results
- */
-function generateSuggestions(ocrText, results) {
-    const suggestions = {};
-    
-    // For fields that were found, use the found text
-    results.forEach(result => {
-        if (result.found && result.foundText) {
-            suggestions[result.field] = result.foundText;
+    // Analyze each image
+    Object.keys(imageGroups).sort().forEach(imageName => {
+        console.log(`\n📸 IMAGE: ${imageName}`);
+        console.log('─'.repeat(80));
+        
+        const imageLogs = imageGroups[imageName];
+        
+        // Get the most recent log for this image
+        const latestLog = imageLogs[imageLogs.length - 1];
+        
+        // Display OCR extracted text
+        console.log('\n📝 OCR EXTRACTED TEXT:');
+        console.log(latestLog.ocrText.substring(0, 500));
+        if (latestLog.ocrText.length > 500) {
+            console.log('... (truncated)');
         }
+        
+        // Display verification results
+        console.log('\n✅ VERIFICATION RESULTS:');
+        latestLog.results.forEach(result => {
+            const status = result.found ? '✓' : '✗';
+            const confidence = result.confidence ? ` (${(result.confidence * 100).toFixed(1)}% match)` : '';
+            const inputValue = result.input || result.value || 'N/A';
+            console.log(`  ${status} ${result.field}: "${inputValue}"${confidence}`);
+            if (result.found && result.bestMatch) {
+                console.log(`      Found in OCR: "${result.bestMatch}"`);
+            }
+        });
+        
+        // Suggest good values based on OCR text (logged variants have no word boxes, so no brand guess)
+        console.log('\n💡 SUGGESTED GOOD VALUES:');
+        const variants = latestLog.ocrVariants?.length ? latestLog.ocrVariants : [{ text: latestLog.ocrText }];
+        const suggestions = valueSuggester.suggest(variants);
+        Object.keys(suggestions).forEach(field => {
+            const suggestion = suggestions[field];
+            if (suggestion?.value) {
+                console.log(`  ${field}: "${suggestion.value}" (${(suggestion.confidence * 100).toFixed(0)}% confidence)`);
+            }
+        });
     });
-    
-    // Try to extract common patterns from OCR text
-    const lines = ocrText.split('\n').filter(line => line.trim());
-    
-    // Look for alcohol content pattern
-    const alcoholMatch = ocrText.match(/(\d+(?:\.\d+)?)\s*%\s*(?:ALC|ALCOHOL|VOL|ABV)/i);
-    if (alcoholMatch && !suggestions['Alcohol Content']) {
-        suggestions['Alcohol Content'] = `${alcoholMatch[1]}%`;
-    }
-    
-    // Look for volume pattern
-    const volumeMatch = ocrText.match(/(\d+)\s*(mL|ml|ML|L|oz|OZ)/i);
-    if (volumeMatch && !suggestions['Net Contents']) {
-        suggestions['Net Contents'] = `${volumeMatch[1]} ${volumeMatch[2]}`;
-    }
-    
-    return suggestions;
+
+    console.log('\n' + '='.repeat(80) + '\n');
 }
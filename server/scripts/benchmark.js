@@ -0,0 +1,142 @@
+/**
+ * Measure matching accuracy on the ground-truth labels without the browser
+ * Every preprocessing variant and OCR config runs separately, and the pipeline's own choice is replayed from them;
+ * good values should match and the bad values should not. Writes a JSON report to diff between commits
+ * Usage: node server/scripts/benchmark.js [--out report.json] [--images a.jpg,b.png] [--variants "Basic OTSU,Sharpening"]
+ *   [--configs "Sparse Text"] [--timeout ms] [--ground-truth file.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { sweepLabel, matchFields, getDefaultMatchThresholds } = require('../lib/verification-pipeline');
+const benchmark = require('../lib/benchmark');
+
+const testFilesDir = path.join(__dirname, '..', 'test-files');
+const OPTIONS = ['out', 'images', 'variants', 'configs', 'timeout', 'ground-truth'];
+
+/**
+ * Parse "--name value" pairs
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Option values by name
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!argv[i].startsWith('--') || !OPTIONS.includes(name) || argv[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option "${argv[i]}" (options: ${OPTIONS.map(option => `--${option}`).join(', ')})`);
+        }
+        args[name] = argv[i + 1];
+    }
+    return args;
+}
+
+/**
+ * Commit the benchmark runs on, marked dirty if the tree has uncommitted changes
+ * @returns {string} Short commit hash, or "unknown" outside a git checkout
+ */
+function currentCommit() {
+    try {
+        const commit = execSync('git rev-parse --short HEAD', { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+        const dirty = execSync('git status --porcelain', { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+        return dirty ? `${commit}-dirty` : commit;
+    } catch {
+        return 'unknown';
+    }
+}
+
+/**
+ * Verify one setting's text against the good and bad values
+ * @param {Array<Object>} sources - OCR text per variant
+ * @param {Object} image - Ground-truth image
+ * @param {Object} badValues - Values that are on none of the labels
+ * @returns {Promise<Array<Object>>} Scored cases for both value sets
+ */
+async function scoreSetting(sources, image, badValues) {
+    const verify = fields => (sources.some(source => source.text)
+        ? matchFields(sources, fields, image.beverageType)
+        : Promise.resolve([]));
+    const [good, bad] = await Promise.all([verify(image.good), verify(badValues)]);
+    return [...benchmark.toCases(good, image.good, true), ...benchmark.toCases(bad, badValues, false)];
+}
+
+/**
+ * Sweep one image and score every setting
+ * @param {Object} image - Ground-truth image ({ file, beverageType, good })
+ * @param {Object} badValues - Values that are on none of the labels
+ * @param {Object} sweepOptions - { variants, configs, timeoutMs } for sweepLabel
+ * @returns {Promise<Object>} Per-image input for benchmark.buildReport
+ */
+async function benchmarkImage(image, badValues, sweepOptions) {
+    const buffer = fs.readFileSync(path.join(testFilesDir, image.file));
+    const { runs, preprocessingMs } = await sweepLabel(buffer, sweepOptions);
+
+    const settings = {};
+    for (const run of runs.filter(run => !run.error)) {
+        const sources = [{ name: run.variant, text: run.text }];
+        settings[benchmark.settingName(run)] = { cases: await scoreSetting(sources, image, badValues), durationMs: run.durationMs };
+    }
+
+    const pipeline = benchmark.simulatePipeline(runs);
+    settings[benchmark.PIPELINE] = { cases: await scoreSetting(pipeline.sources, image, badValues), durationMs: pipeline.durationMs };
+    settings[benchmark.PIPELINE_RAW_TEXT] = {
+        cases: await scoreSetting(benchmark.withRawText(pipeline.sources), image, badValues),
+        durationMs: pipeline.durationMs
+    };
+
+    return {
+        file: image.file,
+        beverageType: image.beverageType,
+        preprocessingMs,
+        errors: runs.filter(run => run.error).map(run => `${benchmark.settingName(run)}: ${run.error}`),
+        settings
+    };
+}
+
+(async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+    const groundTruthFile = path.resolve(args['ground-truth'] || path.join(testFilesDir, 'ground-truth.json'));
+    const { images, badValues } = JSON.parse(fs.readFileSync(groundTruthFile, 'utf8'));
+    const imageNames = list(args.images);
+    const selected = images.filter(image => !imageNames || imageNames.includes(image.file));
+    if (selected.length === 0) throw new Error('No ground-truth images selected');
+
+    const timeoutMs = args.timeout === undefined ? 0 : Number(args.timeout);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 0) throw new Error('--timeout must be a whole number of milliseconds');
+    const sweepOptions = { variants: list(args.variants), configs: list(args.configs), timeoutMs };
+
+    const commit = currentCommit();
+    const results = [];
+    for (const image of selected) {
+        console.log(`Benchmarking ${image.file}...`);
+        results.push(await benchmarkImage(image, badValues, sweepOptions));
+    }
+
+    const report = benchmark.buildReport({
+        commit,
+        options: {
+            groundTruth: path.relative(path.join(__dirname, '..'), groundTruthFile),
+            images: selected.map(image => image.file),
+            variants: sweepOptions.variants || 'all',
+            configs: sweepOptions.configs || 'all',
+            timeoutMs,
+            thresholds: await getDefaultMatchThresholds()
+        },
+        images: results
+    });
+
+    const outFile = path.resolve(args.out || path.join(__dirname, '..', 'logs', 'benchmarks', `benchmark-${commit}.json`));
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, `${JSON.stringify(report, null, 2)}\n`);
+
+    const { overall } = report.settings[benchmark.PIPELINE];
+    console.log(`Pipeline: precision ${overall.precision}, recall ${overall.recall}, false-accept rate ${overall.falseAcceptRate}`);
+    console.log(`Report written to ${outFile}`);
+    process.exit(0);
+})().catch(error => {
+    console.error('Benchmark failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,25 @@
+/**
+ * Import verification logs saved in the old JSON-array format into the append-only store
+ * Usage: node scripts/import-logs.js <file.json> [more.json ...]
+ */
+
+const path = require('path');
+const { LogStore } = require('../lib/log-store');
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    console.log('Usage: node scripts/import-logs.js <file.json> [more.json ...]');
+    process.exit(1);
+}
+
+const store = new LogStore(path.join(__dirname, '..', 'logs', 'verification-log.jsonl'));
+
+(async () => {
+    for (const file of files) {
+        const count = await store.importJsonFile(path.resolve(file));
+        console.log(`Imported ${count} entries from ${file}`);
+    }
+})().catch(error => {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+});
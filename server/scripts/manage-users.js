@@ -0,0 +1,90 @@
+/**
+ * Manage user accounts and API tokens (server/config/users.json); changes apply to a running server at once
+ * Usage: node server/scripts/manage-users.js <command>
+ *   list
+ *   add <username> <reviewer|admin>     Asks for the password (or reads USER_PASSWORD)
+ *   password <username>                 Asks for the new password (or reads USER_PASSWORD)
+ *   remove <username>
+ *   token <username> [label]            Prints a new API token once
+ *   revoke <username> <token id>
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { UserStore } = require('../lib/user-store');
+
+const store = new UserStore(path.join(__dirname, '..', 'config', 'users.json'));
+const [command, ...args] = process.argv.slice(2);
+
+/**
+ * Read a password from USER_PASSWORD or the terminal, without echoing it
+ * @returns {Promise<string>} Password
+ */
+function askPassword() {
+    if (process.env.USER_PASSWORD) return Promise.resolve(process.env.USER_PASSWORD);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    const prompt = 'Password: ';
+    rl._writeToOutput = text => {
+        if (text.startsWith(prompt)) rl.output.write(prompt);
+    };
+    return new Promise(resolve => rl.question(prompt, answer => {
+        rl.output.write('\n');
+        rl.close();
+        resolve(answer);
+    }));
+}
+
+/**
+ * Fail with the usage text unless a command got its arguments
+ * @param {number} count - Arguments the command needs
+ */
+function requireArgs(count) {
+    if (args.length < count) {
+        console.log('Usage: node server/scripts/manage-users.js list | add <username> <reviewer|admin> | password <username>'
+            + ' | remove <username> | token <username> [label] | revoke <username> <token id>');
+        process.exit(1);
+    }
+}
+
+const commands = {
+    list: async () => {
+        const users = (await store.readAll()).map(UserStore.describe);
+        if (users.length === 0) console.log('No user accounts yet');
+        users.forEach(user => {
+            console.log(`${user.username} (${user.role}), created ${user.createdAt}`);
+            user.tokens.forEach(token => console.log(`  token ${token.id}${token.label ? ` "${token.label}"` : ''}, created ${token.createdAt}`));
+        });
+    },
+    add: async () => {
+        requireArgs(2);
+        const user = await store.create({ username: args[0], role: args[1], password: await askPassword() });
+        console.log(`Created ${user.role} account "${user.username}"`);
+    },
+    password: async () => {
+        requireArgs(1);
+        await store.setPassword(args[0], await askPassword());
+        console.log(`Password changed for "${args[0]}"; its open sessions are signed out`);
+    },
+    remove: async () => {
+        requireArgs(1);
+        console.log(await store.remove(args[0]) ? `Removed "${args[0]}"` : `No user "${args[0]}"`);
+    },
+    token: async () => {
+        requireArgs(1);
+        const { id, token } = await store.createToken(args[0], args.slice(1).join(' '));
+        console.log(`Token ${id} for "${args[0]}" (shown once; send it as "Authorization: Bearer <token>"):`);
+        console.log(token);
+    },
+    revoke: async () => {
+        requireArgs(2);
+        console.log(await store.revokeToken(args[0], args[1]) ? `Revoked token ${args[1]}` : `No token ${args[1]} for "${args[0]}"`);
+    }
+};
+
+if (!commands[command]) requireArgs(Infinity);
+
+commands[command]().catch(error => {
+    console.error('Failed:', error.message);
+    process.exit(1);
+});
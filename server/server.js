@@ -2,87 +2,705 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const { verifyLabel, findInvalidFields, getProfileFields, getDefaultBeverageType, getDefaultMatchThresholds, validateMatchThresholds } = require('./lib/verification-pipeline');
+const { LogStore } = require('./lib/log-store');
+const { LogArchive, validateRetention } = require('./lib/log-archive');
+const { validateOverride, createOverride, finalDecisions } = require('./lib/review-overrides');
+const { ImageStore } = require('./lib/image-store');
+const { SettingsStore } = require('./lib/settings-store');
+const { UserStore } = require('./lib/user-store');
+const { Auth } = require('./lib/auth');
+const { FORMATS, renderHtml, renderCsv, renderPdf } = require('./lib/report');
+const analytics = require('./lib/analytics');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const LOG_FILE = path.join(__dirname, 'logs', 'verification-log.json');
+const LOG_FILE = path.join(__dirname, 'logs', 'verification-log.jsonl');
+const OVERRIDE_FILE = path.join(__dirname, 'logs', 'verification-overrides.jsonl');
+const IMAGE_DIR = path.join(__dirname, 'logs', 'images');
+// Entries moved out of the live log (deleted or past the retention period), one file per month
+const ARCHIVE_DIR = path.join(__dirname, 'logs', 'archive');
+// Whole-array log file used before the append-only store; imported once on startup
+const LEGACY_LOG_FILE = path.join(__dirname, 'logs', 'verification-log.json');
+const SETTINGS_FILE = path.join(__dirname, 'config', 'settings.json');
+const USERS_FILE = path.join(__dirname, 'config', 'users.json');
+// Other origins allowed to call the API with credentials (comma-separated); the UI itself is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Front, back and neck labels, plus one spare
+const MAX_LABEL_IMAGES = 4;
+const MAX_IMAGE_MB = 10;
+// How often the retention policy is applied while the server runs (also once on start)
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Label images are kept in memory only for the duration of the request
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) return cb(null, true);
+    const error = new Error('Uploaded file must be an image');
+    error.status = 400;
+    cb(error);
+  }
+});
 
 // Middleware setup
-app.use(cors()); // Simple CORS - allow all origins
-app.use(express.json({ limit: '10mb' }));
+if (CORS_ORIGINS.length > 0) {
+  app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+}
+// Logged runs carry the label images as data URLs (10 MB image ~ 13.4 MB base64, up to MAX_LABEL_IMAGES)
+app.use(express.json({ limit: '60mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, '..', 'client', 'public')));
 
+// Analytics dashboard
+app.get('/dashboard', (req, res) => res.sendFile(path.join(__dirname, '..', 'client', 'public', 'dashboard.html')));
+
 // Health check endpoint
 app.get('/ping', (req, res) => res.json({ ok: true }));
 
+const logStore = new LogStore(LOG_FILE);
+const overrideStore = new LogStore(OVERRIDE_FILE);
+const imageStore = new ImageStore(IMAGE_DIR);
+const logArchive = new LogArchive(ARCHIVE_DIR, { logStore, overrideStore });
+const settingsStore = new SettingsStore(SETTINGS_FILE);
+const userStore = new UserStore(USERS_FILE);
+const auth = new Auth(userStore);
+const adminOnly = auth.requireRole('admin');
+
 /**
- * Helper function to read or initialize log file
- * @returns {Array} Array of log entries
+ * Current settings, with the built-in match thresholds (and no retention limit) until some are saved
+ * @returns {Promise<Object>} { matchThresholds, retention, updatedAt, updatedBy }
  */
-function readLogs() {
-  if (!fs.existsSync(LOG_FILE)) {
-    const logsDir = path.dirname(LOG_FILE);
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-    return [];
+async function readSettings() {
+  const saved = await settingsStore.read();
+  return {
+    matchThresholds: saved.matchThresholds || await getDefaultMatchThresholds(),
+    retention: saved.retention || { archiveAfterDays: null },
+    updatedAt: saved.updatedAt || null,
+    updatedBy: saved.updatedBy || null
+  };
+}
+
+/**
+ * Group reviewer overrides by log entry id
+ * @returns {Promise<Map>} Map of log id -> overrides, oldest first
+ */
+async function readOverridesByLog() {
+  const byLog = new Map();
+  for await (const override of overrideStore.entries()) {
+    if (!byLog.has(override.logId)) byLog.set(override.logId, []);
+    byLog.get(override.logId).push(override);
+  }
+  return byLog;
+}
+
+/**
+ * Add override history and final decisions to log entries (automatic results are left as logged)
+ * @param {Array} logs - Log entries
+ * @returns {Promise<Array>} Entries with `overrides` and `decisions`
+ */
+async function withOverrides(logs) {
+  const byLog = await readOverridesByLog();
+  return logs.map(entry => {
+    const overrides = byLog.get(entry.id) || [];
+    return { ...entry, overrides, decisions: finalDecisions(entry, overrides) };
+  });
+}
+
+/**
+ * Archive every entry logged before a date (by the server's timestamp)
+ * @param {Date} before - Cut-off date
+ * @param {string} by - Who asked ("retention" for the scheduled run)
+ * @param {Object} filters - Optional LogStore.parseFilters output limiting which entries are archived
+ * @returns {Promise<Object>} { archived, archives }
+ */
+function archiveBefore(before, by, filters = null) {
+  const selected = entry => new Date(entry.timestamp) < before && (!filters || LogStore.matches(entry, filters));
+  return logArchive.archive(selected, { by, reason: 'retention' });
+}
+
+/**
+ * Apply the saved retention policy, if there is one
+ */
+async function applyRetention() {
+  const { retention } = await readSettings();
+  if (!retention.archiveAfterDays) return;
+
+  const { archived, archives } = await archiveBefore(new Date(Date.now() - retention.archiveAfterDays * DAY_MS), 'retention');
+  if (archived > 0) console.log(`Archived ${archived} entries older than ${retention.archiveAfterDays} days into ${archives.join(', ')}`);
+}
+
+/**
+ * Save a run's label images beside the log; the first keeps the entry id as its file name
+ * @param {string} id - Log entry id
+ * @param {Array<Object>} images - { name, tag, geometry, quality } plus either dataUrl or buffer and mimeType
+ * @returns {Promise<Object>} `image` (first image's reference, as read by older code) and `images` metadata for the entry
+ */
+async function saveLabelImages(id, images) {
+  const saved = [];
+  for (const [index, { name, tag, geometry, quality, dataUrl, buffer, mimeType }] of images.entries()) {
+    const fileId = index === 0 ? id : `${id}-${index}`;
+    const image = buffer ? await imageStore.save(fileId, buffer, mimeType) : await imageStore.saveDataUrl(fileId, dataUrl);
+    saved.push({ name, tag, ...(geometry && { geometry }), ...(quality && { quality }), ...(image && { image }) });
+  }
+
+  if (saved.length === 0) return {};
+  return { ...(saved[0].image && { image: saved[0].image }), images: saved };
+}
+
+/**
+ * Load a log entry's label images for a report
+ * Entries logged before multi-image runs have a single untagged `image`
+ * @param {Object} entry - Log entry
+ * @returns {Promise<Array<Object>>} { name, tag, buffer, mimeType } per image that is still stored
+ */
+async function loadLabelImages(entry) {
+  const images = entry.images || [{ name: entry.imageName, tag: null, image: entry.image }];
+  const loaded = await Promise.all(images.map(async ({ name, tag, image }) => {
+    const stored = await imageStore.load(image);
+    return stored && { name, tag, ...stored };
+  }));
+  return loaded.filter(Boolean);
+}
+
+/**
+ * Delete the label images of entries purged from an archive
+ * @param {Array<Object>} entries - Purged entries
+ */
+async function removeLabelImages(entries) {
+  for (const entry of entries) {
+    const images = [entry.image, ...(entry.images || []).map(image => image.image)];
+    await Promise.all(images.map(image => imageStore.remove(image)));
   }
-  return JSON.parse(fs.readFileSync(LOG_FILE, 'utf8'));
 }
 
 /**
- * Helper function to write logs to file
- * @param {Array} logs - Array of log entries to write
+ * Move entries from the legacy JSON log into the append-only store
+ * The legacy file is renamed afterwards so it is only imported once
+ */
+async function importLegacyLogs() {
+  if (!fs.existsSync(LEGACY_LOG_FILE)) return;
+  const count = await logStore.importJsonFile(LEGACY_LOG_FILE);
+  fs.renameSync(LEGACY_LOG_FILE, `${LEGACY_LOG_FILE}.imported`);
+  console.log(`Imported ${count} entries from ${path.basename(LEGACY_LOG_FILE)}`);
+}
+
+/**
+ * Create the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD when there are no accounts yet
  */
-function writeLogs(logs) {
-  const logsDir = path.dirname(LOG_FILE);
-  if (!fs.existsSync(logsDir)) {
-    fs.mkdirSync(logsDir, { recursive: true });
+async function createInitialAdmin() {
+  if ((await userStore.readAll()).length > 0) return;
+  if (!process.env.ADMIN_PASSWORD) {
+    console.warn('No user accounts yet: set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) or run scripts/manage-users.js to create an admin');
+    return;
   }
-  fs.writeFileSync(LOG_FILE, JSON.stringify(logs, null, 2));
+  const admin = await userStore.create({ username: process.env.ADMIN_USERNAME || 'admin', role: 'admin', password: process.env.ADMIN_PASSWORD });
+  console.log(`Created admin account "${admin.username}"`);
 }
 
+// Sign in with a username and password; the session cookie authenticates the UI's later requests
+app.post('/api/login', async (req, res) => {
+  try {
+    const session = await auth.login(req.body?.username, req.body?.password, req.ip);
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Wrong username or password' });
+    }
+
+    res.set('Set-Cookie', auth.sessionCookie(session.id, req));
+    res.json({ success: true, user: { username: session.user.username, role: session.user.role } });
+  } catch (error) {
+    if (error.retryAfterSeconds) {
+      console.warn(`Sign-in locked out for "${req.body?.username}" from ${req.ip}`);
+      res.set('Retry-After', String(error.retryAfterSeconds));
+    } else {
+      console.error('Error signing in:', error);
+    }
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/logout', (req, res) => {
+  auth.logout(req);
+  res.set('Set-Cookie', auth.clearedCookie());
+  res.json({ success: true, message: 'Signed out' });
+});
+
+// Every other API endpoint needs a signed-in user or an API token
+app.use('/api', auth.requireUser());
+
+// Who is signed in
+app.get('/api/session', (req, res) => res.json({ success: true, user: req.user }));
+
+// Accounts (admin only)
+app.get('/api/users', adminOnly, async (req, res) => {
+  try {
+    res.json({ success: true, users: (await userStore.readAll()).map(UserStore.describe) });
+  } catch (error) {
+    console.error('Error reading users:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create an account ({ username, password, role: reviewer|admin })
+app.post('/api/users', adminOnly, async (req, res) => {
+  try {
+    const user = await userStore.create({ username: req.body?.username, password: req.body?.password, role: req.body?.role });
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/users/:username', adminOnly, async (req, res) => {
+  try {
+    if (req.params.username === req.user.username) {
+      return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+    }
+    if (!await userStore.remove(req.params.username)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    auth.endSessions(req.params.username);
+    res.json({ success: true, message: 'User deleted' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// API token for the signed-in account ({ label }); the token is only shown in this response
+app.post('/api/tokens', async (req, res) => {
+  try {
+    const token = await userStore.createToken(req.user.username, req.body?.label);
+    res.status(201).json({ success: true, ...token });
+  } catch (error) {
+    console.error('Error creating token:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', async (req, res) => {
+  try {
+    if (!await userStore.revokeToken(req.user.username, req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Token not found' });
+    }
+    res.json({ success: true, message: 'Token revoked' });
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
 // Log verification results endpoint
-app.post('/api/log-verification', (req, res) => {
+app.post('/api/log-verification', async (req, res) => {
   try {
-    const logData = { timestamp: new Date().toISOString(), ...req.body };
-    const logs = readLogs();
-    logs.push(logData);
-    writeLogs(logs);
-    res.json({ success: true, message: 'Verification logged' });
+    // Images are stored beside the log (for reports), not inside the entry.
+    // Clients send `images` ([{ name, tag, geometry, imageData }]); a single `imageData` is still accepted.
+    // Stored image references, the id and the reviewer are the server's: a client's own are dropped, so an entry
+    // can't point at (and on purge delete) another entry's images
+    const { imageData, images, image, id: clientId, reviewer, timestamp: clientTimestamp, ...logData } = req.body || {};
+    const id = crypto.randomUUID();
+    const submitted = Array.isArray(images)
+      ? images.slice(0, MAX_LABEL_IMAGES).map(({ imageData: dataUrl, ...image }) => ({ ...image, dataUrl }))
+      : (imageData ? [{ name: logData.imageName, dataUrl: imageData }] : []);
+    const stored = await saveLabelImages(id, submitted);
+
+    // The reviewer is whoever is signed in and the timestamp is the server's (retention and analytics go by it);
+    // a client's own timestamp is kept as clientTimestamp
+    const entry = await logStore.append({
+      ...logData,
+      ...(clientTimestamp !== undefined && { clientTimestamp }),
+      id,
+      timestamp: new Date().toISOString(),
+      reviewer: req.user.username,
+      ...stored
+    });
+    res.json({ success: true, message: 'Verification logged', id: entry.id });
   } catch (error) {
     console.error('Error logging verification:', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Get verification logs endpoint
-app.get('/api/verification-logs', (req, res) => {
+// Verify a product's label images server-side
+// Multipart: one "image" and/or several "images" files, optional "imageTags" (one per file, in order) + form fields
+app.post('/api/verify', upload.fields([{ name: 'image', maxCount: 1 }, { name: 'images', maxCount: MAX_LABEL_IMAGES }]), async (req, res) => {
+  try {
+    const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, message: 'Please attach a label image in the "image" or "images" field' });
+    }
+    if (files.length > MAX_LABEL_IMAGES) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_LABEL_IMAGES} label images can be verified together` });
+    }
+
+    // Same fields as FormValidator.getFormData for the chosen beverage profile
+    const beverageType = req.body?.beverageType || await getDefaultBeverageType();
+    const profileFields = await getProfileFields(beverageType);
+    if (!profileFields) {
+      return res.status(400).json({ success: false, message: `Unknown beverage type "${beverageType}"` });
+    }
+
+    const fields = {};
+    profileFields.forEach(name => { fields[name] = String(req.body?.[name] ?? '').trim(); });
+
+    const invalidFields = await findInvalidFields(fields, beverageType);
+    if (invalidFields.length > 0) {
+      return res.status(400).json({ success: false, message: 'Missing or invalid fields', invalidFields });
+    }
+
+    // Tags may be repeated fields or one comma-separated list; missing ones are guessed from the file name or order
+    const tags = [req.body?.imageTags ?? []].flat().flatMap(value => String(value).split(','));
+    const { matchThresholds } = await readSettings();
+    const { ocrText, ocrConfidence, ocrVariants, results, geometry, images, timings, incomplete } = await verifyLabel(
+      files.map((file, index) => ({ buffer: file.buffer, name: file.originalname, tag: tags[index] })),
+      fields,
+      beverageType,
+      { thresholds: matchThresholds }
+    );
+
+    const id = crypto.randomUUID();
+    const imageName = files.map(file => file.originalname).join(', ');
+    const stored = await saveLabelImages(id, images.map((image, index) => ({ ...image, buffer: files[index].buffer, mimeType: files[index].mimetype })));
+    const entry = await logStore.append({ id, source: 'api', reviewer: req.user.username, imageName, ...stored, beverageType, fields, ocrText, ocrVariants, results, geometry, timings, ...(incomplete && { incomplete }) });
+
+    res.json({ success: true, id: entry.id, imageName, beverageType, ocrText, ocrConfidence, ocrVariants, results, geometry, images, timings, incomplete });
+  } catch (error) {
+    console.error('Error verifying label:', error);
+    // Preprocessing, or OCR of every image, ran past its time budget
+    res.status(error.reason === 'timeout' ? 504 : 500).json({ success: false, message: error.message });
+  }
+});
+
+// Settings shared by every reviewer (match thresholds, log retention), plus the built-in defaults
+app.get('/api/settings', async (req, res) => {
+  try {
+    res.json({ success: true, settings: await readSettings(), defaults: { matchThresholds: await getDefaultMatchThresholds() } });
+  } catch (error) {
+    console.error('Error reading settings:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Replace the match thresholds and/or the retention policy
+// ({ matchThresholds: { pass, review, fields, profiles }, retention: { archiveAfterDays } }); a setting left out is kept
+app.put('/api/settings', adminOnly, async (req, res) => {
+  try {
+    const { matchThresholds, retention } = req.body || {};
+    if (matchThresholds === undefined && retention === undefined) {
+      return res.status(400).json({ success: false, message: 'Send matchThresholds and/or retention' });
+    }
+
+    const changes = {};
+    const problems = [];
+    if (matchThresholds !== undefined) {
+      const checked = await validateMatchThresholds(matchThresholds);
+      changes.matchThresholds = checked.thresholds;
+      problems.push(...checked.problems);
+    }
+    if (retention !== undefined) {
+      const checked = validateRetention(retention);
+      changes.retention = checked.retention;
+      problems.push(...checked.problems);
+    }
+    if (problems.length > 0) {
+      return res.status(400).json({ success: false, message: problems.join('; ') });
+    }
+
+    await settingsStore.update({ ...changes, updatedBy: req.user.username });
+    res.json({ success: true, settings: await readSettings() });
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Query verification logs (filters: from, to, imageName, reviewer, field, status; paging: page, limit, sort)
+app.get('/api/verification-logs', async (req, res) => {
   try {
-    const logs = readLogs();
-    res.json({ success: true, logs });
+    const filters = LogStore.parseFilters(req.query);
+    const { logs, total, page, limit, pages } = await logStore.query(filters);
+    res.json({ success: true, logs: await withOverrides(logs), total, page, limit, pages });
   } catch (error) {
     console.error('Error reading logs:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Archive entries logged before a date ({ before }), or past the saved retention period if no date is sent
+// (optionally only those matching the same filters as GET /api/verification-logs)
+app.post('/api/verification-logs/archive', adminOnly, async (req, res) => {
+  try {
+    const filters = LogStore.parseFilters(req.query);
+    let before;
+    if (req.body?.before !== undefined) {
+      before = new Date(req.body.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({ success: false, message: `before is not a valid date: "${req.body.before}"` });
+      }
+    } else {
+      const { retention } = await readSettings();
+      if (!retention.archiveAfterDays) {
+        return res.status(400).json({ success: false, message: 'Send a before date or set retention.archiveAfterDays in the settings' });
+      }
+      before = new Date(Date.now() - retention.archiveAfterDays * DAY_MS);
+    }
+
+    const { archived, archives } = await archiveBefore(before, req.user.username, filters);
+    res.json({ success: true, archived, archives, before: before.toISOString() });
+  } catch (error) {
+    console.error('Error archiving logs:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// One log entry with its override history and final decisions
+app.get('/api/verification-logs/:id', async (req, res) => {
+  try {
+    const entry = await logStore.find(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Log entry not found' });
+    }
+
+    const [log] = await withOverrides([entry]);
+    res.json({ success: true, log });
+  } catch (error) {
+    console.error('Error reading log entry:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete one log entry (admin only); it moves to its month's archive with its overrides and can be restored
+app.delete('/api/verification-logs/:id', adminOnly, async (req, res) => {
+  try {
+    const { archived, archives } = await logArchive.archive(entry => entry.id === req.params.id, { by: req.user.username, reason: 'deleted' });
+    if (archived === 0) {
+      return res.status(404).json({ success: false, message: 'Log entry not found' });
+    }
+
+    console.log(`Verification log entry ${req.params.id} archived by ${req.user.username}`);
+    res.json({ success: true, message: 'Log entry archived', archive: archives[0] });
+  } catch (error) {
+    console.error('Error deleting log entry:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Override history for one log entry
+app.get('/api/verification-logs/:id/overrides', async (req, res) => {
+  try {
+    const entry = await logStore.find(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Log entry not found' });
+    }
+
+    const overrides = (await readOverridesByLog()).get(entry.id) || [];
+    res.json({ success: true, overrides, decisions: finalDecisions(entry, overrides) });
+  } catch (error) {
+    console.error('Error reading overrides:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Record a reviewer's accept/reject decision for one field of a log entry
+app.post('/api/verification-logs/:id/overrides', async (req, res) => {
+  try {
+    const entry = await logStore.find(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Log entry not found' });
+    }
+
+    const problems = validateOverride(req.body || {}, entry);
+    if (problems.length > 0) {
+      return res.status(400).json({ success: false, message: problems.join('; ') });
+    }
+
+    const override = await overrideStore.append(createOverride(req.body, entry, req.user.username));
+    const overrides = (await readOverridesByLog()).get(entry.id) || [];
+    res.json({ success: true, override, overrides, decisions: finalDecisions(entry, overrides) });
+  } catch (error) {
+    console.error('Error saving override:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Downloadable report for one log entry (?format=html|pdf|csv, default html)
+app.get('/api/verification-logs/:id/report', async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    if (!FORMATS[format]) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    const entry = await logStore.find(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Log entry not found' });
+    }
+
+    const overrides = (await readOverridesByLog()).get(entry.id) || [];
+    const decisions = finalDecisions(entry, overrides);
+    const images = await loadLabelImages(entry);
+
+    const imageBase = path.parse(entry.imageName || 'label').name.replace(/[^\w-]+/g, '_');
+    res.attachment(`verification-report-${imageBase}-${entry.id.slice(0, 8)}.${FORMATS[format].extension}`);
+    res.type(FORMATS[format].contentType);
+
+    if (format === 'pdf') {
+      res.send(await renderPdf(entry, decisions, images));
+    } else if (format === 'csv') {
+      res.send(renderCsv(entry, decisions));
+    } else {
+      res.send(renderHtml(entry, decisions, images));
+    }
+  } catch (error) {
+    console.error('Error building report:', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Clear verification logs endpoint
-app.delete('/api/verification-logs', (req, res) => {
+// Every dashboard report from one pass over the log
+// (filters: from, to, beverageType, imageName, field, status; interval: day|week|month; top)
+app.get('/api/analytics', async (req, res) => {
   try {
-    if (fs.existsSync(LOG_FILE)) {
-      fs.unlinkSync(LOG_FILE);
+    const filters = analytics.parseFilters(req.query);
+    const entries = await analytics.collect(logStore, filters);
+    res.json({ success: true, ...analytics.allReports(entries, filters) });
+  } catch (error) {
+    console.error('Error building analytics:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// One dashboard report (summary, pass-rates, confidence, failures, ocr-configs, timings), same filters
+app.get('/api/analytics/:report', async (req, res) => {
+  try {
+    // Own keys only, so names like "constructor" or "__proto__" are unknown reports rather than prototype members
+    const build = Object.hasOwn(analytics.REPORTS, req.params.report) ? analytics.REPORTS[req.params.report] : null;
+    if (!build) {
+      return res.status(404).json({ success: false, message: `report must be one of: ${Object.keys(analytics.REPORTS).join(', ')}` });
     }
-    res.json({ success: true, message: 'Logs cleared' });
+
+    const filters = analytics.parseFilters(req.query);
+    const entries = await analytics.collect(logStore, filters);
+    res.json({ success: true, [req.params.report]: build(entries, filters) });
+  } catch (error) {
+    console.error('Error building analytics:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete the log entries matching the same filters as GET (all of them without filters; admin only)
+// Entries are moved to the archives with their overrides and images, not destroyed
+app.delete('/api/verification-logs', adminOnly, async (req, res) => {
+  try {
+    const filters = LogStore.parseFilters(req.query);
+    const { archived, archives } = await logArchive.archive(entry => LogStore.matches(entry, filters), { by: req.user.username, reason: 'deleted' });
+    console.log(`${archived} verification log entries archived by ${req.user.username}`);
+    res.json({ success: true, message: `${archived} log entries archived`, archived, archives });
   } catch (error) {
     console.error('Error clearing logs:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Archives of deleted and expired entries, one per month of the entries' timestamps
+app.get('/api/archives', async (req, res) => {
+  try {
+    res.json({ success: true, archives: await logArchive.list() });
+  } catch (error) {
+    console.error('Error listing archives:', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Query one archive (same filters and paging as GET /api/verification-logs)
+app.get('/api/archives/:name', async (req, res) => {
+  try {
+    if (!logArchive.has(req.params.name)) {
+      return res.status(404).json({ success: false, message: 'Archive not found' });
+    }
+
+    const filters = LogStore.parseFilters(req.query);
+    const { logs, total, page, limit, pages } = await logArchive.store(req.params.name).query(filters);
+    res.json({ success: true, logs, total, page, limit, pages });
+  } catch (error) {
+    console.error('Error reading archive:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Put archived entries back in the live log ({ ids }, or the whole archive without ids; admin only)
+app.post('/api/archives/:name/restore', adminOnly, async (req, res) => {
+  try {
+    if (!logArchive.has(req.params.name)) {
+      return res.status(404).json({ success: false, message: 'Archive not found' });
+    }
+    const ids = req.body?.ids ?? null;
+    if (ids !== null && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ success: false, message: 'ids must be a non-empty array of log entry ids' });
+    }
+
+    const restored = await logArchive.restore(req.params.name, ids);
+    console.log(`${restored} entries restored from archive ${req.params.name} by ${req.user.username}`);
+    res.json({ success: true, restored });
+  } catch (error) {
+    console.error('Error restoring archive:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete an archive and its label images for good (admin only)
+app.delete('/api/archives/:name', adminOnly, async (req, res) => {
+  try {
+    if (!logArchive.has(req.params.name)) {
+      return res.status(404).json({ success: false, message: 'Archive not found' });
+    }
+
+    const entries = await logArchive.purge(req.params.name);
+    await removeLabelImages(entries);
+    console.log(`Archive ${req.params.name} (${entries.length} entries) purged by ${req.user.username}`);
+    res.json({ success: true, message: `Archive ${req.params.name} deleted`, deleted: entries.length });
+  } catch (error) {
+    console.error('Error deleting archive:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete one archived entry and its label images for good (admin only)
+app.delete('/api/archives/:name/:id', adminOnly, async (req, res) => {
+  try {
+    const entries = logArchive.has(req.params.name) ? await logArchive.purge(req.params.name, [req.params.id]) : [];
+    if (entries.length === 0) {
+      return res.status(404).json({ success: false, message: 'Archived entry not found' });
+    }
+
+    await removeLabelImages(entries);
+    console.log(`Archived entry ${req.params.id} purged from ${req.params.name} by ${req.user.username}`);
+    res.json({ success: true, message: 'Archived entry deleted' });
+  } catch (error) {
+    console.error('Error deleting archived entry:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Upload problems are the client's: too large gets 413, too many files or unknown fields 400
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, message: `Label images must be at most ${MAX_IMAGE_MB} MB` },
+  LIMIT_UNEXPECTED_FILE: { status: 400, message: `Send at most ${MAX_LABEL_IMAGES} label images, in the "image" or "images" fields` }
+};
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const { status, message } = UPLOAD_ERRORS[err.code] || { status: 400, message: err.message };
+    return res.status(status).json({ success: false, message });
+  }
+
   console.error('Server error:', err.message);
   res.status(err.status || 500).json({
     success: false,
@@ -91,6 +709,15 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+importLegacyLogs()
+  .catch(error => console.error('Error importing legacy logs:', error))
+  .then(createInitialAdmin)
+  .catch(error => console.error('Error creating the admin account:', error))
+  .then(applyRetention)
+  .catch(error => console.error('Error applying log retention:', error))
+  .finally(() => {
+    setInterval(() => applyRetention().catch(error => console.error('Error applying log retention:', error)), RETENTION_INTERVAL_MS).unref();
+    app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+  });
 
 module.exports = app;
\ No newline at end of file